@@ -0,0 +1,142 @@
+// src/components/AggregatePanel.jsx
+import React, { useMemo, useState } from "react";
+import { AGGREGATE_STATS, aggregatePoints } from "../utils/aggregate";
+import { createRenderer, describeFields } from "../utils/symbology";
+import { formatLength, isPointFeature } from "../utils/geometry";
+import { withLineage } from "../utils/geoprocessing";
+import ToolPanel, { inputBox, row, sectionLabel, useToolRun } from "./ToolPanel";
+
+/**
+ * AggregatePanel
+ * - Bins a point dataset into hexagons or squares and hands the result to onCreate(dataset, style)
+ *   as a new polygon dataset, pre-styled as a graduated map of the chosen statistic.
+ * - datasets: legend datasets (only those with point features are offered); activeUid preselects one.
+ */
+export default function AggregatePanel({ datasets = [], activeUid = null, onCreate = () => {}, onClose = () => {} }) {
+  const pointDatasets = useMemo(
+    () => datasets.filter((d) => d.geojson?.features?.some(isPointFeature)),
+    [datasets]
+  );
+
+  const [uid, setUid] = useState(() =>
+    pointDatasets.some((d) => d.uid === activeUid) ? activeUid : pointDatasets[0]?.uid || ""
+  );
+  const [shape, setShape] = useState("hex");
+  const [cellSize, setCellSize] = useState(1000);
+  const [stat, setStat] = useState("count");
+  const [field, setField] = useState("");
+  const { busy, error, run } = useToolRun();
+
+  const source = pointDatasets.find((d) => d.uid === uid) || null;
+  const numericFields = useMemo(
+    () => describeFields((source?.geojson?.features || []).filter(isPointFeature)).filter((f) => f.numeric),
+    [source]
+  );
+  const fieldName = numericFields.some((f) => f.name === field) ? field : numericFields[0]?.name || "";
+
+  const create = () =>
+    run(() => {
+      const fc = aggregatePoints(source.geojson.features, {
+        shape,
+        cellSize: Number(cellSize),
+        stat,
+        field: stat === "count" ? null : fieldName,
+      });
+      const { valueField } = fc.metadata.aggregate;
+      const label = `${source.label || "Dataset"} · ${shape === "hex" ? "hexbin" : "grid"} ${formatLength(Number(cellSize))}${
+        stat === "count" ? "" : ` (${stat} ${fieldName})`
+      }`;
+      const renderer = createRenderer(fc.features, { type: "graduated", field: valueField, method: "quantile", classes: 5, ramp: "Viridis" });
+      const out = withLineage(
+        fc,
+        {
+          operation: "aggregate",
+          label: shape === "hex" ? "Hexbin" : "Grid",
+          params: { cellSize: Number(cellSize), stat, field: stat === "count" ? null : fieldName },
+          inputs: [source.label || "Dataset"],
+        },
+        [source.geojson]
+      );
+      onCreate(
+        {
+          kind: "geojson",
+          label,
+          files: [],
+          previewable: true,
+          geojson: { ...out, metadata: { ...out.metadata, name: label } },
+        },
+        { renderer, poly: { fillOpacity: 0.7, width: 0.5, stroke: "#ffffff" } }
+      );
+      onClose();
+    });
+
+  return (
+    <ToolPanel
+      title="Aggregate points"
+      width={480}
+      onClose={onClose}
+      empty={pointDatasets.length === 0 ? "No datasets with point features to aggregate." : null}
+      error={error}
+      footer={
+        <button
+          className="btn"
+          onClick={create}
+          disabled={busy || !source || !(Number(cellSize) > 0) || (stat !== "count" && !fieldName)}
+        >
+          {busy ? "Aggregating…" : "Create layer"}
+        </button>
+      }
+    >
+      <div>
+        <div style={sectionLabel}>Points</div>
+        <select value={uid} onChange={(e) => setUid(e.target.value)} style={{ ...inputBox, width: "100%" }}>
+          {pointDatasets.map((d) => (
+            <option key={d.uid} value={d.uid}>{d.label || d.name || "Dataset"}</option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <div style={sectionLabel}>Cells</div>
+        <div style={{ display: "grid", gap: 8 }}>
+          <label style={row}>
+            <span>Shape</span>
+            <select value={shape} onChange={(e) => setShape(e.target.value)} style={{ ...inputBox, width: 180 }}>
+              <option value="hex">Hexagons</option>
+              <option value="square">Squares</option>
+            </select>
+          </label>
+          <label style={row}>
+            <span>Cell size (m)</span>
+            <input type="number" min={1} step="any" value={cellSize}
+                   onChange={(e) => setCellSize(e.target.value)} style={{ ...inputBox, width: 180 }} />
+          </label>
+        </div>
+      </div>
+
+      <div>
+        <div style={sectionLabel}>Statistic per cell</div>
+        <div style={{ display: "grid", gap: 8 }}>
+          <label style={row}>
+            <span>Statistic</span>
+            <select value={stat} onChange={(e) => setStat(e.target.value)} style={{ ...inputBox, width: 180 }}>
+              {AGGREGATE_STATS.map((s) => (
+                <option key={s.id} value={s.id} disabled={s.id !== "count" && !numericFields.length}>{s.label}</option>
+              ))}
+            </select>
+          </label>
+          {stat !== "count" && (
+            <label style={row}>
+              <span>Field</span>
+              <select value={fieldName} onChange={(e) => setField(e.target.value)} style={{ ...inputBox, width: 180 }}>
+                {numericFields.map((f) => (
+                  <option key={f.name} value={f.name}>{f.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
+      </div>
+    </ToolPanel>
+  );
+}
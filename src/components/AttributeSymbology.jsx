@@ -0,0 +1,150 @@
+// src/components/AttributeSymbology.jsx
+import React, { useMemo, useState } from "react";
+import {
+  CLASS_METHODS,
+  COLOR_RAMPS,
+  createRenderer,
+  describeFields,
+  legendClasses,
+} from "../utils/symbology";
+
+const FONT_STACK =
+  "'Montserrat', ui-sans-serif, system-ui, -apple-system, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, 'Noto Sans', sans-serif";
+
+/**
+ * "Style by attribute" controls for the active dataset.
+ * - Single symbol (renderer null), categorical (any field) or graduated (numeric fields).
+ * - Emits a complete renderer spec through onChange; the legend rows below are computed from it.
+ * Mount with key={dataset uid} so the controls re-initialize from that dataset's renderer.
+ */
+export default function AttributeSymbology({ dataset, renderer = null, onChange = () => {} }) {
+  const features = useMemo(() => dataset?.geojson?.features || [], [dataset]);
+  const fields = useMemo(() => describeFields(features), [features]);
+
+  const [opts, setOpts] = useState(() => ({
+    type: renderer?.type || "single",
+    field: renderer?.field || "",
+    method: renderer?.method || "quantile",
+    classes: renderer?.breaks ? renderer.breaks.length - 1 : 5,
+    ramp: renderer?.ramp || (renderer?.type === "categorical" ? "Category" : "Viridis"),
+    by: renderer?.by || "color",
+  }));
+
+  const legend = useMemo(() => legendClasses(renderer, features), [renderer, features]);
+
+  const update = (patch) => {
+    const next = { ...opts, ...patch };
+    const usable = next.type === "graduated" ? fields.filter((f) => f.numeric) : fields;
+    if (next.type !== "single" && !usable.some((f) => f.name === next.field)) {
+      next.field = usable[0]?.name || "";
+    }
+    if (next.type === "graduated" && next.ramp === "Category") next.ramp = "Viridis";
+    setOpts(next);
+    onChange(next.type === "single" ? null : createRenderer(features, next));
+  };
+
+  const inputBox = {
+    border: "1px solid #e5e7eb",
+    borderRadius: 8,
+    padding: "4px 6px",
+    background: "#fff",
+    fontFamily: FONT_STACK,
+    width: 170,
+  };
+  const row = { display: "flex", justifyContent: "space-between", alignItems: "center" };
+  const fieldChoices = opts.type === "graduated" ? fields.filter((f) => f.numeric) : fields;
+
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      <label style={row}>
+        <span>Style by</span>
+        <select value={opts.type} onChange={(e) => update({ type: e.target.value })} style={inputBox}>
+          <option value="single">Single symbol</option>
+          <option value="categorical">Categories</option>
+          <option value="graduated" disabled={!fields.some((f) => f.numeric)}>Graduated (numeric)</option>
+        </select>
+      </label>
+
+      {opts.type !== "single" && (
+        <>
+          <label style={row}>
+            <span>Field</span>
+            <select value={opts.field} onChange={(e) => update({ field: e.target.value })} style={inputBox}>
+              {fieldChoices.map((f) => (
+                <option key={f.name} value={f.name}>{f.name}</option>
+              ))}
+            </select>
+          </label>
+
+          {opts.type === "graduated" && (
+            <>
+              <label style={row}>
+                <span>Method</span>
+                <select value={opts.method} onChange={(e) => update({ method: e.target.value })} style={inputBox}>
+                  {CLASS_METHODS.map((m) => (
+                    <option key={m.id} value={m.id}>{m.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label style={row}>
+                <span>Classes</span>
+                <input
+                  type="number"
+                  min={2}
+                  max={9}
+                  value={opts.classes}
+                  onChange={(e) => update({ classes: Math.max(2, Math.min(9, Number(e.target.value) || 5)) })}
+                  style={inputBox}
+                />
+              </label>
+              <label style={row}>
+                <span>Vary</span>
+                <select value={opts.by} onChange={(e) => update({ by: e.target.value })} style={inputBox}>
+                  <option value="color">Color</option>
+                  <option value="size">Size (points / lines)</option>
+                </select>
+              </label>
+            </>
+          )}
+
+          {!(opts.type === "graduated" && opts.by === "size") && (
+            <label style={row}>
+              <span>Colors</span>
+              <select value={opts.ramp} onChange={(e) => update({ ramp: e.target.value })} style={inputBox}>
+                {opts.type === "categorical" && <option value="Category">Distinct</option>}
+                {Object.keys(COLOR_RAMPS).map((name) => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+        </>
+      )}
+
+      {legend.length > 0 && (
+        <div style={{ display: "grid", gap: 4, marginTop: 2 }}>
+          {legend.map((c, i) => (
+            <div key={i} style={{ display: "grid", gridTemplateColumns: "24px 1fr auto", gap: 8, alignItems: "center", fontSize: 12 }}>
+              <span style={{ display: "grid", placeItems: "center" }}>
+                <span
+                  style={{
+                    display: "inline-block",
+                    width: c.size ? Math.min(22, c.size * 1.4) : 16,
+                    height: c.size ? Math.min(22, c.size * 1.4) : 12,
+                    borderRadius: c.size ? "50%" : 3,
+                    background: c.color || "#2563eb",
+                    border: "1px solid rgba(15,23,42,0.2)",
+                  }}
+                />
+              </span>
+              <span style={{ color: "#0f172a", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }} title={c.label}>
+                {c.label}
+              </span>
+              <span style={{ color: "#64748b" }}>{c.count}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
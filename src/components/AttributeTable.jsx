@@ -0,0 +1,299 @@
+// src/components/AttributeTable.jsx
+import React, { useEffect, useMemo, useRef, useState } from "react";
+
+const FONT_STACK =
+  "'Montserrat', ui-sans-serif, system-ui, -apple-system, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, 'Noto Sans', sans-serif";
+
+const ROW_HEIGHT = 28;
+const HEADER_HEIGHT = 2 * ROW_HEIGHT; // column names + filter inputs
+const OVERSCAN = 10;
+const COL_WIDTH = 160;
+const MIN_HEIGHT = 140;
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+
+function compareValues(a, b) {
+  if (a == null || a === "") return b == null || b === "" ? 0 : 1; // blanks last
+  if (b == null || b === "") return -1;
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return collator.compare(String(a), String(b));
+}
+
+function formatCell(v) {
+  if (v == null) return "";
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
+
+/**
+ * Column filter: ">10", "<=5", "=3", "!=0" compare numerically; anything else is a
+ * case-insensitive substring match.
+ */
+function makePredicate(text) {
+  const s = String(text || "").trim();
+  if (!s) return null;
+  const m = s.match(/^(>=|<=|!=|>|<|=)\s*(-?\d+(?:\.\d+)?)$/);
+  if (m) {
+    const n = Number(m[2]);
+    const ops = {
+      ">": (v) => v > n,
+      "<": (v) => v < n,
+      ">=": (v) => v >= n,
+      "<=": (v) => v <= n,
+      "=": (v) => v === n,
+      "!=": (v) => v !== n,
+    };
+    const op = ops[m[1]];
+    return (v) => v != null && v !== "" && !Number.isNaN(Number(v)) && op(Number(v));
+  }
+  const needle = s.toLowerCase();
+  return (v) => formatCell(v).toLowerCase().includes(needle);
+}
+
+/**
+ * AttributeTable
+ * - Docked at the bottom of the map; lists the properties of every feature in `dataset.geojson`.
+ * - Rows are virtualized (fixed row height), so large layers stay responsive.
+ * - Header click sorts (asc → desc → off); the row under the header filters per column.
+ * - `selectedIndex` is a feature index into dataset.geojson.features; clicking a row calls onSelect(index).
+ */
+export default function AttributeTable({ dataset, selectedIndex = null, onSelect = () => {}, onClose = () => {} }) {
+  const features = useMemo(() => dataset?.geojson?.features || [], [dataset]);
+
+  const [sort, setSort] = useState(null); // { key, dir: 1 | -1 }
+  const [filters, setFilters] = useState({});
+  const [scrollTop, setScrollTop] = useState(0);
+  const [height, setHeight] = useState(280);
+  const [collapsed, setCollapsed] = useState(false);
+  const bodyRef = useRef(null);
+
+  // reset view state when the dataset changes
+  const uid = dataset?.uid;
+  useEffect(() => {
+    setSort(null);
+    setFilters({});
+    setScrollTop(0);
+    if (bodyRef.current) bodyRef.current.scrollTop = 0;
+  }, [uid]);
+
+  const columns = useMemo(() => {
+    const keys = new Set();
+    for (const f of features) {
+      for (const k of Object.keys(f?.properties || {})) keys.add(k);
+    }
+    return Array.from(keys);
+  }, [features]);
+
+  // feature indices after filtering + sorting
+  const rows = useMemo(() => {
+    const active = Object.entries(filters)
+      .map(([key, text]) => [key, makePredicate(text)])
+      .filter(([, pred]) => pred);
+
+    const idx = [];
+    for (let i = 0; i < features.length; i++) {
+      const props = features[i]?.properties || {};
+      if (active.every(([key, pred]) => pred(props[key]))) idx.push(i);
+    }
+    if (sort) {
+      const { key, dir } = sort;
+      idx.sort((a, b) => {
+        const av = features[a]?.properties?.[key];
+        const bv = features[b]?.properties?.[key];
+        // keep blanks at the bottom in both directions
+        if (av == null || av === "" || bv == null || bv === "") return compareValues(av, bv);
+        return dir * compareValues(av, bv) || a - b;
+      });
+    }
+    return idx;
+  }, [features, filters, sort]);
+
+  // bring a map-selected feature into view
+  useEffect(() => {
+    const el = bodyRef.current;
+    if (selectedIndex == null || !el) return;
+    const pos = rows.indexOf(selectedIndex);
+    if (pos < 0) return;
+    // rows start below the sticky header, so measure against the area under it
+    const top = pos * ROW_HEIGHT;
+    const visible = el.clientHeight - HEADER_HEIGHT;
+    if (top < el.scrollTop || top + ROW_HEIGHT > el.scrollTop + visible) {
+      el.scrollTop = Math.max(0, top - visible / 2);
+    }
+  }, [selectedIndex, rows]);
+
+  const toggleSort = (key) =>
+    setSort((prev) => {
+      if (!prev || prev.key !== key) return { key, dir: 1 };
+      if (prev.dir === 1) return { key, dir: -1 };
+      return null;
+    });
+
+  const startResize = (e) => {
+    e.preventDefault();
+    const startY = e.clientY;
+    const startH = height;
+    const onMove = (ev) => {
+      const max = window.innerHeight - 80;
+      setHeight(Math.min(max, Math.max(MIN_HEIGHT, startH + (startY - ev.clientY))));
+    };
+    const onUp = () => {
+      window.removeEventListener("mousemove", onMove);
+      window.removeEventListener("mouseup", onUp);
+    };
+    window.addEventListener("mousemove", onMove);
+    window.addEventListener("mouseup", onUp);
+  };
+
+  if (!dataset) return null;
+
+  const viewport = Math.max(0, height - 96);
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(rows.length, Math.ceil((scrollTop + viewport) / ROW_HEIGHT) + OVERSCAN);
+  const tableWidth = 64 + columns.length * COL_WIDTH;
+
+  const cell = {
+    width: COL_WIDTH,
+    minWidth: COL_WIDTH,
+    padding: "0 8px",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+    boxSizing: "border-box",
+  };
+  const idCell = { ...cell, width: 64, minWidth: 64, color: "#94a3b8" };
+  const inputBox = {
+    width: "100%",
+    border: "1px solid #e5e7eb",
+    borderRadius: 6,
+    padding: "2px 4px",
+    fontFamily: FONT_STACK,
+    fontSize: 12,
+    boxSizing: "border-box",
+  };
+
+  return (
+    <section
+      style={{
+        position: "fixed",
+        left: 372,
+        right: 16,
+        bottom: 16,
+        height: collapsed ? "auto" : height,
+        zIndex: 10010,
+        display: "flex",
+        flexDirection: "column",
+        background: "#fff",
+        border: "1px solid #e5e7eb",
+        borderRadius: 16,
+        boxShadow: "0 10px 30px rgba(2,6,23,0.12)",
+        fontFamily: FONT_STACK,
+        fontSize: 13,
+        overflow: "hidden",
+      }}
+      aria-label="Attribute table"
+    >
+      {!collapsed && (
+        <div onMouseDown={startResize} title="Drag to resize" style={{ height: 6, cursor: "ns-resize", flex: "none" }} />
+      )}
+
+      {/* Header */}
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "0 12px 6px", flex: "none" }}>
+        <div style={{ fontWeight: 700, color: "#0f172a" }}>
+          {dataset.label || dataset.name || "Dataset"}
+          <span style={{ fontWeight: 400, fontSize: 12, color: "#64748b", marginLeft: 8 }}>
+            {rows.length === features.length
+              ? `${features.length} features`
+              : `${rows.length} of ${features.length} features`}
+          </span>
+        </div>
+        <div style={{ display: "flex", gap: 6 }}>
+          {Object.values(filters).some((v) => v) && (
+            <button className="btn" onClick={() => setFilters({})}>Clear filters</button>
+          )}
+          <button className="btn" onClick={() => setCollapsed((c) => !c)} aria-label={collapsed ? "Expand table" : "Collapse table"}>
+            {collapsed ? "▴" : "▾"}
+          </button>
+          <button className="btn" onClick={onClose} aria-label="Close table">×</button>
+        </div>
+      </div>
+
+      {!collapsed && (
+        <div
+          ref={bodyRef}
+          onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+          style={{ flex: 1, overflow: "auto", borderTop: "1px solid #e5e7eb" }}
+        >
+          {columns.length === 0 ? (
+            <div style={{ padding: 12, color: "#475569" }}>This dataset has no attributes.</div>
+          ) : (
+            <div style={{ width: tableWidth, minWidth: "100%" }}>
+              {/* Column headers + filters stay pinned while rows scroll */}
+              <div style={{ position: "sticky", top: 0, zIndex: 1, background: "#f8fafc", borderBottom: "1px solid #e5e7eb" }}>
+                <div style={{ display: "flex", height: ROW_HEIGHT, alignItems: "center", fontWeight: 600, color: "#0f172a" }}>
+                  <div style={idCell}>#</div>
+                  {columns.map((key) => (
+                    <div
+                      key={key}
+                      onClick={() => toggleSort(key)}
+                      title={`Sort by ${key}`}
+                      style={{ ...cell, cursor: "pointer", userSelect: "none" }}
+                    >
+                      {key}
+                      {sort?.key === key ? (sort.dir === 1 ? " ▲" : " ▼") : ""}
+                    </div>
+                  ))}
+                </div>
+                <div style={{ display: "flex", height: ROW_HEIGHT, alignItems: "center" }}>
+                  <div style={idCell} />
+                  {columns.map((key) => (
+                    <div key={key} style={cell}>
+                      <input
+                        value={filters[key] || ""}
+                        onChange={(e) => setFilters((prev) => ({ ...prev, [key]: e.target.value }))}
+                        placeholder="Filter"
+                        style={inputBox}
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div style={{ position: "relative", height: rows.length * ROW_HEIGHT }}>
+                {rows.slice(first, last).map((fi, i) => {
+                  const props = features[fi]?.properties || {};
+                  const isSelected = fi === selectedIndex;
+                  return (
+                    <div
+                      key={fi}
+                      onClick={() => onSelect(fi)}
+                      style={{
+                        position: "absolute",
+                        top: (first + i) * ROW_HEIGHT,
+                        left: 0,
+                        right: 0,
+                        height: ROW_HEIGHT,
+                        display: "flex",
+                        alignItems: "center",
+                        cursor: "pointer",
+                        background: isSelected ? "#ccfbf1" : (first + i) % 2 ? "#fafafa" : "#fff",
+                        color: "#0f172a",
+                      }}
+                    >
+                      <div style={idCell}>{fi + 1}</div>
+                      {columns.map((key) => (
+                        <div key={key} style={cell} title={formatCell(props[key])}>
+                          {formatCell(props[key])}
+                        </div>
+                      ))}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
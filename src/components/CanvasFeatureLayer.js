@@ -0,0 +1,240 @@
+// src/components/CanvasFeatureLayer.js
+// Leaflet layer that draws a whole FeatureCollection into one <canvas>.
+// Used by MapWorkspace for large datasets: no per-feature DOM / Leaflet objects, and style,
+// filter or data changes only trigger a repaint instead of rebuilding layers.
+import L from "leaflet";
+import { symbolFor } from "../utils/symbology";
+
+// Features are projected once to normalized CRS pixels (zoom scale 1) and cached per feature object,
+// so panning / zooming / time filtering never re-project.
+function normalizeGeometry(crs, geometry) {
+  const t = crs.transformation;
+  const proj = crs.projection;
+  const toXY = (c) => {
+    const p = t.transform(proj.project(L.latLng(c[1], c[0])), 1);
+    return [p.x, p.y];
+  };
+  const flat = (coords) => {
+    const out = new Float64Array(coords.length * 2);
+    coords.forEach((c, i) => {
+      const [x, y] = toXY(c);
+      out[i * 2] = x;
+      out[i * 2 + 1] = y;
+    });
+    return out;
+  };
+  const c = geometry?.coordinates;
+  switch (geometry?.type) {
+    case "Point": return { kind: "point", parts: [flat([c])] };
+    case "MultiPoint": return { kind: "point", parts: [flat(c)] };
+    case "LineString": return { kind: "line", parts: [flat(c)] };
+    case "MultiLineString": return { kind: "line", parts: c.map(flat) };
+    case "Polygon": return { kind: "poly", parts: [c.map(flat)] };
+    case "MultiPolygon": return { kind: "poly", parts: c.map((p) => p.map(flat)) };
+    default: return null;
+  }
+}
+
+function bboxOf(norm) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  const scan = (arr) => {
+    for (let i = 0; i < arr.length; i += 2) {
+      if (arr[i] < minX) minX = arr[i];
+      if (arr[i] > maxX) maxX = arr[i];
+      if (arr[i + 1] < minY) minY = arr[i + 1];
+      if (arr[i + 1] > maxY) maxY = arr[i + 1];
+    }
+  };
+  if (norm.kind === "poly") norm.parts.forEach((rings) => rings.forEach(scan));
+  else norm.parts.forEach(scan);
+  return [minX, minY, maxX, maxY];
+}
+
+const CanvasFeatureLayer = L.Layer.extend({
+  options: {
+    pane: "overlayPane",
+    style: null, // resolved style: { ptStyle, lnStyle, pgStyle, layerOpacity, renderer }
+    filter: null, // optional feature predicate
+  },
+
+  initialize(features, options) {
+    L.setOptions(this, options);
+    this._features = features || [];
+    this._cache = new WeakMap();
+  },
+
+  onAdd(map) {
+    this._canvas = L.DomUtil.create("canvas", "leaflet-zoom-hide");
+    this._canvas.style.position = "absolute";
+    this._canvas.style.pointerEvents = "none";
+    this.getPane().appendChild(this._canvas);
+    map.on("moveend zoomend resize viewreset", this._scheduleDraw, this);
+    this._draw();
+  },
+
+  onRemove(map) {
+    map.off("moveend zoomend resize viewreset", this._scheduleDraw, this);
+    if (this._frame) L.Util.cancelAnimFrame(this._frame);
+    this._frame = null;
+    L.DomUtil.remove(this._canvas);
+    this._canvas = null;
+  },
+
+  setFeatures(features) {
+    this._features = features || [];
+    this._scheduleDraw();
+    return this;
+  },
+
+  setStyle(style) {
+    this.options.style = style;
+    this._scheduleDraw();
+    return this;
+  },
+
+  setFilter(filter) {
+    this.options.filter = filter;
+    this._scheduleDraw();
+    return this;
+  },
+
+  _normalized(feature) {
+    if (!feature?.geometry) return null;
+    let n = this._cache.get(feature);
+    if (n === undefined) {
+      n = normalizeGeometry(this._map.options.crs, feature.geometry);
+      if (n) n.bbox = bboxOf(n);
+      this._cache.set(feature, n);
+    }
+    return n;
+  },
+
+  _scheduleDraw() {
+    if (!this._map || this._frame) return;
+    this._frame = L.Util.requestAnimFrame(this._draw, this);
+  },
+
+  _draw() {
+    this._frame = null;
+    const map = this._map;
+    const canvas = this._canvas;
+    if (!map || !canvas) return;
+
+    const size = map.getSize();
+    const topLeft = map.containerPointToLayerPoint([0, 0]);
+    L.DomUtil.setPosition(canvas, topLeft);
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = size.x * dpr;
+    canvas.height = size.y * dpr;
+    canvas.style.width = `${size.x}px`;
+    canvas.style.height = `${size.y}px`;
+
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, size.x, size.y);
+
+    const style = this.options.style;
+    if (!style) return;
+    const { ptStyle, lnStyle, pgStyle, layerOpacity, renderer } = style;
+    const filter = this.options.filter;
+
+    // canvas px = normalized * scale - (pixelOrigin + topLeft)
+    const scale = map.options.crs.scale(map.getZoom());
+    const origin = map.getPixelOrigin();
+    const ox = origin.x + topLeft.x;
+    const oy = origin.y + topLeft.y;
+    const pad = 32;
+    const vx0 = (ox - pad) / scale;
+    const vy0 = (oy - pad) / scale;
+    const vx1 = (ox + size.x + pad) / scale;
+    const vy1 = (oy + size.y + pad) / scale;
+
+    // batch paths per symbol so 100k+ features need only a handful of fill/stroke calls
+    const buckets = { poly: new Map(), line: new Map(), point: new Map() };
+    const bucket = (kind, key, make) => {
+      let b = buckets[kind].get(key);
+      if (!b) {
+        b = { ...make(), path: new Path2D() };
+        buckets[kind].set(key, b);
+      }
+      return b.path;
+    };
+    const trace = (path, arr, close) => {
+      for (let i = 0; i < arr.length; i += 2) {
+        const x = arr[i] * scale - ox;
+        const y = arr[i + 1] * scale - oy;
+        if (i === 0) path.moveTo(x, y);
+        else path.lineTo(x, y);
+      }
+      if (close) path.closePath();
+    };
+
+    for (const f of this._features) {
+      if (filter && !filter(f)) continue;
+      const n = this._normalized(f);
+      if (!n) continue;
+      const [minX, minY, maxX, maxY] = n.bbox;
+      if (maxX < vx0 || minX > vx1 || maxY < vy0 || minY > vy1) continue;
+
+      const sym = (renderer && symbolFor(renderer, f)) || {};
+      if (n.kind === "point") {
+        const radius = sym.size ?? ptStyle.radius;
+        const color = sym.color ?? ptStyle.color;
+        const path = bucket("point", `${color}|${radius}`, () => ({ color, radius }));
+        for (const arr of n.parts) {
+          for (let i = 0; i < arr.length; i += 2) {
+            const x = arr[i] * scale - ox;
+            const y = arr[i + 1] * scale - oy;
+            path.moveTo(x + radius, y);
+            path.arc(x, y, radius, 0, Math.PI * 2);
+          }
+        }
+      } else if (n.kind === "line") {
+        const color = sym.color ?? lnStyle.color;
+        const width = sym.size != null ? Math.max(1, sym.size / 2) : lnStyle.width;
+        const path = bucket("line", `${color}|${width}`, () => ({ color, width }));
+        n.parts.forEach((arr) => trace(path, arr, false));
+      } else {
+        const fill = sym.color ?? pgStyle.fill;
+        const fillOpacity = sym.color ? Math.max(pgStyle.fillOpacity, 0.7) : pgStyle.fillOpacity;
+        const path = bucket("poly", `${fill}|${fillOpacity}`, () => ({ fill, fillOpacity }));
+        n.parts.forEach((rings) => rings.forEach((arr) => trace(path, arr, true)));
+      }
+    }
+
+    // same stacking as the SVG path: polygons, then lines, then points
+    ctx.lineJoin = "round";
+    ctx.lineCap = "round";
+    buckets.poly.forEach(({ path, fill, fillOpacity }) => {
+      ctx.globalAlpha = fillOpacity * layerOpacity;
+      ctx.fillStyle = fill;
+      ctx.fill(path);
+      ctx.globalAlpha = layerOpacity;
+      ctx.strokeStyle = pgStyle.stroke;
+      ctx.lineWidth = pgStyle.width;
+      ctx.stroke(path);
+    });
+    buckets.line.forEach(({ path, color, width }) => {
+      ctx.globalAlpha = lnStyle.opacity * layerOpacity;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = width;
+      ctx.stroke(path);
+    });
+    buckets.point.forEach(({ path, color }) => {
+      ctx.globalAlpha = 0.9 * layerOpacity;
+      ctx.fillStyle = color;
+      ctx.fill(path);
+      ctx.globalAlpha = layerOpacity;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = ptStyle.strokeWidth;
+      ctx.stroke(path);
+    });
+    ctx.globalAlpha = 1;
+  },
+});
+
+export function canvasFeatureLayer(features, options) {
+  return new CanvasFeatureLayer(features, options);
+}
+
+export default CanvasFeatureLayer;
@@ -0,0 +1,79 @@
+// src/components/CrsPicker.jsx
+import React, { useState } from 'react';
+import { COMMON_CRS, resolveCrs } from '../utils/crs';
+
+/**
+ * CrsPicker
+ * - Shown when a source has no (usable) coordinate system.
+ * - Offers the bundled CRS list or a free-form EPSG code / proj4 string / WKT.
+ * - Calls onSubmit(input) with the raw value once resolveCrs() accepts it.
+ */
+export default function CrsPicker({ message, onSubmit }) {
+  const [choice, setChoice] = useState(COMMON_CRS[0].code);
+  const [custom, setCustom] = useState('');
+  const [error, setError] = useState(null);
+
+  const submit = () => {
+    const value = choice === 'custom' ? custom.trim() : choice;
+    try {
+      resolveCrs(value);
+    } catch (err) {
+      setError(err?.message || String(err));
+      return;
+    }
+    setError(null);
+    onSubmit?.(value);
+  };
+
+  const inputBox = {
+    border: '1px solid #e5e7eb',
+    borderRadius: 8,
+    padding: '4px 6px',
+    background: '#fff',
+    width: '100%',
+    boxSizing: 'border-box',
+  };
+
+  return (
+    <div
+      style={{
+        margin: 16,
+        width: 320,
+        background: 'rgba(255,255,255,0.97)',
+        border: '1px solid #e5e7eb',
+        borderRadius: 16,
+        boxShadow: '0 10px 30px rgba(0,0,0,0.15)',
+        padding: 12,
+        fontSize: 14,
+      }}
+    >
+      <div style={{ fontWeight: 700, color: '#0f172a', marginBottom: 6 }}>Coordinate system needed</div>
+      {message && <div style={{ color: '#374151', marginBottom: 8 }}>{message}</div>}
+
+      <select value={choice} onChange={(e) => setChoice(e.target.value)} style={inputBox}>
+        {COMMON_CRS.map((c) => (
+          <option key={c.code} value={c.code}>{c.code} · {c.name}</option>
+        ))}
+        <option value="custom">Other (EPSG code, proj4 or WKT)…</option>
+      </select>
+
+      {choice === 'custom' && (
+        <textarea
+          value={custom}
+          onChange={(e) => setCustom(e.target.value)}
+          placeholder="EPSG:26914, +proj=… or PROJCS[…]"
+          rows={3}
+          style={{ ...inputBox, marginTop: 8, fontFamily: 'monospace', fontSize: 12, resize: 'vertical' }}
+        />
+      )}
+
+      {error && <div style={{ color: '#b91c1c', fontSize: 12, marginTop: 6 }}>{error}</div>}
+
+      <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: 10 }}>
+        <button className="btn" onClick={submit} disabled={choice === 'custom' && !custom.trim()}>
+          Reproject
+        </button>
+      </div>
+    </div>
+  );
+}
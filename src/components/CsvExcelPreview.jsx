@@ -4,6 +4,8 @@ import Papa from 'papaparse';
 
 const CsvExcelPreview = ({ files, onClose, onConvert }) => {
   const hasLoadedRef = useRef(false);
+  // last converted collection, for the Convert button
+  const lastGeojsonRef = useRef(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [info, setInfo] = useState('');
@@ -265,7 +267,7 @@ const CsvExcelPreview = ({ files, onClose, onConvert }) => {
           if (!coords.lat && !coords.lng && !coords.combined) {
             // nothing to map — return table-only: convert to empty geojson and call onConvert with empty FC
             const emptyFc = { type: 'FeatureCollection', features: [] };
-            try { window.__DEBUG_LAST_GEOJSON__ = emptyFc; } catch (e) {}
+            lastGeojsonRef.current = emptyFc;
             setInfo('No coordinate columns detected');
             if (typeof onConvert === 'function') onConvert(emptyFc);
             setIsLoading(false);
@@ -275,7 +277,7 @@ const CsvExcelPreview = ({ files, onClose, onConvert }) => {
 
           const geoFeatures = convertToGeoJSONWithFullGeometry(parsedData, coords);
           const fc = { type: 'FeatureCollection', features: geoFeatures };
-          try { window.__DEBUG_LAST_GEOJSON__ = fc; } catch (e) {}
+          lastGeojsonRef.current = fc;
           setInfo(`Converted ${geoFeatures.length} mappable rows`);
           if (typeof onConvert === 'function') onConvert(fc);
           setIsLoading(false);
@@ -288,7 +290,7 @@ const CsvExcelPreview = ({ files, onClose, onConvert }) => {
           setInfo(`Excel parsed: ${excelData.sheetNames.join(', ')}`);
           // For Excel, return an empty FC so caller can decide how to handle (or implement sheet selection in parent)
           const emptyFc = { type: 'FeatureCollection', features: [] };
-          try { window.__DEBUG_LAST_GEOJSON__ = emptyFc; } catch (e) {}
+          lastGeojsonRef.current = emptyFc;
           if (typeof onConvert === 'function') onConvert(emptyFc);
           setIsLoading(false);
           hasLoadedRef.current = true;
@@ -334,7 +336,7 @@ const CsvExcelPreview = ({ files, onClose, onConvert }) => {
       <div className="text-sm text-green-700">{info || 'Conversion complete'}</div>
       <div className="mt-3">
         {typeof onConvert === 'function' && (
-          <button onClick={() => typeof onConvert === 'function' && onConvert(window.__DEBUG_LAST_GEOJSON__)} className="px-3 py-1 bg-blue-600 text-white rounded">
+          <button onClick={() => typeof onConvert === 'function' && onConvert(lastGeojsonRef.current)} className="px-3 py-1 bg-blue-600 text-white rounded">
             Open in GeoJSON Preview
           </button>
         )}
@@ -0,0 +1,215 @@
+// src/components/EditPanel.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { DRAW_TOOLS } from "../utils/editGeometry";
+
+const FONT_STACK =
+  "'Montserrat', ui-sans-serif, system-ui, -apple-system, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, 'Noto Sans', sans-serif";
+
+const HINTS = {
+  select: "Click a feature to edit it. Drag vertices to move them, drag or click the small dots to add one, right-click a vertex to remove it.",
+  point: "Click to place a point.",
+  line: "Click to add vertices, double-click (or Enter) to finish.",
+  polygon: "Click the corners, double-click (or Enter) to close the polygon.",
+};
+
+const inputBox = {
+  border: "1px solid #e5e7eb",
+  borderRadius: 8,
+  padding: "4px 6px",
+  background: "#fff",
+  fontFamily: FONT_STACK,
+  minWidth: 0,
+};
+
+// typed value for a property input: numbers stay numbers, empty clears the value
+function parseValue(text, previous) {
+  if (text === "") return null;
+  if (typeof previous === "number" || previous == null) {
+    const n = Number(text);
+    if (text.trim() !== "" && Number.isFinite(n)) return n;
+  }
+  if (typeof previous === "boolean" && /^(true|false)$/i.test(text)) return /^true$/i.test(text);
+  return text;
+}
+
+// properties of one feature; changes are committed on blur / Enter through onChange(properties)
+function PropertyForm({ feature, fields, onChange }) {
+  const initial = feature?.properties || {};
+  const [draft, setDraft] = useState(() =>
+    Object.fromEntries(fields.map((k) => [k, initial[k] == null ? "" : String(initial[k])]))
+  );
+  const [newField, setNewField] = useState("");
+
+  // `added`: a new (empty) field that is written even though it has no value yet
+  const commit = (nextDraft = draft, added = null) => {
+    const properties = { ...initial };
+    let changed = false;
+    Object.entries(nextDraft).forEach(([k, text]) => {
+      const value = parseValue(text, initial[k]);
+      // fields other features have stay absent on this one until they get a value
+      if (!(k in initial) && value === null && k !== added) return;
+      if (!(k in initial) || value !== initial[k]) changed = true;
+      properties[k] = value;
+    });
+    if (changed) onChange(properties);
+  };
+
+  const addField = () => {
+    const name = newField.trim();
+    if (!name || name in draft) return;
+    const next = { ...draft, [name]: "" };
+    setDraft(next);
+    setNewField("");
+    commit(next, name);
+  };
+
+  return (
+    <div style={{ display: "grid", gap: 6 }}>
+      {Object.keys(draft).length === 0 && <div style={{ fontSize: 12, color: "#64748b" }}>No attributes yet.</div>}
+      {Object.entries(draft).map(([k, text]) => (
+        <label key={k} style={{ display: "grid", gridTemplateColumns: "110px 1fr", gap: 8, alignItems: "center" }}>
+          <span style={{ color: "#64748b", overflow: "hidden", textOverflow: "ellipsis" }} title={k}>{k}</span>
+          <input
+            value={text}
+            onChange={(e) => setDraft((prev) => ({ ...prev, [k]: e.target.value }))}
+            onBlur={() => commit()}
+            onKeyDown={(e) => e.key === "Enter" && commit()}
+            style={inputBox}
+          />
+        </label>
+      ))}
+      <div style={{ display: "grid", gridTemplateColumns: "1fr auto", gap: 8 }}>
+        <input
+          placeholder="New field name"
+          value={newField}
+          onChange={(e) => setNewField(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && addField()}
+          style={inputBox}
+        />
+        <button className="btn" onClick={addField} disabled={!newField.trim()}>Add field</button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * EditPanel
+ * - Sketch tools (select / point / line / polygon) for one dataset; MapWorkspace does the clicking and the vertex handles.
+ * - With a feature of the dataset selected: its properties as a form, and Delete feature.
+ * - Enter finishes a sketch, Backspace removes its last vertex, Escape discards it.
+ */
+export default function EditPanel({
+  dataset,
+  tool = "select",
+  positions = [],
+  feature = null, // selected feature of this dataset
+  featureIndex = null,
+  onToolChange = () => {},
+  onUndo = () => {},
+  onFinish = () => {},
+  onDiscard = () => {},
+  onDeleteFeature = () => {},
+  onPropertiesChange = () => {},
+  onClose = () => {},
+}) {
+  const fields = useMemo(() => {
+    const keys = new Set();
+    (dataset?.geojson?.features || []).forEach((f) => Object.keys(f?.properties || {}).forEach((k) => keys.add(k)));
+    return Array.from(keys);
+  }, [dataset]);
+  const spec = DRAW_TOOLS.find((t) => t.id === tool);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (/^(INPUT|SELECT|TEXTAREA)$/.test(e.target?.tagName || "")) return;
+      if (e.key === "Enter") onFinish();
+      else if (e.key === "Backspace") onUndo();
+      else if (e.key === "Escape") onDiscard();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onFinish, onUndo, onDiscard]);
+
+  const linkButton = { background: "none", border: "none", color: "#008080", cursor: "pointer", padding: 0 };
+
+  return (
+    <aside
+      style={{
+        position: "absolute",
+        left: "50%",
+        top: 12,
+        transform: "translateX(-50%)",
+        zIndex: 10015,
+        width: 380,
+        maxHeight: "60vh",
+        overflow: "auto",
+        background: "#fff",
+        border: "1px solid #e5e7eb",
+        borderRadius: 16,
+        boxShadow: "0 10px 30px rgba(2,6,23,0.12)",
+        padding: 12,
+        fontFamily: FONT_STACK,
+        fontSize: 13,
+      }}
+      aria-label="Edit features"
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <div>
+          <div style={{ fontWeight: 700, color: "#0f172a" }}>Edit features</div>
+          <div style={{ fontSize: 12, color: "#64748b" }}>
+            {dataset?.label || "Dataset"} · {dataset?.geojson?.features?.length || 0} features
+          </div>
+        </div>
+        <button onClick={onClose} aria-label="Stop editing"
+          style={{ width: 28, height: 28, borderRadius: 8, border: "1px solid #e5e7eb", background: "#fff", cursor: "pointer" }}>
+          ×
+        </button>
+      </div>
+
+      <div style={{ display: "flex", gap: 6, marginBottom: 6 }}>
+        {[{ id: "select", label: "Select" }, ...DRAW_TOOLS].map((t) => (
+          <button
+            key={t.id}
+            className="btn"
+            onClick={() => onToolChange(t.id)}
+            aria-pressed={t.id === tool}
+            style={t.id === tool ? { background: "#0f766e", color: "#fff" } : undefined}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+      <div style={{ fontSize: 12, color: "#64748b", marginBottom: 8 }}>
+        {HINTS[tool]}{spec ? " Clicks snap to vertices of loaded features." : ""}
+      </div>
+
+      {spec && spec.id !== "point" && (
+        <div style={{ border: "1px solid #e5e7eb", borderRadius: 10, padding: 8, marginBottom: 8 }}>
+          <div style={{ fontWeight: 600, color: "#0f172a" }}>
+            {positions.length} vertices{positions.length < spec.min ? ` (need ${spec.min})` : ""}
+          </div>
+          <div style={{ display: "flex", gap: 12, marginTop: 4, fontSize: 12 }}>
+            <button onClick={onUndo} disabled={!positions.length} style={linkButton}>Undo vertex</button>
+            <button onClick={onDiscard} disabled={!positions.length} style={linkButton}>Discard</button>
+            <button onClick={onFinish} disabled={positions.length < spec.min} style={linkButton}>Finish</button>
+          </div>
+        </div>
+      )}
+
+      {feature ? (
+        <div style={{ border: "1px solid #e5e7eb", borderRadius: 10, padding: 8, display: "grid", gap: 8 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+            <div style={{ fontWeight: 600, color: "#0f172a" }}>
+              Feature #{featureIndex + 1}
+              <span style={{ fontWeight: 400, color: "#64748b" }}> · {feature.geometry?.type || "No geometry"}</span>
+            </div>
+            <button onClick={onDeleteFeature} style={{ ...linkButton, color: "#b91c1c" }}>Delete feature</button>
+          </div>
+          <PropertyForm key={featureIndex} feature={feature} fields={Array.from(new Set([...fields, ...Object.keys(feature.properties || {})]))} onChange={onPropertiesChange} />
+        </div>
+      ) : (
+        tool === "select" && <div style={{ fontSize: 12, color: "#64748b" }}>No feature of this layer selected.</div>
+      )}
+    </aside>
+  );
+}
@@ -1,7 +1,255 @@
-// (your existing file; only changed the close button label)
-import React from "react";
+// src/components/ExportPanel.jsx
+import React, { useMemo, useState } from "react";
+import {
+  geojsonToShapefile,
+  geojsonToCSV,
+  geojsonToKML,
+  geojsonToKMZ,
+  geojsonToGPX,
+  geojsonToPNG_MapCapture,
+  geojsonToGeoPackage,
+  geojsonToTopoJSON,
+} from "./converters/geojsonConverters";
+import {
+  geojsonBBox,
+  rasterizeGeoJSONToCanvas,
+  writeGeoTIFFWithGeoTiffJS,
+} from "../utils/geotiffExport";
+
+const FONT_STACK =
+  "'Montserrat', ui-sans-serif, system-ui, -apple-system, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, 'Noto Sans', sans-serif";
+
+const FORMATS = [
+  { id: "geojson", label: "GeoJSON (.geojson)" },
+  { id: "shapefile", label: "Shapefile (.zip)" },
+  { id: "geopackage", label: "GeoPackage (.gpkg, one file for all)" },
+  { id: "topojson", label: "TopoJSON (.topojson, one file for all)" },
+  { id: "csv", label: "CSV (.csv)" },
+  { id: "kml", label: "KML (.kml)" },
+  { id: "kmz", label: "KMZ (.kmz)" },
+  { id: "gpx", label: "GPX (.gpx)" },
+  { id: "png", label: "PNG map image (.png)" },
+  { id: "geotiff", label: "GeoTIFF raster (.tif)" },
+];
+
+// TopoJSON grid sizes; "source" reuses the grid of the imported TopoJSON file, 0 keeps full precision
+const QUANTIZATIONS = [
+  { id: "1e4", label: "10,000 (smallest file)" },
+  { id: "1e5", label: "100,000" },
+  { id: "1e6", label: "1,000,000" },
+  { id: "0", label: "None (full precision)" },
+];
+
+// the transform shared by all datasets imported from TopoJSON, or null
+function sharedTopoTransform(datasets) {
+  const transforms = datasets.map((d) => d.geojson?.metadata?.topojson?.transform || null);
+  if (!transforms.length || !transforms[0]) return null;
+  const key = JSON.stringify(transforms[0]);
+  return transforms.every((t) => t && JSON.stringify(t) === key) ? transforms[0] : null;
+}
+
+// keep rasterized exports within what a browser canvas can reliably allocate
+const MAX_RASTER_SIDE = 8192;
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function safeName(name) {
+  return String(name || "export").replace(/\.[^.]+$/, "").replace(/\s+/g, "_");
+}
+
+// union of property keys across all features (used for the name-field picker)
+function propertyKeys(datasets) {
+  const keys = new Set();
+  datasets.forEach((d) =>
+    (d.geojson?.features || []).forEach((f) =>
+      Object.keys(f?.properties || {}).forEach((k) => keys.add(k))
+    )
+  );
+  return Array.from(keys);
+}
+
+/**
+ * Rasterize a FeatureCollection at a fixed pixel size (in CRS units, degrees for WGS84)
+ * and wrap it in a GeoTIFF. Degenerate extents (single point) are padded by one pixel.
+ */
+async function geojsonToGeoTIFF(fc, { pixelSize }) {
+  const bbox = geojsonBBox(fc);
+  if (!Number.isFinite(bbox.minX) || !Number.isFinite(bbox.minY)) {
+    throw new Error("No coordinates to rasterize");
+  }
+  if (bbox.maxX - bbox.minX < pixelSize) {
+    bbox.minX -= pixelSize / 2;
+    bbox.maxX += pixelSize / 2;
+  }
+  if (bbox.maxY - bbox.minY < pixelSize) {
+    bbox.minY -= pixelSize / 2;
+    bbox.maxY += pixelSize / 2;
+  }
+
+  const width = Math.ceil((bbox.maxX - bbox.minX) / pixelSize);
+  const height = Math.ceil((bbox.maxY - bbox.minY) / pixelSize);
+  if (width > MAX_RASTER_SIDE || height > MAX_RASTER_SIDE) {
+    throw new Error(
+      `Pixel size too small: output would be ${width}×${height}px (max ${MAX_RASTER_SIDE}px per side).`
+    );
+  }
+
+  const { imageData } = rasterizeGeoJSONToCanvas(fc, width, height, bbox);
+  const buffer = await writeGeoTIFFWithGeoTiffJS(imageData.data, width, height, bbox, {
+    samples: 4,
+  });
+  return {
+    blob: new Blob([buffer], { type: "image/tiff" }),
+    filename: `${safeName(fc.metadata?.name)}.tif`,
+  };
+}
+
+/**
+ * Run the converter for one FeatureCollection and normalize the result to { blob, filename }.
+ */
+async function exportFeatureCollection(fc, format, opts) {
+  switch (format) {
+    case "geojson":
+      return {
+        blob: new Blob([JSON.stringify(fc)], { type: "application/geo+json" }),
+        filename: `${safeName(fc.metadata?.name)}.geojson`,
+      };
+    case "shapefile":
+      // the shapefile writer cleans geometries in place; never hand it the live FC
+      return geojsonToShapefile(JSON.parse(JSON.stringify(fc)));
+    case "csv":
+      return geojsonToCSV(fc, { geometry: opts.csvGeometry });
+    case "kml": {
+      const { kmlText, filename } = geojsonToKML(fc, { nameField: opts.nameField });
+      return {
+        blob: new Blob([kmlText], { type: "application/vnd.google-earth.kml+xml" }),
+        filename,
+      };
+    }
+    case "kmz":
+      return geojsonToKMZ(fc, { nameField: opts.nameField });
+    case "gpx": {
+      const { gpxText, filename } = geojsonToGPX(fc, { nameField: opts.nameField });
+      return { blob: new Blob([gpxText], { type: "application/gpx+xml" }), filename };
+    }
+    case "png":
+      return geojsonToPNG_MapCapture(fc);
+    case "geotiff":
+      return geojsonToGeoTIFF(fc, { pixelSize: opts.pixelSize });
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
 
 export default function ExportPanel({ onClose = () => {}, datasets = [] }) {
+  const exportable = useMemo(
+    () => datasets.filter((d) => d?.geojson?.features?.length),
+    [datasets]
+  );
+
+  const [selected, setSelected] = useState(() => exportable.map((d) => d.uid));
+  const [format, setFormat] = useState("geojson");
+  const [csvGeometry, setCsvGeometry] = useState("wkt");
+  const [nameField, setNameField] = useState("name");
+  const [pixelSize, setPixelSize] = useState(0.001);
+  const [quantization, setQuantization] = useState("source"); // TopoJSON grid; falls back to 1e5 without an imported grid
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState(null); // { kind: 'ok' | 'error', text }
+
+  const chosen = useMemo(
+    () => exportable.filter((d) => selected.includes(d.uid)),
+    [exportable, selected]
+  );
+  const nameFields = useMemo(() => propertyKeys(chosen), [chosen]);
+  const sourceTransform = useMemo(() => sharedTopoTransform(chosen), [chosen]);
+  const topoGrid = quantization === "source" && !sourceTransform ? "1e5" : quantization;
+
+  const toggle = (uid, on) =>
+    setSelected((prev) => (on ? [...prev, uid] : prev.filter((id) => id !== uid)));
+
+  const runExport = async () => {
+    if (!chosen.length) return;
+    setBusy(true);
+    setStatus(null);
+    const failures = [];
+    // prefer the legend label for file / table names; converters fall back to fc.metadata.name
+    const named = chosen.map((d) => ({
+      label: d.label,
+      fc: {
+        ...d.geojson,
+        metadata: { ...(d.geojson.metadata || {}), name: safeName(d.label || d.geojson.metadata?.name) },
+      },
+    }));
+
+    if (format === "geopackage") {
+      // GeoPackage holds every dataset as its own table in a single file
+      try {
+        const { blob, filename } = await geojsonToGeoPackage(
+          named.map((n) => n.fc),
+          { name: named.length === 1 ? named[0].fc.metadata.name : "export" }
+        );
+        downloadBlob(blob, filename);
+      } catch (err) {
+        console.error("[ExportPanel] GeoPackage export failed", err);
+        failures.push(err?.message || String(err));
+      }
+    } else if (format === "topojson") {
+      // one topology for all datasets, so boundaries shared between them are stored once
+      try {
+        const { blob, filename } = geojsonToTopoJSON(
+          named.map((n) => n.fc),
+          {
+            name: named.length === 1 ? named[0].fc.metadata.name : "export",
+            quantization: topoGrid === "source" ? 0 : Number(topoGrid),
+            transform: topoGrid === "source" ? sourceTransform : null,
+          }
+        );
+        downloadBlob(blob, filename);
+      } catch (err) {
+        console.error("[ExportPanel] TopoJSON export failed", err);
+        failures.push(err?.message || String(err));
+      }
+    } else {
+      for (const { label, fc } of named) {
+        try {
+          const { blob, filename } = await exportFeatureCollection(fc, format, {
+            csvGeometry,
+            nameField,
+            pixelSize: Number(pixelSize),
+          });
+          downloadBlob(blob, filename);
+        } catch (err) {
+          console.error("[ExportPanel] export failed", label, err);
+          failures.push(`${label || "Dataset"}: ${err?.message || err}`);
+        }
+      }
+    }
+    setBusy(false);
+    setStatus(
+      failures.length
+        ? { kind: "error", text: failures.join("\n") }
+        : { kind: "ok", text: `Exported ${chosen.length} dataset${chosen.length !== 1 ? "s" : ""}.` }
+    );
+  };
+
+  const inputBox = {
+    border: "1px solid #e5e7eb",
+    borderRadius: 8,
+    padding: "4px 6px",
+    background: "#fff",
+    fontFamily: FONT_STACK,
+  };
+  const sectionLabel = { fontSize: 12, color: "#64748b", marginBottom: 6 };
+
   return (
     <div
       style={{
@@ -13,15 +261,115 @@ export default function ExportPanel({ onClose = () => {}, datasets = [] }) {
         zIndex: 10030,
       }}
     >
-      <div style={{ width: 560, maxWidth: "90vw", background: "#fff", borderRadius: 16, padding: 16 }}>
+      <div style={{ width: 560, maxWidth: "90vw", background: "#fff", borderRadius: 16, padding: 16, fontFamily: FONT_STACK }}>
         <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
           <div style={{ fontWeight: 700, fontSize: 16 }}>Export</div>
           <button className="btn" onClick={onClose} aria-label="Close">×</button>
         </div>
 
-        {/* ... keep the rest of your existing export UI unchanged ... */}
-        <div style={{ fontSize: 14 }}>
-          {/* existing code */}
+        <div style={{ fontSize: 14, display: "grid", gap: 14 }}>
+          {/* Datasets */}
+          <div>
+            <div style={sectionLabel}>Datasets</div>
+            {exportable.length === 0 ? (
+              <div style={{ color: "#475569" }}>No visible datasets with features to export.</div>
+            ) : (
+              <div style={{ display: "grid", gap: 6, maxHeight: 180, overflow: "auto" }}>
+                {exportable.map((d) => (
+                  <label key={d.uid} style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(d.uid)}
+                      onChange={(e) => toggle(d.uid, e.target.checked)}
+                    />
+                    <span style={{ fontWeight: 600, color: "#0f172a" }}>{d.label || d.name || "Dataset"}</span>
+                    <span style={{ fontSize: 12, color: "#64748b" }}>
+                      {d.geojson.features.length} features
+                    </span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Format */}
+          <div>
+            <div style={sectionLabel}>Format</div>
+            <select value={format} onChange={(e) => setFormat(e.target.value)} style={{ ...inputBox, width: "100%" }}>
+              {FORMATS.map((f) => (
+                <option key={f.id} value={f.id}>{f.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Format options */}
+          {format === "csv" && (
+            <div>
+              <div style={sectionLabel}>Geometry columns</div>
+              <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                <input type="radio" name="csv-geometry" checked={csvGeometry === "wkt"} onChange={() => setCsvGeometry("wkt")} />
+                <span>WKT <code>geometry</code> column</span>
+              </label>
+              <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                <input type="radio" name="csv-geometry" checked={csvGeometry === "latlng"} onChange={() => setCsvGeometry("latlng")} />
+                <span><code>lng</code>/<code>lat</code> columns (points only; other geometries as WKT)</span>
+              </label>
+            </div>
+          )}
+
+          {(format === "kml" || format === "kmz" || format === "gpx") && (
+            <label style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+              <span>Name field</span>
+              <select value={nameField} onChange={(e) => setNameField(e.target.value)} style={{ ...inputBox, width: 220 }}>
+                {!nameFields.includes(nameField) && <option value={nameField}>{nameField}</option>}
+                {nameFields.map((k) => (
+                  <option key={k} value={k}>{k}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          {format === "topojson" && (
+            <label style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+              <span>Quantization</span>
+              <select value={topoGrid} onChange={(e) => setQuantization(e.target.value)} style={{ ...inputBox, width: 220 }}>
+                {sourceTransform && <option value="source">Same as the imported file</option>}
+                {QUANTIZATIONS.map((q) => (
+                  <option key={q.id} value={q.id}>{q.label}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          {format === "geotiff" && (
+            <label style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+              <span>Pixel size (degrees)</span>
+              <input
+                type="number"
+                min={0.000001}
+                step="any"
+                value={pixelSize}
+                onChange={(e) => setPixelSize(e.target.value)}
+                style={{ ...inputBox, width: 120 }}
+              />
+            </label>
+          )}
+
+          {status && (
+            <div style={{ whiteSpace: "pre-wrap", fontSize: 12, color: status.kind === "error" ? "#b91c1c" : "#065f46" }}>
+              {status.text}
+            </div>
+          )}
+
+          <div style={{ display: "flex", justifyContent: "flex-end", gap: 8 }}>
+            <button
+              className="btn"
+              onClick={runExport}
+              disabled={busy || !chosen.length || (format === "geotiff" && !(Number(pixelSize) > 0))}
+            >
+              {busy ? "Exporting…" : `Download${chosen.length > 1 ? ` (${chosen.length})` : ""}`}
+            </button>
+          </div>
         </div>
       </div>
     </div>
@@ -0,0 +1,142 @@
+// src/components/GeoPackagePreview.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { openGeoPackage, geopackageLayerToGeoJSON } from './converters/fromFiles';
+
+/**
+ * GeoPackagePreview
+ * - Opens a .gpkg in-browser (sql.js) and lists its feature tables.
+ * - The user picks one or more layers; each becomes its own dataset via onLayersSelected([...datasets]).
+ */
+export default function GeoPackagePreview({ files, onLayersSelected }) {
+  const dbRef = useRef(null);
+  const [layers, setLayers] = useState([]);
+  const [picked, setPicked] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const file = files?.[0];
+
+  useEffect(() => {
+    let mounted = true;
+    setIsLoading(true);
+    setError(null);
+
+    (async () => {
+      try {
+        if (!file) throw new Error('No file provided');
+        const { db, layers: found } = await openGeoPackage(file);
+        if (!mounted) { db.close(); return; }
+        dbRef.current = db;
+        setLayers(found);
+        setPicked(found.length === 1 ? [found[0].table] : []);
+      } catch (err) {
+        console.error('[GeoPackage] open error', err);
+        if (mounted) setError(err?.message || String(err));
+      } finally {
+        if (mounted) setIsLoading(false);
+      }
+    })();
+
+    return () => {
+      mounted = false;
+      try { dbRef.current?.close(); } catch {}
+      dbRef.current = null;
+    };
+  }, [file]);
+
+  const toggle = (table, on) =>
+    setPicked((prev) => (on ? [...prev, table] : prev.filter((t) => t !== table)));
+
+  const addLayers = async () => {
+    const db = dbRef.current;
+    if (!db || !picked.length) return;
+    setBusy(true);
+    setError(null);
+    // let the button state paint before the synchronous SQLite reads
+    await new Promise((r) => setTimeout(r, 0));
+    try {
+      const stem = (file?.name || 'geopackage').replace(/\.gpkg$/i, '');
+      const out = layers
+        .filter((l) => picked.includes(l.table))
+        .map((l) => {
+          const geojson = geopackageLayerToGeoJSON(db, l);
+          return {
+            kind: 'geopackage',
+            label: `${stem} · ${l.identifier}`,
+            files,
+            size: file?.size,
+            previewable: true,
+            layer: l.table,
+            geojson,
+          };
+        });
+      const empty = out.filter((d) => !d.geojson.features.length);
+      if (empty.length === out.length) throw new Error('Selected layers contain no geometries');
+      onLayersSelected?.(out.filter((d) => d.geojson.features.length));
+    } catch (err) {
+      console.error('[GeoPackage] read error', err);
+      setError(err?.message || String(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const card = {
+    margin: 16,
+    width: 320,
+    background: 'rgba(255,255,255,0.97)',
+    border: '1px solid #e5e7eb',
+    borderRadius: 16,
+    boxShadow: '0 10px 30px rgba(0,0,0,0.15)',
+    padding: 12,
+    fontSize: 14,
+  };
+
+  if (isLoading) {
+    return <div style={card}>Reading GeoPackage…</div>;
+  }
+
+  return (
+    <div style={card}>
+      <div style={{ fontWeight: 700, color: '#0f172a', marginBottom: 6 }}>GeoPackage layers</div>
+      {error && <div style={{ color: '#b91c1c', marginBottom: 8 }}>{error}</div>}
+
+      {layers.length > 0 && (
+        <>
+          <div style={{ display: 'grid', gap: 6, maxHeight: 280, overflow: 'auto' }}>
+            {layers.map((l) => (
+              <label key={l.table} style={{ display: 'flex', alignItems: 'flex-start', gap: 8 }}>
+                <input
+                  type="checkbox"
+                  checked={picked.includes(l.table)}
+                  onChange={(e) => toggle(l.table, e.target.checked)}
+                  style={{ marginTop: 3 }}
+                />
+                <span>
+                  <div style={{ fontWeight: 600, color: '#0f172a' }}>{l.identifier}</div>
+                  <div style={{ fontSize: 12, color: '#64748b' }}>
+                    {l.geometryType || 'GEOMETRY'}
+                    {l.featureCount != null ? ` · ${l.featureCount} features` : ''}
+                    {l.srsId ? ` · SRS ${l.srsId}` : ''}
+                  </div>
+                </span>
+              </label>
+            ))}
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 10 }}>
+            <button
+              onClick={() => setPicked(picked.length === layers.length ? [] : layers.map((l) => l.table))}
+              style={{ background: 'none', border: 'none', color: '#008080', cursor: 'pointer', padding: 0 }}
+            >
+              {picked.length === layers.length ? 'Select none' : 'Select all'}
+            </button>
+            <button className="btn" onClick={addLayers} disabled={busy || !picked.length}>
+              {busy ? 'Loading…' : `Add ${picked.length || ''} layer${picked.length === 1 ? '' : 's'}`}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -3,8 +3,8 @@ import React, { useEffect, useRef, useState } from "react";
 
 /**
  * GeojsonPreview
- * - Parses uploaded GeoJSON and emits FeatureCollection via onConvert(...) and 'geojson:ready'.
- * - If hideInlineUI is true, no visible UI is rendered (still parses & dispatches).
+ * - Parses uploaded GeoJSON and emits FeatureCollection via onConvert(...).
+ * - If hideInlineUI is true, no visible UI is rendered (still parses & emits).
  */
 export default function GeojsonPreview({ files, onConvert, onStyleChange, hideInlineUI = false }) {
   const [fileLabel, setFileLabel] = useState("");
@@ -32,11 +32,6 @@ export default function GeojsonPreview({ files, onConvert, onStyleChange, hideIn
             : { type: "FeatureCollection", features: parsed.features || [] };
 
         onConvert?.(fc);
-        try {
-          window.dispatchEvent(
-            new CustomEvent("geojson:ready", { detail: { label: file.name, geojson: fc } })
-          );
-        } catch {}
       } catch (e) {
         setError(e?.message || String(e));
       } finally {
@@ -0,0 +1,156 @@
+// src/components/GeoprocessingPanel.jsx
+import React, { useMemo, useState } from "react";
+import { DISTANCE_UNITS, OPERATIONS, describeStep, runOperation, withLineage } from "../utils/geoprocessing";
+import ToolPanel, { inputBox, row, useToolRun } from "./ToolPanel";
+
+const HINTS = {
+  buffer: "Area within a distance of every feature (negative distances shrink polygons).",
+  dissolve: "Merge polygons into one, or one per value of a field.",
+  clip: "Keep the parts of the input inside the clip layer's polygons.",
+  intersect: "Areas covered by polygons of both layers, with both layers' attributes.",
+  union: "Everything covered by polygons of either layer, as one shape.",
+  difference: "Input polygons with the second layer's area cut away.",
+  convexHull: "Smallest convex polygon around the whole layer.",
+  centroid: "One point at the center of each feature.",
+};
+
+/**
+ * GeoprocessingPanel
+ * - Runs one geometry operation (buffer, dissolve, clip, intersect, union, difference, hull, centroids)
+ *   on the loaded datasets and hands the result to onCreate(dataset) as a new dataset.
+ * - The run is recorded in the output's metadata.lineage, which the legend shows under the dataset.
+ */
+export default function GeoprocessingPanel({ datasets = [], activeUid = null, onCreate = () => {}, onClose = () => {} }) {
+  const usable = useMemo(() => datasets.filter((d) => d.geojson?.features?.length), [datasets]);
+
+  const [operation, setOperation] = useState("buffer");
+  const [inputUid, setInputUid] = useState(() =>
+    usable.some((d) => d.uid === activeUid) ? activeUid : usable[0]?.uid || ""
+  );
+  const [otherUid, setOtherUid] = useState(() => usable.find((d) => d.uid !== inputUid)?.uid || "");
+  const [distance, setDistance] = useState(100);
+  const [units, setUnits] = useState("meters");
+  const [field, setField] = useState("");
+  const { busy, error, run } = useToolRun();
+
+  const op = OPERATIONS.find((o) => o.id === operation);
+  const input = usable.find((d) => d.uid === inputUid) || null;
+  const other = op.inputs === 2 ? usable.find((d) => d.uid === otherUid && d.uid !== inputUid) || null : null;
+
+  const fields = useMemo(() => {
+    const keys = new Set();
+    (input?.geojson?.features || []).forEach((f) => Object.keys(f?.properties || {}).forEach((k) => keys.add(k)));
+    return Array.from(keys);
+  }, [input]);
+
+  const params = () => {
+    if (operation === "buffer") return { distance: Number(distance), units };
+    if (operation === "dissolve") return { field: fields.includes(field) ? field : null };
+    return {};
+  };
+
+  const create = () =>
+    run(() => {
+      const p = params();
+      const sources = op.inputs === 2 ? [input, other] : [input];
+      const fc = runOperation(operation, sources.map((d) => d.geojson), p);
+      if (!fc.features.length) throw new Error(`${op.label} produced no features.`);
+      const step = { operation, params: p, inputs: sources.map((d) => d.label || "Dataset") };
+      const label = `${op.label} · ${sources.map((d) => d.label || "Dataset").join(" × ")}`;
+      const out = withLineage(fc, step, sources.map((d) => d.geojson));
+      onCreate({
+        kind: "geojson",
+        label,
+        files: [],
+        previewable: true,
+        geojson: { ...out, metadata: { ...out.metadata, name: label, crs: input.geojson.metadata?.crs } },
+      });
+      onClose();
+    });
+
+  const datasetOptions = (exclude) =>
+    usable
+      .filter((d) => d.uid !== exclude)
+      .map((d) => (
+        <option key={d.uid} value={d.uid}>{d.label || d.name || "Dataset"}</option>
+      ));
+
+  const ready =
+    input &&
+    (op.inputs === 1 || other) &&
+    (operation !== "buffer" || (Number.isFinite(Number(distance)) && Number(distance) !== 0));
+
+  return (
+    <ToolPanel
+      title="Geoprocessing"
+      onClose={onClose}
+      empty={usable.length === 0 ? "Load a dataset with features first." : null}
+      error={error}
+      footer={
+        <button className="btn" onClick={create} disabled={busy || !ready}>
+          {busy ? "Running…" : "Create layer"}
+        </button>
+      }
+    >
+      <label style={row}>
+        <span>Operation</span>
+        <select value={operation} onChange={(e) => setOperation(e.target.value)} style={{ ...inputBox, width: 260 }}>
+          {OPERATIONS.map((o) => (
+            <option key={o.id} value={o.id} disabled={o.inputs === 2 && usable.length < 2}>{o.label}</option>
+          ))}
+        </select>
+      </label>
+      <div style={{ fontSize: 12, color: "#64748b", marginTop: -6 }}>{HINTS[operation]}</div>
+
+      <label style={row}>
+        <span>{op.inputs === 2 ? "Input layer" : "Layer"}</span>
+        <select value={inputUid} onChange={(e) => setInputUid(e.target.value)} style={{ ...inputBox, width: 260 }}>
+          {datasetOptions(null)}
+        </select>
+      </label>
+
+      {op.inputs === 2 && (
+        <label style={row}>
+          <span>{operation === "clip" ? "Clip by" : operation === "difference" ? "Subtract" : "Overlay layer"}</span>
+          <select value={other ? otherUid : ""} onChange={(e) => setOtherUid(e.target.value)} style={{ ...inputBox, width: 260 }}>
+            <option value="" disabled>Choose a dataset</option>
+            {datasetOptions(inputUid)}
+          </select>
+        </label>
+      )}
+
+      {operation === "buffer" && (
+        <label style={row}>
+          <span>Distance</span>
+          <span style={{ display: "flex", gap: 6 }}>
+            <input type="number" step="any" value={distance} onChange={(e) => setDistance(e.target.value)}
+                   style={{ ...inputBox, width: 150 }} />
+            <select value={units} onChange={(e) => setUnits(e.target.value)} style={{ ...inputBox, width: 104 }}>
+              {DISTANCE_UNITS.map((u) => (
+                <option key={u.id} value={u.id}>{u.label}</option>
+              ))}
+            </select>
+          </span>
+        </label>
+      )}
+
+      {operation === "dissolve" && (
+        <label style={row}>
+          <span>Dissolve by</span>
+          <select value={fields.includes(field) ? field : ""} onChange={(e) => setField(e.target.value)} style={{ ...inputBox, width: 260 }}>
+            <option value="">(all into one)</option>
+            {fields.map((k) => (
+              <option key={k} value={k}>{k}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {input?.geojson?.metadata?.lineage?.length > 0 && (
+        <div style={{ fontSize: 12, color: "#64748b" }}>
+          Input lineage: {input.geojson.metadata.lineage.map(describeStep).join(" → ")}
+        </div>
+      )}
+    </ToolPanel>
+  );
+}
@@ -0,0 +1,211 @@
+// src/components/HeatmapLayer.js
+// Leaflet layer that renders a dataset's points as a kernel density heat surface on one <canvas>.
+// Used by MapWorkspace when a dataset's style has heatmap.enabled. Like CanvasFeatureLayer,
+// data / style / filter changes only repaint, so time playback animates the surface smoothly.
+import L from "leaflet";
+import { toNumber } from "../utils/symbology";
+
+const GRADIENT = { 0.4: "#2563eb", 0.6: "#06b6d4", 0.7: "#84cc16", 0.8: "#facc15", 1.0: "#dc2626" };
+
+// 256-entry RGBA lookup from the gradient, indexed by accumulated alpha
+function buildPalette() {
+  const canvas = document.createElement("canvas");
+  canvas.width = 1;
+  canvas.height = 256;
+  const ctx = canvas.getContext("2d");
+  const grad = ctx.createLinearGradient(0, 0, 0, 256);
+  Object.entries(GRADIENT).forEach(([stop, color]) => grad.addColorStop(Number(stop), color));
+  ctx.fillStyle = grad;
+  ctx.fillRect(0, 0, 1, 256);
+  return ctx.getImageData(0, 0, 1, 256).data;
+}
+
+// blurred circle every point is stamped with (drawn far off-canvas so only its shadow remains)
+function buildStamp(radius, blur) {
+  const r = radius + blur;
+  const canvas = document.createElement("canvas");
+  canvas.width = canvas.height = r * 2;
+  const ctx = canvas.getContext("2d");
+  ctx.shadowOffsetX = ctx.shadowOffsetY = r * 2;
+  ctx.shadowBlur = blur;
+  ctx.shadowColor = "black";
+  ctx.beginPath();
+  ctx.arc(-r, -r, radius, 0, Math.PI * 2, true);
+  ctx.closePath();
+  ctx.fill();
+  return { canvas, r };
+}
+
+const HeatmapLayer = L.Layer.extend({
+  options: {
+    pane: "overlayPane",
+    radius: 25, // px
+    blur: 15, // px
+    intensity: 0.6, // per-point alpha before weighting
+    field: null, // optional numeric weight field (scaled by its maximum)
+    opacity: 1,
+    filter: null, // optional feature predicate
+  },
+
+  initialize(features, options) {
+    L.setOptions(this, options);
+    this._cache = new WeakMap(); // feature -> normalized [x, y, x, y, ...] at zoom scale 1
+    this._maxWeight = 0;
+    this._setData(features);
+  },
+
+  onAdd(map) {
+    this._canvas = L.DomUtil.create("canvas", "leaflet-zoom-hide");
+    this._canvas.style.position = "absolute";
+    this._canvas.style.pointerEvents = "none";
+    this.getPane().appendChild(this._canvas);
+    this._palette = this._palette || buildPalette();
+    map.on("moveend zoomend resize viewreset", this._scheduleDraw, this);
+    this._draw();
+  },
+
+  onRemove(map) {
+    map.off("moveend zoomend resize viewreset", this._scheduleDraw, this);
+    if (this._frame) L.Util.cancelAnimFrame(this._frame);
+    this._frame = null;
+    L.DomUtil.remove(this._canvas);
+    this._canvas = null;
+  },
+
+  setFeatures(features) {
+    this._setData(features);
+    this._scheduleDraw();
+    return this;
+  },
+
+  // { radius, blur, intensity, field, opacity }
+  setOptions(options) {
+    const fieldChanged = "field" in options && options.field !== this.options.field;
+    L.setOptions(this, options);
+    if (fieldChanged) {
+      this._maxWeight = 0;
+      this._setData(this._features);
+    }
+    this._scheduleDraw();
+    return this;
+  },
+
+  setFilter(filter) {
+    this.options.filter = filter;
+    this._scheduleDraw();
+    return this;
+  },
+
+  _setData(features) {
+    this._features = (features || []).filter(
+      (f) => f?.geometry?.type === "Point" || f?.geometry?.type === "MultiPoint"
+    );
+    // weights are relative to the largest value seen so far (not per frame), so playback frames compare
+    const field = this.options.field;
+    let max = this._maxWeight;
+    if (field) {
+      for (const f of this._features) {
+        const v = toNumber(f.properties?.[field]);
+        if (v != null && v > max) max = v;
+      }
+    }
+    this._maxWeight = max;
+  },
+
+  _weight(feature) {
+    const field = this.options.field;
+    if (!field) return 1;
+    const v = toNumber(feature.properties?.[field]);
+    return v != null && v > 0 && this._maxWeight > 0 ? v / this._maxWeight : 0;
+  },
+
+  _normalized(feature) {
+    let n = this._cache.get(feature);
+    if (n === undefined) {
+      const crs = this._map.options.crs;
+      const g = feature.geometry;
+      const coords = g.type === "Point" ? [g.coordinates] : g.coordinates || [];
+      n = new Float64Array(coords.length * 2);
+      coords.forEach((c, i) => {
+        const p = crs.transformation.transform(crs.projection.project(L.latLng(c[1], c[0])), 1);
+        n[i * 2] = p.x;
+        n[i * 2 + 1] = p.y;
+      });
+      this._cache.set(feature, n);
+    }
+    return n;
+  },
+
+  _scheduleDraw() {
+    if (!this._map || this._frame) return;
+    this._frame = L.Util.requestAnimFrame(this._draw, this);
+  },
+
+  _draw() {
+    this._frame = null;
+    const map = this._map;
+    const canvas = this._canvas;
+    if (!map || !canvas) return;
+
+    const size = map.getSize();
+    const topLeft = map.containerPointToLayerPoint([0, 0]);
+    L.DomUtil.setPosition(canvas, topLeft);
+    canvas.width = size.x;
+    canvas.height = size.y;
+    canvas.style.opacity = this.options.opacity;
+
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, size.x, size.y);
+    if (!this._features.length) return;
+
+    const { radius, blur, intensity, filter } = this.options;
+    const key = `${radius}|${blur}`;
+    if (this._stampKey !== key) {
+      this._stamp = buildStamp(radius, blur);
+      this._stampKey = key;
+    }
+    const { canvas: stamp, r } = this._stamp;
+
+    // canvas px = normalized * scale - (pixelOrigin + topLeft)
+    const scale = map.options.crs.scale(map.getZoom());
+    const origin = map.getPixelOrigin();
+    const ox = origin.x + topLeft.x;
+    const oy = origin.y + topLeft.y;
+
+    // 1) accumulate density as alpha
+    for (const f of this._features) {
+      if (filter && !filter(f)) continue;
+      const w = this._weight(f);
+      if (w <= 0) continue;
+      ctx.globalAlpha = Math.min(1, Math.max(0.01, w * intensity));
+      const n = this._normalized(f);
+      for (let i = 0; i < n.length; i += 2) {
+        const x = n[i] * scale - ox;
+        const y = n[i + 1] * scale - oy;
+        if (x < -r || y < -r || x > size.x + r || y > size.y + r) continue;
+        ctx.drawImage(stamp, x - r, y - r);
+      }
+    }
+    ctx.globalAlpha = 1;
+
+    // 2) colorize alpha through the gradient
+    const img = ctx.getImageData(0, 0, size.x, size.y);
+    const px = img.data;
+    const palette = this._palette;
+    for (let i = 3; i < px.length; i += 4) {
+      const a = px[i];
+      if (!a) continue;
+      const j = a * 4;
+      px[i - 3] = palette[j];
+      px[i - 2] = palette[j + 1];
+      px[i - 1] = palette[j + 2];
+    }
+    ctx.putImageData(img, 0, 0);
+  },
+});
+
+export function heatmapLayer(features, options) {
+  return new HeatmapLayer(features, options);
+}
+
+export default HeatmapLayer;
@@ -0,0 +1,116 @@
+// src/components/IdentifyPanel.jsx
+import React, { useState } from "react";
+import { formatArea, formatLength, geodesicArea, geodesicLength } from "../utils/geometry";
+
+const FONT_STACK =
+  "'Montserrat', ui-sans-serif, system-ui, -apple-system, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, 'Noto Sans', sans-serif";
+
+function measure(geometry) {
+  const type = geometry?.type || "";
+  if (/Polygon/.test(type)) return `Area ${formatArea(geodesicArea(geometry))}`;
+  if (/LineString/.test(type)) return `Length ${formatLength(geodesicLength(geometry))}`;
+  return null;
+}
+
+function formatValue(v) {
+  if (v == null) return "";
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
+
+/**
+ * IdentifyPanel
+ * - Lists every feature found under a map click: dataset label, geometry type, length / area and properties.
+ * - results: [{ uid, label, feature }]; onZoomTo(result) focuses one of them.
+ */
+export default function IdentifyPanel({ latlng, results = [], onZoomTo = () => {}, onClose = () => {} }) {
+  const [openIdx, setOpenIdx] = useState(0);
+
+  if (!results.length) return null;
+
+  return (
+    <aside
+      style={{
+        position: "absolute",
+        right: 16,
+        top: 64,
+        zIndex: 10015,
+        width: 320,
+        maxHeight: "60vh",
+        overflow: "auto",
+        background: "#fff",
+        border: "1px solid #e5e7eb",
+        borderRadius: 16,
+        boxShadow: "0 10px 30px rgba(2,6,23,0.12)",
+        padding: 12,
+        fontFamily: FONT_STACK,
+        fontSize: 13,
+      }}
+      aria-label="Identify results"
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <div>
+          <div style={{ fontWeight: 700, color: "#0f172a" }}>
+            {results.length} feature{results.length !== 1 ? "s" : ""} here
+          </div>
+          {latlng && (
+            <div style={{ fontSize: 12, color: "#64748b" }}>
+              {latlng.lat.toFixed(5)}, {latlng.lng.toFixed(5)}
+            </div>
+          )}
+        </div>
+        <button onClick={onClose} aria-label="Close identify"
+          style={{ width: 28, height: 28, borderRadius: 8, border: "1px solid #e5e7eb", background: "#fff", cursor: "pointer" }}>
+          ×
+        </button>
+      </div>
+
+      <div style={{ display: "grid", gap: 8 }}>
+        {results.map((r, i) => {
+          const isOpen = i === openIdx;
+          const props = Object.entries(r.feature?.properties || {});
+          const m = measure(r.feature?.geometry);
+          return (
+            <div key={i} style={{ border: "1px solid #e5e7eb", borderRadius: 10, padding: 8 }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 8 }}>
+                <button
+                  onClick={() => setOpenIdx(isOpen ? -1 : i)}
+                  style={{ textAlign: "left", background: "none", border: "none", padding: 0, cursor: "pointer", fontFamily: FONT_STACK }}
+                >
+                  <div style={{ fontWeight: 600, color: "#0f172a" }}>{r.label}</div>
+                  <div style={{ fontSize: 12, color: "#64748b" }}>
+                    {r.feature?.geometry?.type || "No geometry"}
+                    {m ? ` · ${m}` : ""}
+                  </div>
+                </button>
+                <button
+                  onClick={() => onZoomTo(r)}
+                  style={{ background: "none", border: "none", color: "#008080", cursor: "pointer", padding: 0, whiteSpace: "nowrap" }}
+                >
+                  Zoom to
+                </button>
+              </div>
+
+              {isOpen && (
+                props.length ? (
+                  <table style={{ width: "100%", marginTop: 6, borderCollapse: "collapse", fontSize: 12 }}>
+                    <tbody>
+                      {props.map(([k, v]) => (
+                        <tr key={k} style={{ borderTop: "1px solid #f1f5f9" }}>
+                          <td style={{ color: "#64748b", padding: "3px 6px 3px 0", verticalAlign: "top", whiteSpace: "nowrap" }}>{k}</td>
+                          <td style={{ color: "#0f172a", padding: "3px 0", wordBreak: "break-word" }}>{formatValue(v)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                ) : (
+                  <div style={{ marginTop: 6, fontSize: 12, color: "#64748b" }}>No attributes.</div>
+                )
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </aside>
+  );
+}
@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useRef, useState, useCallback } from 'react';
 import JSZip from 'jszip';
 import * as toGeoJSON from '@tmcw/togeojson';
 
@@ -6,6 +6,8 @@ const KmzPreview = ({ files, onClose, onConvert }) => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [debugInfo, setDebugInfo] = useState('');
+  // last converted collection, for the Convert button
+  const lastGeojsonRef = useRef(null);
 
   // Convert KMZ -> KML -> GeoJSON and return FeatureCollection via onConvert
   const loadKmzAndConvert = useCallback(async () => {
@@ -40,46 +42,25 @@ const KmzPreview = ({ files, onClose, onConvert }) => {
         throw new Error('No features found in KML conversion');
       }
 
-      // Clean coordinates (existing logic preserved)
+      // Drop altitudes; positions are kept as parsed so the geometry report can flag bad ones
       const processedFeatures = [];
       geojson.features.forEach((feature, idx) => {
         try {
           if (feature.geometry && feature.geometry.coordinates) {
-            const cleanCoords = (coords) => {
-              if (!coords) return null;
-              if (typeof coords[0] === 'number') {
-                if (coords.length >= 2) {
-                  const [lng, lat] = coords;
-                  if (!isNaN(lng) && !isNaN(lat) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
-                    return [lng, lat];
-                  }
-                }
-                return null;
-              }
-              // nested
-              const c = coords.map(cleanCoords).filter(Boolean);
-              return c.length ? c : null;
-            };
-
-            const cleaned = cleanCoords(feature.geometry.coordinates);
-            if (cleaned) {
-              feature.geometry.coordinates = cleaned;
-              processedFeatures.push(feature);
-            } else {
-              console.warn(`[KMZ] Skipping feature ${idx}: invalid coordinates`);
-            }
+            const dropZ = (coords) => (typeof coords[0] === 'number' ? coords.slice(0, 2) : coords.map(dropZ));
+            feature.geometry.coordinates = dropZ(feature.geometry.coordinates);
           }
+          processedFeatures.push(feature);
         } catch (e) {
           console.warn(`[KMZ] Error processing feature ${idx}:`, e);
         }
       });
 
-      if (processedFeatures.length === 0) throw new Error('No valid features after processing');
+      if (!processedFeatures.some((f) => f.geometry)) throw new Error('No valid features after processing');
 
       const fc = { type: 'FeatureCollection', features: processedFeatures };
 
-      // expose for debugging
-      try { window.__DEBUG_LAST_GEOJSON__ = fc; } catch (e) {}
+      lastGeojsonRef.current = fc;
 
       setDebugInfo(`Converted ${processedFeatures.length} features.`);
       if (typeof onConvert === 'function') onConvert(fc);
@@ -127,7 +108,7 @@ const KmzPreview = ({ files, onClose, onConvert }) => {
       <div className="mt-3 flex gap-2">
         {typeof onConvert === 'function' && (
           <button
-            onClick={() => { if (typeof onConvert === 'function') onConvert(window.__DEBUG_LAST_GEOJSON__); }}
+            onClick={() => { if (typeof onConvert === 'function') onConvert(lastGeojsonRef.current); }}
             className="px-3 py-1 bg-blue-600 text-white rounded"
           >
             Open in GeoJSON Preview
@@ -1,35 +1,126 @@
 // src/components/MapWorkspace.jsx
-import React, { useEffect, useRef, useState } from "react";
+import React, { useEffect, useMemo, useRef } from "react";
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
+import { symbolFor } from "../utils/symbology";
+import { geometryBBox, hitTestGeometry, isPointFeature, nearestVertex } from "../utils/geometry";
+import { describeMeasurement, measurementFeature } from "../utils/measure";
+import { insertVertex, midpointHandles, moveVertex, sketchGeometry, vertexHandles } from "../utils/editGeometry";
+import { canvasFeatureLayer } from "./CanvasFeatureLayer";
+import { toEpoch } from "./useTimeFilter";
+import { pointClusterLayer } from "./PointClusterLayer";
+import { heatmapLayer } from "./HeatmapLayer";
+import useWorkspace from "./useWorkspace";
+
+// datasets with at least this many features are drawn on a single canvas instead of SVG
+const CANVAS_THRESHOLD = 5000;
+
+const HIGHLIGHT_STYLE = { color: "#f97316", weight: 4, opacity: 1, fillColor: "#fdba74", fillOpacity: 0.35 };
+// measurements and features being drawn / edited
+const SKETCH_STYLE = { color: "#0f766e", weight: 3, opacity: 1, fillColor: "#14b8a6", fillOpacity: 0.15 };
+const VERTEX_ICON = L.divIcon({
+  className: "",
+  iconSize: [12, 12],
+  html: '<div style="width:8px;height:8px;border:2px solid #0f766e;background:#fff;border-radius:2px"></div>',
+});
+const MIDPOINT_ICON = L.divIcon({
+  className: "",
+  iconSize: [10, 10],
+  html: '<div style="width:6px;height:6px;border:2px solid #0f766e;background:#fff;border-radius:50%;opacity:0.6"></div>',
+});
+
+// dataset panes stack above Leaflet's overlayPane (400); the selection pane stays above them all
+const DATASET_PANE_BASE = 410;
+const SELECTION_PANE_Z = 640;
+const SKETCH_PANE_Z = 650;
+const EDIT_PANE_Z = 660;
+const MAX_MIDPOINT_VERTICES = 1000;
+
+const paneName = (uid) => `dataset-${uid}`;
+
+// z-index of a dataset pane from its position in layerOrder (index 0 = top)
+function paneZIndex(layerOrder, uid) {
+  const idx = layerOrder.indexOf(uid);
+  return DATASET_PANE_BASE + (idx < 0 ? 0 : layerOrder.length - idx);
+}
+
+// geometry bboxes, computed once per feature object: [minX, minY, maxX, maxY]
+const bboxCache = new WeakMap();
+
+function cachedBBox(feature) {
+  let bb = bboxCache.get(feature);
+  if (bb === undefined) {
+    bb = geometryBBox(feature.geometry);
+    bboxCache.set(feature, bb);
+  }
+  return bb;
+}
+
+// LatLngBounds of all features in the given datasets (without building Leaflet layers)
+function featureBounds(datasets) {
+  const bounds = L.latLngBounds([]);
+  for (const d of datasets) {
+    for (const feature of d.geojson?.features || []) {
+      const bb = feature?.geometry && cachedBBox(feature);
+      if (!bb) continue;
+      bounds.extend([bb[1], bb[0]]);
+      bounds.extend([bb[3], bb[2]]);
+    }
+  }
+  return bounds;
+}
 
-// safely set nested value by path, e.g. setByPath(obj, "point.color", "#ff0")
-function setByPath(target, path, value) {
-  if (!path || typeof path !== "string") return;
-  const parts = path.split(".");
-  let cur = target;
-  for (let i = 0; i < parts.length - 1; i++) {
-    const k = parts[i];
-    if (!cur[k] || typeof cur[k] !== "object") cur[k] = {};
-    cur = cur[k];
+// every rendered feature under a click, across the given datasets (top-most dataset first)
+function identifyFeatures(map, latlng, { datasets, filterFn }, tolerance = 6) {
+  const pt = [latlng.lng, latlng.lat];
+  const project = ([lng, lat]) => map.latLngToContainerPoint([lat, lng]);
+  const c = map.latLngToContainerPoint(latlng);
+  const sw = map.containerPointToLatLng([c.x - tolerance, c.y + tolerance]);
+  const ne = map.containerPointToLatLng([c.x + tolerance, c.y - tolerance]);
+
+  const results = [];
+  // datasets arrive in drawing order, top-most first
+  for (const d of datasets) {
+    for (const feature of d.geojson?.features || []) {
+      if (!feature?.geometry) continue;
+      const bb = cachedBBox(feature);
+      if (!bb || bb[0] > ne.lng || bb[2] < sw.lng || bb[1] > ne.lat || bb[3] < sw.lat) continue;
+      if (filterFn && !filterFn(feature)) continue;
+      if (hitTestGeometry(feature.geometry, pt, project, tolerance)) {
+        results.push({ uid: d.uid, label: d.label || d.name || "Dataset", feature });
+      }
+    }
   }
-  cur[parts[parts.length - 1]] = value;
+  return results;
 }
 
-function parseTimeMaybe(v) {
-  if (v == null) return NaN;
-  if (typeof v === "number") return v; // assume epoch ms
-  if (typeof v === "string") {
-    const num = Number(v);
-    if (!Number.isNaN(num) && v.trim() !== "") return num;
-    const t = Date.parse(v);
-    return Number.isNaN(t) ? NaN : t;
+// nearest vertex of any rendered feature within `tolerance` px of the cursor, as [lon, lat] (or null)
+function snapToVertex(map, latlng, { datasets, filterFn }, tolerance = 10) {
+  const pt = [latlng.lng, latlng.lat];
+  const project = ([lng, lat]) => map.latLngToContainerPoint([lat, lng]);
+  const c = map.latLngToContainerPoint(latlng);
+  const sw = map.containerPointToLatLng([c.x - tolerance, c.y + tolerance]);
+  const ne = map.containerPointToLatLng([c.x + tolerance, c.y - tolerance]);
+
+  let best = null;
+  for (const d of datasets) {
+    for (const feature of d.geojson?.features || []) {
+      if (!feature?.geometry) continue;
+      const bb = cachedBBox(feature);
+      if (!bb || bb[0] > ne.lng || bb[2] < sw.lng || bb[1] > ne.lat || bb[3] < sw.lat) continue;
+      if (filterFn && !filterFn(feature)) continue;
+      const hit = nearestVertex(feature.geometry, pt, project, tolerance);
+      if (hit && (!best || hit.distance < best.distance)) best = hit;
+    }
   }
-  return NaN;
+  return best ? best.position : null;
 }
 
-function buildLayerGroup(L, featureCollection, styles, filterFn) {
-  const { point = {}, line = {}, poly = {} } = styles || {};
+// styleMap entry -> concrete symbol settings shared by the SVG and canvas renderers
+function resolveLayerStyle(styles) {
+  const { point = {}, line = {}, poly = {}, renderer = null } = styles || {};
+  // per-layer opacity scales every other opacity of the layer
+  const layerOpacity = typeof styles?.opacity === "number" ? styles.opacity : 1;
   const ptStyle = {
     radius: point.radius ?? 6,
     color: point.color ?? "#2563eb",
@@ -48,69 +139,175 @@ function buildLayerGroup(L, featureCollection, styles, filterFn) {
     fillOpacity:
       typeof poly.fillOpacity === "number" ? poly.fillOpacity : 0.3,
   };
+  return { ptStyle, lnStyle, pgStyle, layerOpacity, renderer };
+}
+
+// styleMap entry -> HeatmapLayer options
+function resolveHeatOptions(styles) {
+  const heat = styles?.heatmap || {};
+  return {
+    radius: heat.radius ?? 25,
+    blur: heat.blur ?? 15,
+    intensity: typeof heat.intensity === "number" ? heat.intensity : 0.6,
+    field: heat.field || null,
+    opacity: typeof styles?.opacity === "number" ? styles.opacity : 1,
+  };
+}
+
+// SVG layers for a dataset. `include` fixes which features get a layer at all; the group's
+// setFilter(fn) then shows / hides those layers in place (time playback) without rebuilding them.
+// onFeature(feature, layer) is called for every rendered feature (used for click-to-select);
+// pane is the dataset's own Leaflet pane, which fixes its drawing order
+function buildLayerGroup(L, featureCollection, styles, include, onFeature, pane) {
+  const { ptStyle, lnStyle, pgStyle, layerOpacity, renderer } = resolveLayerStyle(styles);
 
   const group = L.layerGroup();
 
   const baseFilter = (f, types) =>
-    types.includes(f?.geometry?.type) && (!filterFn || filterFn(f));
+    types.includes(f?.geometry?.type) && (!include || include(f));
+
+  // data-driven symbol (color and/or size) overrides the single-symbol style per feature
+  const sym = (f) => symbolFor(renderer, f) || {};
 
   const pts = L.geoJSON(featureCollection, {
-    pointToLayer: (feat, latlng) =>
-      L.circleMarker(latlng, {
-        radius: ptStyle.radius,
-        color: ptStyle.color,
+    pointToLayer: (feat, latlng) => {
+      const s = sym(feat);
+      return L.circleMarker(latlng, {
+        pane,
+        radius: s.size ?? ptStyle.radius,
+        color: s.color ?? ptStyle.color,
         weight: ptStyle.strokeWidth,
-        fillColor: ptStyle.color,
-        fillOpacity: 0.9,
-      }),
+        opacity: layerOpacity,
+        fillColor: s.color ?? ptStyle.color,
+        fillOpacity: 0.9 * layerOpacity,
+      });
+    },
     filter: (f) => baseFilter(f, ["Point", "MultiPoint"]),
+    onEachFeature: onFeature,
+    pane,
   });
 
   const lines = L.geoJSON(featureCollection, {
-    style: () => ({
-      color: lnStyle.color,
-      weight: lnStyle.width,
-      opacity: lnStyle.opacity,
-      dashArray: lnStyle.dash,
-    }),
+    style: (f) => {
+      const s = sym(f);
+      return {
+        color: s.color ?? lnStyle.color,
+        weight: s.size != null ? Math.max(1, s.size / 2) : lnStyle.width,
+        opacity: lnStyle.opacity * layerOpacity,
+        dashArray: lnStyle.dash,
+      };
+    },
     filter: (f) => baseFilter(f, ["LineString", "MultiLineString"]),
+    onEachFeature: onFeature,
+    pane,
   });
 
   const polys = L.geoJSON(featureCollection, {
-    style: () => ({
-      color: pgStyle.stroke,
-      weight: pgStyle.width,
-      fillColor: pgStyle.fill,
-      fillOpacity: pgStyle.fillOpacity,
-    }),
+    style: (f) => {
+      const s = sym(f);
+      return {
+        color: pgStyle.stroke,
+        weight: pgStyle.width,
+        opacity: layerOpacity,
+        fillColor: s.color ?? pgStyle.fill,
+        // choropleths read better with a stronger fill than the default overlay tint
+        fillOpacity: (s.color ? Math.max(pgStyle.fillOpacity, 0.7) : pgStyle.fillOpacity) * layerOpacity,
+      };
+    },
     filter: (f) => baseFilter(f, ["Polygon", "MultiPolygon"]),
+    onEachFeature: onFeature,
+    pane,
   });
 
-  pts.addTo(group);
-  lines.addTo(group);
+  // within a dataset: polygons under lines under points
   polys.addTo(group);
+  lines.addTo(group);
+  pts.addTo(group);
+
+  const members = []; // { parent, layer } for every feature layer
+  [polys, lines, pts].forEach((parent) => parent.eachLayer((layer) => members.push({ parent, layer })));
+  group.setFilter = (filterFn) => {
+    members.forEach(({ parent, layer }) => {
+      const show = !filterFn || filterFn(layer.feature);
+      if (show !== parent.hasLayer(layer)) {
+        if (show) parent.addLayer(layer);
+        else parent.removeLayer(layer);
+      }
+    });
+  };
   return group;
 }
 
 export default function MapWorkspace({
   datasets = [],
   active = null,
-  styleOptions = {},
   // NEW: only fit once, keep overview during playback
   fitOnFirstData = true,
+  // { uid, feature, source } — source "map" (picked by clicking) skips the zoom
+  selection = null,
+  onFeatureClick = () => {},
+  // ({ latlng, results: [{ uid, label, feature }] }) for every map click
+  onIdentify = () => {},
+  // every dataset uid (hidden ones too), top-most first; fixes each dataset's pane z-index
+  layerOrder = [],
+  // measuring: { tool, units, positions: [[lon, lat]], measurements: [Feature] }; clicks then add
+  // (vertex-snapped) positions through onMeasureClick and a double-click calls onMeasureFinish
+  measure = null,
+  onMeasureClick = () => {},
+  onMeasureFinish = () => {},
+  // editing: { uid, tool: "select" | "point" | "line" | "polygon", positions, feature }; drawing tools
+  // capture clicks like measuring (onEditClick / onEditFinish), while in "select" the selected `feature`
+  // gets vertex handles: drag to move, drag / click a midpoint to insert, right-click to remove
+  edit = null,
+  onEditClick = () => {},
+  onEditFinish = () => {},
+  onVertexEdit = () => {}, // ("move" | "insert" | "remove", path, position)
+  // { center: [lat, lng], zoom } to jump to (e.g. a reopened project); replaces the first-data fit
+  view = null,
+  // ({ center: [lat, lng], zoom }) after every pan / zoom
+  onViewChange = () => {},
+  // (map) with this instance's Leaflet map once created, (null) when it is removed; e.g. for raster overlays
+  onMapReady = () => {},
 }) {
   const mapRef = useRef(null);
   const mapEl = useRef(null);
 
   const baseRefs = useRef({}); // name -> base layer
-  const datasetLayersRef = useRef({}); // uid -> L.LayerGroup
-
-  const [liveStyle, setLiveStyle] = useState(styleOptions || {});
-  const [timeFilter, setTimeFilter] = useState({
-    field: null,
-    start: null,
-    end: null,
-  });
+  const datasetLayersRef = useRef({}); // uid -> { mode: "svg" | "canvas" | "cluster" | "heatmap", layer, geojson, styles, filterFn }
+  const highlightRef = useRef(null);
+  const onFeatureClickRef = useRef(onFeatureClick);
+  onFeatureClickRef.current = onFeatureClick;
+  const onIdentifyRef = useRef(onIdentify);
+  onIdentifyRef.current = onIdentify;
+  const onViewChangeRef = useRef(onViewChange);
+  onViewChangeRef.current = onViewChange;
+  const onMapReadyRef = useRef(onMapReady);
+  onMapReadyRef.current = onMapReady;
+  const layerOrderRef = useRef(layerOrder);
+  layerOrderRef.current = layerOrder;
+  // clicks that sketch (measuring, or drawing a new feature) instead of selecting / identifying
+  const sketchRef = useRef(null);
+  sketchRef.current = measure?.tool
+    ? { positions: measure.positions || [], onClick: onMeasureClick, onFinish: onMeasureFinish }
+    : edit?.tool && edit.tool !== "select"
+      ? { positions: edit.positions || [], onClick: onEditClick, onFinish: onEditFinish }
+      : null;
+  const editingRef = useRef(false);
+  editingRef.current = !!edit;
+  const onVertexEditRef = useRef(onVertexEdit);
+  onVertexEditRef.current = onVertexEdit;
+  const measureLayerRef = useRef(null); // finished measurements + the sketch in progress
+  const editLayerRef = useRef(null); // feature being drawn, or vertex handles of the one being edited
+  const sketchHoverRef = useRef(null); // rubber band to the cursor + snap marker
+  const featureClickedRef = useRef(false); // an SVG feature already handled the current click
+  // datasets currently drawn and the time predicate hiding some of their features (applied on click)
+  const renderedRef = useRef({ datasets: [], filterFn: null });
+
+  // dataset styles, basemap and the optional time predicate come from the workspace store of the enclosing
+  // WorkspaceProvider, so maps under different providers don't affect each other
+  const styleMap = useWorkspace((s) => s.styles);
+  const basemap = useWorkspace((s) => s.basemap);
+  const timeFilter = useWorkspace((s) => s.timeFilter);
 
   // NEW: remember if we've already auto-fitted
   const didFitRef = useRef(false);
@@ -144,6 +341,19 @@ export default function MapWorkspace({
     // ensure vector renderer exists
     L.svg().addTo(map);
 
+    // selection highlight sits above data layers, regardless of redraw order
+    map.createPane("selection");
+    map.getPane("selection").style.zIndex = SELECTION_PANE_Z;
+    map.getPane("selection").style.pointerEvents = "none";
+    map.createPane("sketch");
+    map.getPane("sketch").style.zIndex = SKETCH_PANE_Z;
+    map.getPane("sketch").style.pointerEvents = "none";
+    map.createPane("edit");
+    map.getPane("edit").style.zIndex = EDIT_PANE_Z;
+    measureLayerRef.current = L.layerGroup().addTo(map);
+    editLayerRef.current = L.layerGroup().addTo(map);
+    sketchHoverRef.current = L.layerGroup().addTo(map);
+
     const invalidate = () => {
       try {
         map.invalidateSize(false);
@@ -153,134 +363,415 @@ export default function MapWorkspace({
     setTimeout(invalidate, 0);
     window.addEventListener("resize", invalidate);
 
-    // style updates
-    const onStyle = (e) => {
-      const { path, value } = (e && e.detail) || {};
-      if (!path) return;
-      setLiveStyle((prev) => {
-        const next = { ...prev };
-        setByPath(next, path, value);
-        return next;
-      });
-    };
-    window.addEventListener("geojson:style", onStyle);
-
-    // basemap selection
-    const onBasemap = (e) => {
-      const { name } = (e && e.detail) || {};
-      const map = mapRef.current;
-      if (!map || !name) return;
-
-      if (!baseRefs.current[name]) {
-        let url = "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
-        if (name === "Carto Voyager")
-          url =
-            "https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png";
-        if (name === "Carto Positron")
-          url =
-            "https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png";
-        if (name === "Esri WorldImagery")
-          url =
-            "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}";
-        baseRefs.current[name] = L.tileLayer(url, { attribution: "" });
+    // identify: report everything under the click, including overlapping polygons
+    const onMapClick = (e) => {
+      if (sketchRef.current) {
+        featureClickedRef.current = false;
+        const snapped = snapToVertex(map, e.latlng, renderedRef.current);
+        sketchRef.current.onClick(snapped || [e.latlng.lng, e.latlng.lat]);
+        return;
       }
+      const results = identifyFeatures(map, e.latlng, renderedRef.current);
+      // canvas layers have no per-feature events; select their top-most hit from here instead
+      if (!featureClickedRef.current) {
+        const hit = results.find((r) => {
+          const entry = datasetLayersRef.current[r.uid];
+          if (entry?.mode === "canvas") return true;
+          // points of clustered / heatmap datasets aren't drawn individually; only their other shapes are
+          return !!entry?.pointMode && entry.baseMode === "canvas" && !isPointFeature(r.feature);
+        });
+        if (hit) onFeatureClickRef.current(hit.uid, hit.feature);
+      }
+      featureClickedRef.current = false;
+      onIdentifyRef.current({ latlng: e.latlng, results });
+    };
+    map.on("click", onMapClick);
 
-      Object.values(baseRefs.current).forEach((layer) => {
-        try {
-          if (map.hasLayer(layer)) map.removeLayer(layer);
-        } catch {}
+    // sketching: double-click finishes; the cursor drags a rubber band from the last position
+    const onMapDblClick = () => {
+      if (sketchRef.current) sketchRef.current.onFinish();
+    };
+    let hoverFrame = null;
+    const onMapMouseMove = (e) => {
+      if (!sketchRef.current || hoverFrame) return;
+      hoverFrame = requestAnimationFrame(() => {
+        hoverFrame = null;
+        const m = sketchRef.current;
+        const hover = sketchHoverRef.current;
+        hover.clearLayers();
+        if (!m) return;
+        const snapped = snapToVertex(map, e.latlng, renderedRef.current);
+        const cursor = snapped ? L.latLng(snapped[1], snapped[0]) : e.latlng;
+        if (snapped) {
+          L.circleMarker(cursor, { ...SKETCH_STYLE, radius: 6, fillOpacity: 0.6, pane: "sketch", interactive: false }).addTo(hover);
+        }
+        const last = m.positions[m.positions.length - 1];
+        if (last) {
+          L.polyline([[last[1], last[0]], cursor], { ...SKETCH_STYLE, weight: 2, dashArray: "4 6", pane: "sketch", interactive: false }).addTo(hover);
+        }
       });
-
-      const layer = baseRefs.current[name];
-      if (layer) layer.addTo(map);
     };
-    window.addEventListener("basemap:select", onBasemap);
+    map.on("dblclick", onMapDblClick);
+    map.on("mousemove", onMapMouseMove);
 
-    // time updates (optional; kept for compatibility)
-    const onTime = (e) => {
-      const { field = null, start = null, end = null } = (e && e.detail) || {};
-      setTimeFilter({ field, start, end });
+    const onMoveEnd = () => {
+      const c = map.getCenter();
+      onViewChangeRef.current({ center: [c.lat, c.lng], zoom: map.getZoom() });
     };
-    window.addEventListener("time:update", onTime);
+    map.on("moveend", onMoveEnd);
+    onMapReadyRef.current(map);
 
     return () => {
+      onMapReadyRef.current(null);
       window.removeEventListener("resize", invalidate);
-      window.removeEventListener("geojson:style", onStyle);
-      window.removeEventListener("basemap:select", onBasemap);
-      window.removeEventListener("time:update", onTime);
+      map.off("click", onMapClick);
+      map.off("dblclick", onMapDblClick);
+      map.off("mousemove", onMapMouseMove);
+      map.off("moveend", onMoveEnd);
+      if (hoverFrame) cancelAnimationFrame(hoverFrame);
       try {
         map.remove();
       } catch {}
     };
   }, []);
 
-  // (Re)draw data layers
+  // basemap selection
   useEffect(() => {
     const map = mapRef.current;
-    if (!map) return;
+    if (!map || !basemap) return;
+
+    if (!baseRefs.current[basemap]) {
+      let url = "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
+      if (basemap === "Carto Voyager")
+        url =
+          "https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png";
+      if (basemap === "Carto Positron")
+        url =
+          "https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png";
+      if (basemap === "Esri WorldImagery")
+        url =
+          "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}";
+      baseRefs.current[basemap] = L.tileLayer(url, { attribution: "" });
+    }
 
-    // Clear previous dataset groups
-    Object.values(datasetLayersRef.current).forEach((g) => {
+    const layer = baseRefs.current[basemap];
+    Object.values(baseRefs.current).forEach((other) => {
       try {
-        map.removeLayer(g);
+        if (other !== layer && map.hasLayer(other)) map.removeLayer(other);
       } catch {}
     });
-    datasetLayersRef.current = {};
+    if (!map.hasLayer(layer)) layer.addTo(map);
+  }, [basemap]);
+
+  // Keep pane z-indexes in sync with the legend order (no redraw needed)
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+    layerOrder.forEach((uid) => {
+      const pane = map.getPane(paneName(uid));
+      if (pane) pane.style.zIndex = paneZIndex(layerOrder, uid);
+    });
+  }, [layerOrder]);
+
+  // optional time predicate (the store's timeFilter); memoized so unchanged filters don't repaint
+  const filterFn = useMemo(() => {
+    if (!timeFilter?.field || timeFilter.start == null || timeFilter.end == null) return null;
+    // parsed like the player's domain (useTimeFilter), so both agree on which features are in range
+    const start = toEpoch(timeFilter.start);
+    const end = toEpoch(timeFilter.end);
+    return (f) => {
+      const t = toEpoch(f?.properties?.[timeFilter.field]);
+      return t != null && t >= start && t <= end;
+    };
+  }, [timeFilter]);
+
+  // Sync data layers incrementally: only datasets whose data, style or filter changed are touched.
+  // Large datasets use a canvas layer that repaints in place; small ones are (re)built as SVG.
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
 
     const visible = (datasets || []).filter(
       (d) => d && d.geojson && d.visible !== false
     );
-    if (!visible.length) return;
-
-    const activeId = active && active.uid;
-    const boundsList = [];
-
-    // optional time predicate
-    let filterFn = null;
-    if (timeFilter.field && timeFilter.start != null && timeFilter.end != null) {
-      const start =
-        typeof timeFilter.start === "number"
-          ? timeFilter.start
-          : Date.parse(timeFilter.start);
-      const end =
-        typeof timeFilter.end === "number"
-          ? timeFilter.end
-          : Date.parse(timeFilter.end);
-      filterFn = (f) => {
-        const v = f?.properties?.[timeFilter.field];
-        const t = parseTimeMaybe(v);
-        return !Number.isNaN(t) && t >= start && t <= end;
-      };
-    }
+    renderedRef.current = { datasets: visible, filterFn };
+
+    const prev = datasetLayersRef.current;
+    const next = {};
 
     visible.forEach((d) => {
-      const styles = d.uid === activeId ? liveStyle : {};
-      const group = buildLayerGroup(L, d.geojson, styles, filterFn);
-      group.addTo(map);
-      datasetLayersRef.current[d.uid] = group;
+      const styles = styleMap[d.uid] || {};
+      const entry = prev[d.uid];
+      // datasets arrive unfiltered (the time window is filterFn), so the renderer doesn't change during playback
+      const count = d.geojson.features?.length || 0;
+      const useCanvas = count >= CANVAS_THRESHOLD;
+      // point render mode: heatmap wins over clustering when both are set
+      const hasPoints =
+        (styles.heatmap?.enabled || styles.cluster?.enabled) &&
+        d.geojson.features.some(isPointFeature);
+      const pointMode = !hasPoints ? null : styles.heatmap?.enabled ? "heatmap" : "cluster";
+
+      // one pane per dataset, created on first draw and reused across toggles / redraws
+      const pane = paneName(d.uid);
+      if (!map.getPane(pane)) map.createPane(pane);
+      map.getPane(pane).style.zIndex = paneZIndex(layerOrderRef.current, d.uid);
+
+      // point-only heatmaps repaint in place, so playback doesn't rebuild the layer every frame
+      if (pointMode === "heatmap" && entry?.mode === "heatmap" && !entry.hasBase) {
+        if (entry.geojson !== d.geojson) entry.heat.setFeatures(d.geojson.features);
+        if (entry.styles !== styles) entry.heat.setOptions(resolveHeatOptions(styles));
+        if (entry.filterFn !== filterFn) entry.heat.setFilter(filterFn);
+        next[d.uid] = { ...entry, geojson: d.geojson, styles, filterFn };
+        return;
+      }
+      if (!pointMode && useCanvas && entry?.mode === "canvas") {
+        if (entry.geojson !== d.geojson) entry.layer.setFeatures(d.geojson.features);
+        if (entry.styles !== styles) entry.layer.setStyle(resolveLayerStyle(styles));
+        if (entry.filterFn !== filterFn) entry.layer.setFilter(filterFn);
+        next[d.uid] = { ...entry, geojson: d.geojson, styles, filterFn };
+        return;
+      }
+      if (!pointMode && !useCanvas && entry?.mode === "svg" && entry.geojson === d.geojson && entry.styles === styles) {
+        if (entry.filterFn !== filterFn) entry.layer.setFilter(filterFn);
+        next[d.uid] = { ...entry, filterFn };
+        return;
+      }
+      if (
+        entry?.mode === (pointMode || "svg") &&
+        (pointMode || !useCanvas) &&
+        entry.geojson === d.geojson &&
+        entry.styles === styles &&
+        entry.filterFn === filterFn
+      ) {
+        next[d.uid] = entry;
+        return;
+      }
+
+      if (entry) {
+        try {
+          map.removeLayer(entry.layer);
+        } catch {}
+      }
+      const selectFeature = (feature) => {
+        if (sketchRef.current) return; // clicks are sketching
+        featureClickedRef.current = true;
+        onFeatureClickRef.current(d.uid, feature);
+      };
+      const onFeature = (feature, l) => l.on("click", () => selectFeature(feature));
+      // clustered / heatmap datasets: points go to their own layer, everything else to the usual renderer
+      const baseFilter = pointMode
+        ? (f) => !isPointFeature(f) && (!filterFn || filterFn(f))
+        : filterFn;
+      const hasBase = !pointMode || d.geojson.features.some((f) => f?.geometry && !isPointFeature(f));
+      const baseMode = useCanvas ? "canvas" : "svg";
+      let layer = null;
+      if (hasBase) {
+        layer = useCanvas
+          ? canvasFeatureLayer(d.geojson.features, {
+              pane,
+              style: resolveLayerStyle(styles),
+              filter: baseFilter,
+            })
+          : buildLayerGroup(L, d.geojson, styles, pointMode ? (f) => !isPointFeature(f) : null, onFeature, pane);
+        if (!useCanvas) layer.setFilter(filterFn);
+      }
+      let heat = null;
+      if (pointMode) {
+        let pointsLayer;
+        if (pointMode === "heatmap") {
+          heat = heatmapLayer(d.geojson.features, { pane, filter: filterFn, ...resolveHeatOptions(styles) });
+          pointsLayer = heat;
+        } else {
+          pointsLayer = pointClusterLayer(d.geojson.features, {
+            pane,
+            style: resolveLayerStyle(styles),
+            filter: filterFn,
+            radius: styles.cluster.radius ?? 60,
+            field: styles.cluster.field || null,
+            onFeatureClick: selectFeature,
+          });
+        }
+        layer = L.layerGroup(layer ? [layer, pointsLayer] : [pointsLayer]);
+      }
+      layer.addTo(map);
+      next[d.uid] = {
+        mode: pointMode || baseMode,
+        pointMode,
+        baseMode,
+        hasBase,
+        heat,
+        layer,
+        geojson: d.geojson,
+        styles,
+        filterFn,
+      };
+    });
+
+    Object.keys(prev).forEach((uid) => {
+      if (next[uid]) return;
       try {
-        const b = L.geoJSON(d.geojson).getBounds?.();
-        if (b && b.isValid()) boundsList.push(b);
+        map.removeLayer(prev[uid].layer);
       } catch {}
     });
+    datasetLayersRef.current = next;
 
-    // ▶ Fit only once (first time we have data), then never again
-    if (fitOnFirstData && !didFitRef.current) {
+    // ▶ Fit only once (first time we have data), then never again; features drawn by hand are already in view
+    if (fitOnFirstData && !didFitRef.current && visible.length && !editingRef.current) {
       try {
-        let fit = null;
-        if (activeId && datasetLayersRef.current[activeId]) {
-          fit = datasetLayersRef.current[activeId].getBounds?.();
-        }
-        if (!fit || !fit.isValid()) {
-          fit = boundsList.reduce((acc, b) => (acc ? acc.extend(b) : b), null);
-        }
+        const activeId = active && active.uid;
+        const pick = visible.find((d) => d.uid === activeId);
+        const fit = featureBounds(pick ? [pick] : visible);
         if (fit && fit.isValid()) {
           map.fitBounds(fit.pad(0.1));
           didFitRef.current = true; // mark as done
         }
       } catch {}
     }
-  }, [datasets, active, liveStyle, timeFilter, fitOnFirstData]);
+  }, [datasets, active, styleMap, filterFn, fitOnFirstData]);
+
+  // Highlight (and, unless it was picked on the map, zoom to) the selected feature
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+    if (highlightRef.current) {
+      try {
+        map.removeLayer(highlightRef.current);
+      } catch {}
+      highlightRef.current = null;
+    }
+    if (!selection) return;
+
+    const feature = selection?.feature;
+    if (!feature?.geometry) return;
+
+    const layer = L.geoJSON(feature, {
+      pane: "selection",
+      style: () => HIGHLIGHT_STYLE,
+      pointToLayer: (f, latlng) =>
+        L.circleMarker(latlng, { ...HIGHLIGHT_STYLE, radius: 10, pane: "selection" }),
+      interactive: false,
+    }).addTo(map);
+    highlightRef.current = layer;
+
+    // picked on the map or just edited: already in view
+    if (selection.source !== "map" && selection.source !== "edit") {
+      try {
+        const b = layer.getBounds();
+        if (!b.isValid()) return;
+        const ne = b.getNorthEast();
+        if (ne.equals(b.getSouthWest())) map.setView(ne, Math.max(map.getZoom(), 16));
+        else map.fitBounds(b.pad(0.2), { maxZoom: 18 });
+      } catch {}
+    }
+  }, [selection]);
+
+  // jump to a requested view; it counts as the initial fit
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !view?.center) return;
+    map.setView(view.center, view.zoom ?? map.getZoom());
+    didFitRef.current = true;
+  }, [view]);
+
+  // sketching mode: crosshair cursor and no double-click zoom (double-click finishes the sketch)
+  const sketching = !!(measure?.tool || (edit?.tool && edit.tool !== "select"));
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+    if (sketching) map.doubleClickZoom.disable();
+    else map.doubleClickZoom.enable();
+    map.getContainer().style.cursor = sketching ? "crosshair" : "";
+    if (!sketching) sketchHoverRef.current?.clearLayers();
+  }, [sketching]);
+
+  // draw finished measurements and the one in progress, labelled in the chosen units
+  useEffect(() => {
+    const group = measureLayerRef.current;
+    if (!group) return;
+    group.clearLayers();
+    sketchHoverRef.current.clearLayers();
+    if (!measure) return;
+    const units = measure.units;
+    const draw = (feature, dashed) => {
+      const layer = L.geoJSON(feature, {
+        pane: "sketch",
+        interactive: false,
+        style: () => ({ ...SKETCH_STYLE, dashArray: dashed ? "6 6" : null }),
+      }).addTo(group);
+      const coords = feature.geometry.type === "Polygon" ? feature.geometry.coordinates[0] : feature.geometry.coordinates;
+      const anchor = feature.geometry.type === "Polygon" ? layer.getBounds().getCenter() : L.latLng(coords[coords.length - 1][1], coords[coords.length - 1][0]);
+      L.tooltip({ permanent: true, direction: "right", offset: [8, 0], pane: "sketch" })
+        .setLatLng(anchor)
+        .setContent(describeMeasurement(feature, units))
+        .addTo(group);
+    };
+    (measure.measurements || []).forEach((f) => draw(f, false));
+
+    const positions = measure.positions || [];
+    const sketch = measurementFeature(measure.tool, positions);
+    if (sketch) draw(sketch, true);
+    positions.forEach(([lng, lat]) =>
+      L.circleMarker([lat, lng], { ...SKETCH_STYLE, radius: 4, fillColor: "#fff", fillOpacity: 1, pane: "sketch", interactive: false }).addTo(group)
+    );
+  }, [measure]);
+
+  // editing: the feature being drawn, or handles on the vertices of the selected feature
+  useEffect(() => {
+    const group = editLayerRef.current;
+    if (!group) return;
+    group.clearLayers();
+    if (!edit) return;
+
+    if (edit.tool !== "select") {
+      const positions = edit.positions || [];
+      const geometry = sketchGeometry(edit.tool, positions);
+      if (geometry && geometry.type !== "Point") {
+        L.geoJSON(geometry, { pane: "edit", interactive: false, style: () => ({ ...SKETCH_STYLE, dashArray: "6 6" }) }).addTo(group);
+      }
+      positions.forEach(([lng, lat]) =>
+        L.circleMarker([lat, lng], { ...SKETCH_STYLE, radius: 4, fillColor: "#fff", fillOpacity: 1, pane: "edit", interactive: false }).addTo(group)
+      );
+      return;
+    }
+
+    const geometry = edit.feature?.geometry;
+    if (!geometry || geometry.type === "GeometryCollection") return;
+    // outline that follows a vertex while it is dragged
+    const preview = L.geoJSON(geometry, {
+      pane: "edit",
+      interactive: false,
+      style: () => ({ ...SKETCH_STYLE, fillOpacity: 0 }),
+      pointToLayer: (f, latlng) => L.circleMarker(latlng, { ...SKETCH_STYLE, radius: 6, pane: "edit", interactive: false }),
+    }).addTo(group);
+    const toPosition = (latlng) => [latlng.lng, latlng.lat];
+
+    const vertices = vertexHandles(geometry);
+    vertices.forEach(({ path, position }) => {
+      const marker = L.marker([position[1], position[0]], { icon: VERTEX_ICON, draggable: true, pane: "edit", title: "Drag to move, right-click to remove" });
+      marker.on("drag", (e) => {
+        preview.clearLayers();
+        preview.addData(moveVertex(geometry, path, toPosition(e.target.getLatLng())));
+      });
+      marker.on("dragend", (e) => onVertexEditRef.current("move", path, toPosition(e.target.getLatLng())));
+      marker.on("contextmenu", (e) => {
+        L.DomEvent.preventDefault(e.originalEvent);
+        onVertexEditRef.current("remove", path);
+      });
+      marker.addTo(group);
+    });
+    // midpoint handles double the marker count; leave them off very detailed shapes
+    const midpoints = vertices.length <= MAX_MIDPOINT_VERTICES ? midpointHandles(geometry) : [];
+    midpoints.forEach(({ path, position }) => {
+      const marker = L.marker([position[1], position[0]], { icon: MIDPOINT_ICON, draggable: true, pane: "edit", title: "Drag or click to add a vertex" });
+      marker.on("drag", (e) => {
+        preview.clearLayers();
+        preview.addData(insertVertex(geometry, path, toPosition(e.target.getLatLng())));
+      });
+      marker.on("dragend", (e) => onVertexEditRef.current("insert", path, toPosition(e.target.getLatLng())));
+      marker.on("click", () => onVertexEditRef.current("insert", path, position));
+      marker.addTo(group);
+    });
+  }, [edit]);
 
   return (
     <div
@@ -0,0 +1,139 @@
+// src/components/MeasurePanel.jsx
+import React, { useEffect } from "react";
+import { MEASURE_TOOLS, UNIT_SYSTEMS, describeMeasurement, measurementFeature } from "../utils/measure";
+
+const FONT_STACK =
+  "'Montserrat', ui-sans-serif, system-ui, -apple-system, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, 'Noto Sans', sans-serif";
+
+const HINTS = {
+  distance: "Click along the route, double-click (or Enter) to finish.",
+  area: "Click the corners, double-click (or Enter) to close the polygon.",
+  bearing: "Click the start point, then the target.",
+};
+
+/**
+ * MeasurePanel
+ * - Tool and unit pickers plus the live readout for the measurement drawn on the map (MapWorkspace does the clicking).
+ * - Finished measurements are listed here and can be saved together as a new dataset via onSave().
+ * - Enter finishes, Backspace removes the last point, Escape discards the measurement in progress.
+ */
+export default function MeasurePanel({
+  tool = "distance",
+  units = "metric",
+  positions = [],
+  measurements = [],
+  onToolChange = () => {},
+  onUnitsChange = () => {},
+  onUndo = () => {},
+  onFinish = () => {},
+  onDiscard = () => {},
+  onRemove = () => {},
+  onSave = () => {},
+  onClose = () => {},
+}) {
+  const spec = MEASURE_TOOLS.find((t) => t.id === tool) || MEASURE_TOOLS[0];
+  const sketch = measurementFeature(tool, positions);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (/^(INPUT|SELECT|TEXTAREA)$/.test(e.target?.tagName || "")) return;
+      if (e.key === "Enter") onFinish();
+      else if (e.key === "Backspace") onUndo();
+      else if (e.key === "Escape") onDiscard();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onFinish, onUndo, onDiscard]);
+
+  const inputBox = {
+    border: "1px solid #e5e7eb",
+    borderRadius: 8,
+    padding: "4px 6px",
+    background: "#fff",
+    fontFamily: FONT_STACK,
+  };
+  const linkButton = { background: "none", border: "none", color: "#008080", cursor: "pointer", padding: 0 };
+
+  return (
+    <aside
+      style={{
+        position: "absolute",
+        left: "50%",
+        top: 12,
+        transform: "translateX(-50%)",
+        zIndex: 10015,
+        width: 360,
+        maxHeight: "50vh",
+        overflow: "auto",
+        background: "#fff",
+        border: "1px solid #e5e7eb",
+        borderRadius: 16,
+        boxShadow: "0 10px 30px rgba(2,6,23,0.12)",
+        padding: 12,
+        fontFamily: FONT_STACK,
+        fontSize: 13,
+      }}
+      aria-label="Measure"
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <div style={{ fontWeight: 700, color: "#0f172a" }}>Measure</div>
+        <button onClick={onClose} aria-label="Close measure"
+          style={{ width: 28, height: 28, borderRadius: 8, border: "1px solid #e5e7eb", background: "#fff", cursor: "pointer" }}>
+          ×
+        </button>
+      </div>
+
+      <div style={{ display: "flex", gap: 6, alignItems: "center", marginBottom: 6 }}>
+        {MEASURE_TOOLS.map((t) => (
+          <button
+            key={t.id}
+            className="btn"
+            onClick={() => onToolChange(t.id)}
+            aria-pressed={t.id === tool}
+            style={t.id === tool ? { background: "#0f766e", color: "#fff" } : undefined}
+          >
+            {t.label}
+          </button>
+        ))}
+        <select value={units} onChange={(e) => onUnitsChange(e.target.value)} style={{ ...inputBox, marginLeft: "auto" }}>
+          {UNIT_SYSTEMS.map((u) => (
+            <option key={u.id} value={u.id}>{u.label}</option>
+          ))}
+        </select>
+      </div>
+      <div style={{ fontSize: 12, color: "#64748b", marginBottom: 8 }}>
+        {HINTS[spec.id]} Clicks snap to vertices of loaded features.
+      </div>
+
+      <div style={{ border: "1px solid #e5e7eb", borderRadius: 10, padding: 8, marginBottom: 8 }}>
+        <div style={{ fontWeight: 600, color: "#0f172a" }}>
+          {sketch ? describeMeasurement(sketch, units) : `${positions.length} of ${spec.min} points`}
+        </div>
+        <div style={{ display: "flex", gap: 12, marginTop: 4, fontSize: 12 }}>
+          <button onClick={onUndo} disabled={!positions.length} style={linkButton}>Undo point</button>
+          <button onClick={onDiscard} disabled={!positions.length} style={linkButton}>Discard</button>
+          {!spec.max && (
+            <button onClick={onFinish} disabled={!sketch} style={linkButton}>Finish</button>
+          )}
+        </div>
+      </div>
+
+      {measurements.length > 0 && (
+        <div style={{ display: "grid", gap: 4 }}>
+          {measurements.map((m, i) => (
+            <div key={i} style={{ display: "flex", justifyContent: "space-between", gap: 8, borderTop: "1px solid #f1f5f9", paddingTop: 4 }}>
+              <span>
+                <span style={{ color: "#64748b" }}>{MEASURE_TOOLS.find((t) => t.id === m.properties.tool)?.label}: </span>
+                {describeMeasurement(m, units)}
+              </span>
+              <button onClick={() => onRemove(i)} aria-label="Remove measurement" style={{ ...linkButton, color: "#64748b" }}>×</button>
+            </div>
+          ))}
+          <div style={{ display: "flex", justifyContent: "flex-end", marginTop: 4 }}>
+            <button className="btn" onClick={onSave}>Save as dataset</button>
+          </div>
+        </div>
+      )}
+    </aside>
+  );
+}
@@ -0,0 +1,220 @@
+// src/components/PointClusterLayer.js
+// Leaflet layer that groups a dataset's points into count badges per zoom level.
+// Used by MapWorkspace when a dataset's style has cluster.enabled; lines and polygons of the
+// dataset are drawn by the regular layers next to it.
+import L from "leaflet";
+import { CATEGORY_COLORS, symbolFor, toNumber } from "../utils/symbology";
+
+const POINT_TYPES = ["Point", "MultiPoint"];
+
+// one entry per point position (MultiPoints contribute every member)
+function pointEntries(features, filter) {
+  const out = [];
+  for (const f of features || []) {
+    const g = f?.geometry;
+    if (!g || !POINT_TYPES.includes(g.type)) continue;
+    if (filter && !filter(f)) continue;
+    const coords = g.type === "Point" ? [g.coordinates] : g.coordinates || [];
+    for (const c of coords) {
+      if (Number.isFinite(c?.[0]) && Number.isFinite(c?.[1])) out.push({ feature: f, latlng: L.latLng(c[1], c[0]) });
+    }
+  }
+  return out;
+}
+
+/**
+ * Color + description summarizing `field` over a cluster's members:
+ * - graduated renderer on the same field → class color of the mean value
+ * - otherwise → color of the dominant value (renderer color when it categorizes that field)
+ */
+function summarize(members, field, renderer, palette) {
+  if (!field) return null;
+  if (renderer?.type === "graduated" && renderer.field === field) {
+    let sum = 0;
+    let n = 0;
+    for (const m of members) {
+      const v = toNumber(m.feature.properties?.[field]);
+      if (v != null) {
+        sum += v;
+        n++;
+      }
+    }
+    if (!n) return null;
+    const mean = sum / n;
+    const sym = symbolFor(renderer, { properties: { [field]: mean } });
+    return { color: sym?.color || null, text: `mean ${field}: ${Number(mean.toPrecision(4))}` };
+  }
+
+  const counts = new Map();
+  let best = null;
+  for (const m of members) {
+    const raw = m.feature.properties?.[field];
+    const v = raw == null ? "" : String(raw);
+    const c = (counts.get(v) || 0) + 1;
+    counts.set(v, c);
+    if (!best || c > best.count) best = { value: v, count: c, feature: m.feature };
+  }
+  if (!best) return null;
+  const color =
+    renderer?.type === "categorical" && renderer.field === field
+      ? symbolFor(renderer, best.feature)?.color
+      : palette(best.value);
+  const share = Math.round((best.count / members.length) * 100);
+  return { color, text: `most common ${field}: ${best.value || "(empty)"} (${share}%)` };
+}
+
+const PointClusterLayer = L.Layer.extend({
+  options: {
+    pane: "overlayPane",
+    style: null, // resolved style: { ptStyle, layerOpacity, renderer }
+    filter: null, // optional feature predicate
+    radius: 60, // cluster cell size in screen pixels
+    field: null, // attribute summarized by the cluster color
+    onFeatureClick: null, // (feature) for clicks on unclustered points
+  },
+
+  initialize(features, options) {
+    L.setOptions(this, options);
+    this._features = features || [];
+    this._byZoom = new Map(); // zoom -> clusters
+  },
+
+  onAdd(map) {
+    this._group = L.layerGroup().addTo(map);
+    this._entries = pointEntries(this._features, this.options.filter);
+    this._palette = this._buildPalette();
+    map.on("moveend", this._update, this);
+    this._update();
+  },
+
+  onRemove(map) {
+    map.off("moveend", this._update, this);
+    map.removeLayer(this._group);
+    this._group = null;
+    this._byZoom.clear();
+  },
+
+  // stable color per distinct value of the summary field, in order of first appearance
+  _buildPalette() {
+    const field = this.options.field;
+    const index = new Map();
+    if (field) {
+      for (const e of this._entries) {
+        const raw = e.feature.properties?.[field];
+        const v = raw == null ? "" : String(raw);
+        if (!index.has(v)) index.set(v, index.size);
+      }
+    }
+    return (v) => CATEGORY_COLORS[(index.get(v) ?? 0) % CATEGORY_COLORS.length];
+  },
+
+  // grid clustering at one zoom: points sharing a radius-sized pixel cell form a cluster
+  _clustersAt(zoom) {
+    let clusters = this._byZoom.get(zoom);
+    if (clusters) return clusters;
+    const map = this._map;
+    const size = this.options.radius;
+    const cells = new Map();
+    for (const e of this._entries) {
+      const p = map.project(e.latlng, zoom);
+      const key = `${Math.floor(p.x / size)}:${Math.floor(p.y / size)}`;
+      let c = cells.get(key);
+      if (!c) {
+        c = { x: 0, y: 0, members: [] };
+        cells.set(key, c);
+      }
+      c.x += p.x;
+      c.y += p.y;
+      c.members.push(e);
+    }
+    clusters = Array.from(cells.values()).map((c) => ({
+      point: L.point(c.x / c.members.length, c.y / c.members.length),
+      members: c.members,
+    }));
+    this._byZoom.set(zoom, clusters);
+    return clusters;
+  },
+
+  _update() {
+    const map = this._map;
+    if (!map || !this._group) return;
+    this._group.clearLayers();
+
+    const zoom = map.getZoom();
+    const { ptStyle, layerOpacity, renderer } = this.options.style || {};
+    const pane = this.options.pane;
+    // at the deepest zoom every point is shown on its own
+    const clustering = zoom < map.getMaxZoom();
+    const view = map.getPixelBounds().pad(0.25);
+
+    const addPoint = ({ feature, latlng }) => {
+      const s = symbolFor(renderer, feature) || {};
+      const marker = L.circleMarker(latlng, {
+        pane,
+        radius: s.size ?? ptStyle.radius,
+        color: s.color ?? ptStyle.color,
+        weight: ptStyle.strokeWidth,
+        opacity: layerOpacity,
+        fillColor: s.color ?? ptStyle.color,
+        fillOpacity: 0.9 * layerOpacity,
+      });
+      marker.on("click", () => this.options.onFeatureClick?.(feature));
+      this._group.addLayer(marker);
+    };
+
+    if (!clustering) {
+      const bounds = L.latLngBounds(map.unproject(view.min, zoom), map.unproject(view.max, zoom));
+      this._entries.forEach((e) => bounds.contains(e.latlng) && addPoint(e));
+      return;
+    }
+
+    for (const c of this._clustersAt(zoom)) {
+      if (!view.contains(c.point)) continue;
+      if (c.members.length === 1) {
+        addPoint(c.members[0]);
+        continue;
+      }
+      this._group.addLayer(this._clusterMarker(c, zoom, pane, ptStyle, layerOpacity, renderer));
+    }
+  },
+
+  _clusterMarker(cluster, zoom, pane, ptStyle, layerOpacity, renderer) {
+    const map = this._map;
+    const n = cluster.members.length;
+    const summary = summarize(cluster.members, this.options.field, renderer, this._palette);
+    const color = summary?.color || ptStyle.color;
+    const size = Math.round(Math.min(56, 26 + Math.log10(n) * 10));
+    const label = n >= 10000 ? `${Math.round(n / 1000)}k` : n >= 1000 ? `${(n / 1000).toFixed(1)}k` : String(n);
+
+    const marker = L.marker(map.unproject(cluster.point, zoom), {
+      pane,
+      opacity: layerOpacity,
+      title: `${n} points${summary ? ` · ${summary.text}` : ""}`,
+      icon: L.divIcon({
+        className: "",
+        iconSize: [size, size],
+        html:
+          `<div style="width:${size}px;height:${size}px;border-radius:50%;display:grid;place-items:center;` +
+          `background:${color};color:#fff;font:600 12px/1 system-ui,sans-serif;` +
+          `border:3px solid rgba(255,255,255,0.85);box-shadow:0 1px 4px rgba(2,6,23,0.35);box-sizing:border-box">` +
+          `${label}</div>`,
+      }),
+    });
+
+    // expand: zoom to the members, or one level past the point where they'd still share a cell
+    marker.on("click", (e) => {
+      L.DomEvent.stopPropagation(e);
+      const bounds = L.latLngBounds(cluster.members.map((m) => m.latlng));
+      const target = Math.min(map.getBoundsZoom(bounds), map.getMaxZoom());
+      if (target > zoom) map.fitBounds(bounds.pad(0.1));
+      else map.setView(bounds.getCenter(), Math.min(zoom + 2, map.getMaxZoom()));
+    });
+    return marker;
+  },
+});
+
+export function pointClusterLayer(features, options) {
+  return new PointClusterLayer(features, options);
+}
+
+export default PointClusterLayer;
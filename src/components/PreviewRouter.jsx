@@ -1,38 +1,42 @@
-import React, { useEffect, useState } from 'react';
-import ShapefilePreview from './ShapefilePreview';
+import React, { useEffect, useRef, useState } from 'react';
 import GeoJsonPreview from './GeojsonPreview';
 import CsvExcelPreview from './CsvExcelPreview';
 import KmzPreview from './KmzPreview';
+import GeoPackagePreview from './GeoPackagePreview';
+import CrsPicker from './CrsPicker';
 
-// ✅ Use shared converters so XML types aren't JSON.parsed by mistake
-import {
-  kmlToGeoJSON,
-  kmzToGeoJSON,
-  gpxToGeoJSON,
-  csvToGeoJSON,
-  shapefileToGeoJSON,
-  // (you can import shapefileToGeoJSON if you ever want to convert in-router)
-} from './converters/fromFiles';
+// ✅ Shared converters run in a worker (src/workers/convert.worker.js) so big files don't block the UI
+import { convertInWorker, CONVERSION_STAGES } from '../utils/convertInWorker';
 
 // <-- NEW imports for raster support -->
-import { geotiffToRaster } from './converters/rasterConverters';
 import RasterPreview from './rasterPreview';
+import { getDatasetKindLabel } from '../utils/groupFilesByDataset';
 
 /**
  * PreviewRouter
- * - Centralized conversion to GeoJSON for CSV / KML / KMZ / GPX using shared converters.
+ * - Centralized conversion to GeoJSON for CSV / KML / KMZ / GPX / DXF / shapefiles using shared converters,
+ *   run in a Web Worker with stage/percent progress and a Cancel button.
  * - Emits converted FeatureCollection via onGeoJSONReady.
- * - Renders GeoJsonPreview for converted content (passes a Blob/File).
- * - Falls back to original per-format preview components where that UX is better (e.g., shapefile, Excel).
+ * - Renders GeoJsonPreview for raw GeoJSON files.
+ * - Falls back to original per-format preview components where that UX is better (e.g., Excel).
+ *
+ * GeoPackages render a layer picker; picked layers are handed to `onAddDatasets` as new datasets.
+ * TopoJSON files with several objects are handed to `onAddDatasets` as one dataset per object.
+ * Shapefiles / DXF without a usable CRS render a CrsPicker; the choice is saved on the dataset
+ * as `sourceCrs` through `onDatasetChange`, which re-runs the conversion.
  *
  * New: accepts optional `map` prop (Leaflet map instance). If provided, it will be forwarded
- * to RasterPreview; otherwise RasterPreview will use window.map as a fallback.
+ * to RasterPreview, which draws the raster on it; without one RasterPreview shows a static preview.
  */
-export default function PreviewRouter({ dataset, onGeoJSONReady, onStyleChange, map }) {
+export default function PreviewRouter({ dataset, onGeoJSONReady, onAddDatasets, onDatasetChange, onStyleChange, map }) {
   const [readyFile, setReadyFile] = useState(null);     // Blob/File for GeoJsonPreview
-  const [status, setStatus] = useState('idle');         // 'idle' | 'prepping' | 'error'
+  const [status, setStatus] = useState('idle');         // 'idle' | 'prepping' | 'cancelled' | 'error'
   const [error, setError] = useState(null);
-  const [shapefileAttempted, setShapefileAttempted] = useState(false);
+  const [crsPrompt, setCrsPrompt] = useState(null);    // message when the source CRS must be chosen
+  const [converted, setConverted] = useState(false);    // FC already emitted; nothing left to render
+  const [progress, setProgress] = useState(null);       // { stage, percent } from the conversion worker
+  const [attempt, setAttempt] = useState(0);            // bumped by Retry after a cancel
+  const abortRef = useRef(null);
 
   // <-- NEW state to hold raster preview dataset -->
   const [rasterDataset, setRasterDataset] = useState(null);
@@ -43,22 +47,8 @@ export default function PreviewRouter({ dataset, onGeoJSONReady, onStyleChange,
 
   const emitFC = ({ label, geojson }) => {
     onGeoJSONReady?.({ datasetId, label, geojson });
-    try {
-      window.__GEOJSON_CACHE__ = window.__GEOJSON_CACHE__ || {};
-      if (label) window.__GEOJSON_CACHE__[label] = geojson;
-    } catch {}
-    try {
-      window.dispatchEvent(new CustomEvent('geojson:ready', { detail: { label, geojson } }));
-    } catch {}
   };
   
-  // Helper: wrap a FeatureCollection as a File-like Blob for GeoJsonPreview
-  const toGeoJSONBlob = (fc, name) => {
-    const blob = new Blob([JSON.stringify(fc, null, 2)], { type: 'application/geo+json' });
-    try { blob.name = `${(name || 'converted').replace(/\s+/g, '_')}.geojson`; } catch {}
-    return blob;
-  };
-
   useEffect(() => {
     let mounted = true;
 
@@ -67,20 +57,29 @@ export default function PreviewRouter({ dataset, onGeoJSONReady, onStyleChange,
     setRasterDataset(null);
     setError(null);
     setStatus('idle');
-    setShapefileAttempted(false);
+    setCrsPrompt(null);
+    setConverted(false);
+    setProgress(null);
 
     if (!dataset) return;
 
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const convert = (kind) =>
+      convertInWorker(kind, dataset.files, {
+        sourceCrs: dataset.sourceCrs,
+        signal: controller.signal,
+        onProgress: (stage, percent) => mounted && setProgress({ stage, percent }),
+      });
+
     const keyFile = dataset.files?.[0];
     const label = dataset.label || (keyFile?.name ?? 'dataset');
 
+    // converted FCs go straight to the workspace (no re-serializing for GeoJsonPreview)
     const prepareFromGeoJSON = (fc) => {
       if (!mounted) return;
-      const blob = toGeoJSONBlob(fc, label);
-
-      setReadyFile(blob);
-
       emitFC({ label, geojson: fc });
+      setConverted(true);
       setStatus('idle');
     };
 
@@ -99,13 +98,14 @@ export default function PreviewRouter({ dataset, onGeoJSONReady, onStyleChange,
         const looksLikeTiff = /\.(tif|tiff)$/i.test(name) || /(tif|tiff|geotiff|raster)/i.test(dataset.kind || '');
         if (looksLikeTiff && keyFile) {
           try {
-            const rd = await geotiffToRaster(keyFile);
+            const rd = await convert('geotiff');
             if (!mounted) return;
             // rd should be { kind: 'raster', metadata, previewBlob, rawBlob }
             setRasterDataset(rd);
             setStatus('idle');
             return; // raster path ends here (no GeoJSON produced)
           } catch (err) {
+            if (err?.name === 'AbortError') throw err;
             // If geotiff parsing fails, fall back to other behavior below (e.g., show generic message)
             console.error('[PreviewRouter] geotiff parse error', err);
             // continue to other handlers / fallbacks
@@ -122,7 +122,7 @@ export default function PreviewRouter({ dataset, onGeoJSONReady, onStyleChange,
 
         // 2) CSV → GeoJSON (auto-convert)
         if (dataset.kind === 'csv' && keyFile) {
-          const fc = await csvToGeoJSON(keyFile);
+          const fc = await convert('csv');
           if (!fc?.features?.length) throw new Error('CSV produced no mappable features (need lat/lon or geometry).');
           prepareFromGeoJSON(fc);
           return;
@@ -136,46 +136,85 @@ export default function PreviewRouter({ dataset, onGeoJSONReady, onStyleChange,
 
         // 4) KML → GeoJSON (XML via togeojson)
         if (dataset.kind === 'kml' && keyFile) {
-          const fc = await kmlToGeoJSON(keyFile);
+          const fc = await convert('kml');
           prepareFromGeoJSON(fc);
           return;
         }
 
         // 5) KMZ → GeoJSON (zip of KML via togeojson)
         if (dataset.kind === 'kmz' && keyFile) {
-          const fc = await kmzToGeoJSON(keyFile);
+          const fc = await convert('kmz');
           prepareFromGeoJSON(fc);
           return;
         }
 
         // 6) GPX → GeoJSON
         if (dataset.kind === 'gpx' && keyFile) {
-          console.log(keyFile);
-          const fc = await gpxToGeoJSON(keyFile);
+          const fc = await convert('gpx');
           prepareFromGeoJSON(fc);
           return;
         }
 
-        // 7) Shapefile -> keep dedicated preview (progress, messages)
-        if ((dataset.kind === 'shapefile' || dataset.kind === 'zip') && keyFile) {
-          // mark that we attempted conversion (so fallback won't mount until this finished)
-          setShapefileAttempted(true);
+        // 6b) DXF → GeoJSON (CAD entities, layer name kept per feature)
+        if (dataset.kind === 'autocad-dxf' && keyFile) {
+          const fc = await convert('dxf');
+          prepareFromGeoJSON(fc);
+          return;
+        }
 
-          try {
-            const fc = await shapefileToGeoJSON(dataset.files);
-            prepareFromGeoJSON(fc);
-            return;
-          } catch (err) {
-            console.error('[Shapefile] parse error', err);
-            if (mounted) setStatus('idle');
-            // and then return so we don't continue with the rest of run()
+        // 6c) GeoPackage container → layer picker (handled in switch() fallback)
+        if (dataset.kind === 'geopackage') {
+          setStatus('idle');
+          return;
+        }
+
+        // 6d) TopoJSON → one dataset per object; a single object (or a dataset that is one object) converts in place
+        if (dataset.kind === 'topojson' && keyFile) {
+          const layers = await convert('topojson');
+          const own = dataset.layer != null && layers.find((l) => l.name === dataset.layer);
+          if (own || layers.length === 1) {
+            prepareFromGeoJSON((own || layers[0]).geojson);
             return;
           }
+          if (!mounted) return;
+          const stem = keyFile.name.replace(/\.topojson$/i, '');
+          onAddDatasets?.(
+            layers.map((l) => ({
+              kind: 'topojson',
+              label: `${stem} · ${l.name}`,
+              files: dataset.files,
+              size: dataset.size,
+              previewable: true,
+              layer: l.name,
+              geojson: l.geojson,
+            }))
+          );
+          setStatus('idle');
+          return;
+        }
+
+        // 7) Shapefile (zipped or loose parts); parse errors surface like any other conversion error
+        if ((dataset.kind === 'shapefile' || dataset.kind === 'zip') && keyFile) {
+          const fc = await convert('shapefile');
+          prepareFromGeoJSON(fc);
+          return;
         }
 
         // 8) Unknown or other kinds → let fallbacks handle
         setStatus('idle');
       } catch (err) {
+        if (err?.name === 'AbortError') {
+          if (!mounted) return;
+          setError('Conversion cancelled.');
+          setStatus('cancelled');
+          return;
+        }
+        if (err?.code === 'CRS_REQUIRED') {
+          if (!mounted) return;
+          setCrsPrompt(err.message);
+          setStatus('idle');
+          return;
+        }
         console.error('[PreviewRouter] prepare error', err);
         if (!mounted) return;
         setError(err?.message || String(err));
@@ -184,8 +223,11 @@ export default function PreviewRouter({ dataset, onGeoJSONReady, onStyleChange,
     };
 
     run();
-    return () => { mounted = false; };
-  }, [dataset, map]);
+    return () => {
+      mounted = false;
+      controller.abort();
+    };
+  }, [dataset, map, attempt]);
 
   // Re-mount previews when dataset identity/kind changes
   const k = `${dataset?.label || 'dataset'}::${dataset?.kind || 'unknown'}`;
@@ -199,17 +241,75 @@ export default function PreviewRouter({ dataset, onGeoJSONReady, onStyleChange,
     );
   }
 
+  if (status === 'cancelled') {
+    return (
+      <div style={{ padding: 14 }}>
+        <div style={{ color: '#374151', marginBottom: 8 }}>{error}</div>
+        <button
+          onClick={() => setAttempt((n) => n + 1)}
+          style={{ padding: '4px 10px', borderRadius: 8, border: '1px solid #e5e7eb', background: '#fff', cursor: 'pointer' }}
+        >
+          Retry
+        </button>
+      </div>
+    );
+  }
+
   if (status === 'prepping') {
-    return <div style={{ padding: 14 }}>Preparing preview…</div>;
+    const pct = progress?.percent;
+    return (
+      <div style={{ padding: 14 }}>
+        <div style={{ marginBottom: 6 }}>
+          Preparing preview…
+          {progress && (
+            <span style={{ color: '#64748b' }}>
+              {' '}{CONVERSION_STAGES[progress.stage] || progress.stage}{pct != null ? ` ${Math.round(pct)}%` : ''}
+            </span>
+          )}
+        </div>
+        {progress && (
+          <div style={{ height: 6, borderRadius: 3, background: '#e5e7eb', overflow: 'hidden', marginBottom: 8 }}>
+            <div
+              style={{
+                height: '100%',
+                width: pct != null ? `${Math.max(2, Math.min(100, pct))}%` : '100%',
+                background: '#008080',
+                opacity: pct != null ? 1 : 0.35,
+                transition: 'width 120ms linear',
+              }}
+            />
+          </div>
+        )}
+        <button
+          onClick={() => abortRef.current?.abort()}
+          style={{ padding: '4px 10px', borderRadius: 8, border: '1px solid #e5e7eb', background: '#fff', cursor: 'pointer' }}
+        >
+          Cancel
+        </button>
+      </div>
+    );
+  }
+
+  if (crsPrompt) {
+    return (
+      <CrsPicker
+        key={k}
+        message={crsPrompt}
+        onSubmit={(sourceCrs) => onDatasetChange?.({ sourceCrs })}
+      />
+    );
   }
 
+  // Converted FeatureCollection was already handed to the workspace
+  if (converted) return null;
+
   // ---------- NEW: If we produced a rasterDataset, show RasterPreview (pass map prop) ----------
   if (rasterDataset) {
     return (
       <RasterPreview
         key={k}
         dataset={rasterDataset}
-        map={map || (typeof window !== 'undefined' ? window.map : null)}
+        map={map}
         // optional props: allow RasterPreview to emit events or offer server upload
         // onExport={(opts) => ... }
       />
@@ -260,6 +360,15 @@ export default function PreviewRouter({ dataset, onGeoJSONReady, onStyleChange,
         />
       );
 
+    case 'geopackage':
+      return (
+        <GeoPackagePreview
+          key={k}
+          files={dataset.files}
+          onLayersSelected={onAddDatasets}
+        />
+      );
+
     case 'geojson':
       return (
         <GeoJsonPreview
@@ -270,12 +379,13 @@ export default function PreviewRouter({ dataset, onGeoJSONReady, onStyleChange,
         />
       );
 
-    // KML/GPX should have been converted above; if they fall through, show a friendly message
+    // KML/GPX/DXF should have been converted above; if they fall through, show a friendly message
     case 'kml':
     case 'gpx':
+    case 'autocad-dxf':
       return (
         <div style={{ padding: 14 }}>
-          Unable to prepare preview for {dataset.kind.toUpperCase()}.
+          Unable to prepare preview for {getDatasetKindLabel(dataset.kind)}.
           Please re-add the file; if the issue persists, check the console for details.
         </div>
       );
@@ -0,0 +1,163 @@
+// src/components/SpatialJoinPanel.jsx
+import React, { useMemo, useState } from "react";
+import { spatialJoin } from "../utils/spatialJoin";
+import { AGGREGATE_STATS } from "../utils/aggregate";
+import { createRenderer, describeFields } from "../utils/symbology";
+import { withLineage } from "../utils/geoprocessing";
+import { isPointFeature } from "../utils/geometry";
+import ToolPanel, { inputBox, row, sectionLabel, useToolRun } from "./ToolPanel";
+
+const isPolygon = (f) => f?.geometry?.type === "Polygon" || f?.geometry?.type === "MultiPolygon";
+const JOIN_STATS = AGGREGATE_STATS.filter((s) => s.id !== "count");
+
+/**
+ * SpatialJoinPanel
+ * - "How many features of A fall in each polygon of B": counts the join dataset's features per polygon of
+ *   the target dataset and summarizes chosen numeric fields (sum / mean / min / max).
+ * - The polygons, with the joined fields appended, go to onCreate(dataset, style) as a new dataset.
+ */
+export default function SpatialJoinPanel({ datasets = [], activeUid = null, onCreate = () => {}, onClose = () => {} }) {
+  const withFeatures = useMemo(() => datasets.filter((d) => d.geojson?.features?.length), [datasets]);
+  const polygonDatasets = useMemo(
+    () => withFeatures.filter((d) => d.geojson.features.some(isPolygon)),
+    [withFeatures]
+  );
+
+  const [targetUid, setTargetUid] = useState(() =>
+    polygonDatasets.some((d) => d.uid === activeUid) ? activeUid : polygonDatasets[0]?.uid || ""
+  );
+  const [joinUid, setJoinUid] = useState(
+    () => withFeatures.find((d) => d.uid !== targetUid && !d.geojson.features.some(isPolygon))?.uid || ""
+  );
+  const [fields, setFields] = useState([]);
+  const [stat, setStat] = useState("sum");
+  const [prefix, setPrefix] = useState("join_");
+  const [keepEmpty, setKeepEmpty] = useState(true);
+  const { busy, error, run } = useToolRun();
+
+  const target = polygonDatasets.find((d) => d.uid === targetUid) || null;
+  const joined = withFeatures.find((d) => d.uid === joinUid && d.uid !== targetUid) || null;
+  const numericFields = useMemo(
+    () => describeFields(joined?.geojson?.features || []).filter((f) => f.numeric),
+    [joined]
+  );
+  const chosenFields = fields.filter((k) => numericFields.some((f) => f.name === k));
+
+  const toggleField = (name, on) =>
+    setFields((prev) => (on ? [...prev, name] : prev.filter((k) => k !== name)));
+
+  const create = () =>
+    run(() => {
+      const fc = spatialJoin(target.geojson.features, joined.geojson.features, {
+        fields: chosenFields,
+        stat,
+        prefix,
+        keepEmpty,
+      });
+      if (!fc.features.length) throw new Error("No polygon received any joined feature.");
+      const label = `${target.label || "Polygons"} · join ${joined.label || "Dataset"}`;
+      const countField = `${prefix}count`;
+      const renderer = createRenderer(fc.features, { type: "graduated", field: countField, method: "quantile", classes: 5, ramp: "Viridis" });
+      const out = withLineage(
+        fc,
+        {
+          operation: "spatialJoin",
+          label: "Spatial join",
+          params: { fields: chosenFields, stat: chosenFields.length ? stat : null, prefix },
+          inputs: [target.label || "Polygons", joined.label || "Dataset"],
+        },
+        [target.geojson, joined.geojson]
+      );
+      onCreate(
+        {
+          kind: "geojson",
+          label,
+          files: [],
+          previewable: true,
+          geojson: { ...out, metadata: { ...out.metadata, name: label, crs: target.geojson.metadata?.crs } },
+        },
+        { renderer, poly: { fillOpacity: 0.7 } }
+      );
+      onClose();
+    });
+
+  return (
+    <ToolPanel
+      title="Spatial join"
+      onClose={onClose}
+      empty={
+        polygonDatasets.length === 0 || withFeatures.length < 2
+          ? "Load a polygon dataset and a second dataset to join onto it."
+          : null
+      }
+      error={error}
+      footer={
+        <button className="btn" onClick={create} disabled={busy || !target || !joined}>
+          {busy ? "Joining…" : "Create layer"}
+        </button>
+      }
+    >
+      <label style={row}>
+        <span>Polygons</span>
+        <select value={targetUid} onChange={(e) => setTargetUid(e.target.value)} style={{ ...inputBox, width: 260 }}>
+          {polygonDatasets.map((d) => (
+            <option key={d.uid} value={d.uid}>{d.label || d.name || "Dataset"}</option>
+          ))}
+        </select>
+      </label>
+      <label style={row}>
+        <span>Count features of</span>
+        <select value={joined ? joinUid : ""} onChange={(e) => setJoinUid(e.target.value)} style={{ ...inputBox, width: 260 }}>
+          <option value="" disabled>Choose a dataset</option>
+          {withFeatures.filter((d) => d.uid !== targetUid).map((d) => (
+            <option key={d.uid} value={d.uid}>{d.label || d.name || "Dataset"}</option>
+          ))}
+        </select>
+      </label>
+      {joined && !joined.geojson.features.every(isPointFeature) && (
+        <div style={{ fontSize: 12, color: "#64748b" }}>
+          Lines and polygons are counted by the center of their bounding box.
+        </div>
+      )}
+
+      {numericFields.length > 0 && (
+        <div>
+          <div style={sectionLabel}>Summarize fields</div>
+          <div style={{ display: "grid", gap: 8 }}>
+            <label style={row}>
+              <span>Statistic</span>
+              <select value={stat} onChange={(e) => setStat(e.target.value)} style={{ ...inputBox, width: 160 }}>
+                {JOIN_STATS.map((s) => (
+                  <option key={s.id} value={s.id}>{s.label}</option>
+                ))}
+              </select>
+            </label>
+            <div style={{ display: "grid", gap: 4, maxHeight: 140, overflow: "auto" }}>
+              {numericFields.map((f) => (
+                <label key={f.name} style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                  <input type="checkbox" checked={chosenFields.includes(f.name)}
+                         onChange={(e) => toggleField(f.name, e.target.checked)} />
+                  <span>{f.name}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div>
+        <div style={sectionLabel}>Output</div>
+        <div style={{ display: "grid", gap: 8 }}>
+          <label style={row}>
+            <span>Field prefix</span>
+            <input value={prefix} onChange={(e) => setPrefix(e.target.value)} style={{ ...inputBox, width: 160 }} />
+          </label>
+          <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <input type="checkbox" checked={keepEmpty} onChange={(e) => setKeepEmpty(e.target.checked)} />
+            <span>Keep polygons with no matches</span>
+          </label>
+        </div>
+      </div>
+    </ToolPanel>
+  );
+}
@@ -0,0 +1,81 @@
+// src/components/ToolPanel.jsx
+import React, { useState } from "react";
+
+const FONT_STACK =
+  "'Montserrat', ui-sans-serif, system-ui, -apple-system, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, 'Noto Sans', sans-serif";
+
+// shared control styles of the tool panels
+export const inputBox = {
+  border: "1px solid #e5e7eb",
+  borderRadius: 8,
+  padding: "4px 6px",
+  background: "#fff",
+  fontFamily: FONT_STACK,
+};
+export const row = { display: "flex", justifyContent: "space-between", alignItems: "center" };
+export const sectionLabel = { fontSize: 12, color: "#64748b", marginBottom: 6 };
+
+/**
+ * Busy / error state of a tool panel's action.
+ * run(task) marks the panel busy, yields once so the busy label paints before synchronous geometry work,
+ * and turns a thrown error into the panel's error message.
+ */
+export function useToolRun() {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async (task) => {
+    setBusy(true);
+    setError(null);
+    await new Promise((r) => setTimeout(r, 0));
+    try {
+      await task();
+    } catch (err) {
+      setError(err?.message || String(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return { busy, error, run };
+}
+
+/**
+ * ToolPanel
+ * - Modal shell of the tools that create a dataset (geoprocessing, aggregation, spatial join).
+ * - `empty`: message shown instead of the form when the loaded data can't be used.
+ * - `error` is shown above `footer` (the action buttons).
+ */
+export default function ToolPanel({ title, width = 520, onClose = () => {}, empty = null, error = null, footer = null, children }) {
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(15, 23, 42, 0.4)",
+        display: "grid",
+        placeItems: "center",
+        zIndex: 10030,
+      }}
+    >
+      <div style={{ width, maxWidth: "90vw", background: "#fff", borderRadius: 16, padding: 16, fontFamily: FONT_STACK }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+          <div style={{ fontWeight: 700, fontSize: 16 }}>{title}</div>
+          <button className="btn" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        {empty ? (
+          <div style={{ color: "#475569", fontSize: 14 }}>{empty}</div>
+        ) : (
+          <div style={{ fontSize: 14, display: "grid", gap: 12 }}>
+            {children}
+
+            {error && <div style={{ fontSize: 12, color: "#b91c1c", whiteSpace: "pre-wrap" }}>{error}</div>}
+
+            {footer && <div style={{ display: "flex", justifyContent: "flex-end", gap: 8 }}>{footer}</div>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
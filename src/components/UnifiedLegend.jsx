@@ -1,5 +1,11 @@
-import React, { useState } from "react";
+import React, { useMemo, useState } from "react";
 import TimePlayer from "./TimePlayer";
+import AttributeSymbology from "./AttributeSymbology";
+import { describeFields } from "../utils/symbology";
+import { isPointFeature } from "../utils/geometry";
+import { describeStep } from "../utils/geoprocessing";
+import { BASEMAPS, selectBasemap, setStyle } from "../utils/workspaceStore";
+import useWorkspace, { useWorkspaceStore } from "./useWorkspace";
 
 const theme = {
   neutral: "#F5F5F5",
@@ -9,25 +15,59 @@ const theme = {
 const FONT_STACK =
   "'Montserrat', ui-sans-serif, system-ui, -apple-system, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, 'Noto Sans', sans-serif";
 
-function emitStyle(path, value) {
-  try { window.dispatchEvent(new CustomEvent("geojson:style", { detail: { path, value } })); } catch {}
-}
-function emitBasemap(name) {
-  try { window.dispatchEvent(new CustomEvent("basemap:select", { detail: { name } })); } catch {}
-}
+// history entries shown per stack
+const HISTORY_ROWS = 5;
 
+/**
+ * UnifiedLegend
+ * - Styles and the basemap are read from and written to the workspace store (useWorkspace);
+ *   style controls reflect the active dataset's entry.
+ */
 export default function UnifiedLegend({
   datasets = [],
   active = null,
   onSelect = () => {},
   onAdd = () => {},
+  onExport = () => {},
+  onOpenTable = () => {},
+  onOpenAggregate = () => {},
+  onOpenJoin = () => {},
+  onOpenTools = () => {},
+  onOpenMeasure = () => {},
+  onEdit = () => {}, // (dataset): sketch / edit features of a dataset
+  onNewLayer = () => {},
+  validation = {}, // uid -> geometry check report ({ total, counts, offenders })
+  onOpenValidation = () => {},
   onRemove = () => {},
   onToggleVisible = () => {},
+  onReorder = () => {}, // (fromUid, toUid): move a dataset to another's position; top of the list draws on top
+  history = null, // { past, future: entry labels (oldest first), onUndo, onRedo }
   time, // {candidateFields, selectedField, setSelectedField, domain, cursor, setCursor, playing, setPlaying, setSpeed, setWindowSec}
 }) {
   const [isOpen, setIsOpen] = useState(true);
   const [styleOpen, setStyleOpen] = useState(true);
-  const [baseSel, setBaseSel] = useState("OpenStreetMap");
+  const store = useWorkspaceStore();
+  const styleMap = useWorkspace((s) => s.styles);
+  const basemap = useWorkspace((s) => s.basemap);
+  // uid is optional; without it the style applies to the active dataset
+  const emitStyle = (path, value, uid = active?.uid) => {
+    if (uid) store.dispatch(setStyle(uid, path, value));
+  };
+  const [dragUid, setDragUid] = useState(null);
+  const [dropUid, setDropUid] = useState(null);
+
+  const activeDataset = active ? datasets.find((d) => d.uid === active.uid) : null;
+  const activeStyle = (active && styleMap[active.uid]) || {};
+  const pointFields = useMemo(() => {
+    const features = activeDataset?.geojson?.features || [];
+    const points = features.filter(isPointFeature);
+    return points.length ? describeFields(points) : null; // null: no points to cluster / heat-map
+  }, [activeDataset?.geojson]);
+  const pointDisplay = activeStyle.heatmap?.enabled ? "heatmap" : activeStyle.cluster?.enabled ? "cluster" : "points";
+  const setPointDisplay = (mode) => {
+    emitStyle("cluster.enabled", mode === "cluster");
+    emitStyle("heatmap.enabled", mode === "heatmap");
+  };
 
   const card = {
     position: "absolute",
@@ -83,33 +123,87 @@ export default function UnifiedLegend({
         <div style={{ marginBottom: 10, marginTop: 4 }}>
           <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:6}}>
             <div style={{ fontSize: 12, color: "#64748b" }}>Legend</div>
-            <button className="btn" onClick={onAdd}>Add</button>
+            <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "flex-end", gap: 6 }}>
+              <button className="btn" onClick={onOpenTable} title="Attribute table for the active dataset">Table</button>
+              <button className="btn" onClick={onOpenAggregate} title="Hexbin / grid aggregation of a point dataset">Bin</button>
+              <button className="btn" onClick={onOpenJoin} title="Count / summarize one dataset's features per polygon of another">Join</button>
+              <button className="btn" onClick={onOpenTools} title="Buffer, dissolve, clip, overlay, hull, centroids">Tools</button>
+              <button className="btn" onClick={onOpenMeasure} title="Distance, area and bearing on the map">Measure</button>
+              <button className="btn" onClick={()=>onEdit(datasets.find((d) => d.uid === active?.uid))}
+                      disabled={!datasets.some((d) => d.uid === active?.uid)}
+                      title="Draw, move and delete features of the active dataset">Edit</button>
+              <button className="btn" onClick={onNewLayer} title="Empty layer to draw features into">New layer</button>
+              <button className="btn" onClick={onExport}>Export</button>
+              <button className="btn" onClick={onAdd}>Add</button>
+            </div>
           </div>
           <div style={{ display: "grid", gap: 6 }}>
             {datasets.map((d) => {
               const isActive = active && d.uid === active.uid;
               const visible = d.visible !== false;
+              const isDropTarget = dragUid && dropUid === d.uid && dragUid !== d.uid;
               return (
                 <div key={d.uid}
+                  onDragOver={(e)=>{ if (!dragUid) return; e.preventDefault(); setDropUid(d.uid); }}
+                  onDrop={(e)=>{ e.preventDefault(); if (dragUid && dragUid !== d.uid) onReorder(dragUid, d.uid); setDragUid(null); setDropUid(null); }}
                   style={{
                     display: "grid",
-                    gridTemplateColumns: "24px 1fr 28px",
+                    gridTemplateColumns: "12px 24px 1fr 28px",
                     gap: 8,
                     alignItems: "center",
                     padding: 6,
                     borderRadius: 8,
                     background: isActive ? theme.neutral : theme.white,
                     border: isActive ? `1px solid ${theme.coral}` : "1px solid #e5e7eb",
+                    boxShadow: isDropTarget ? `0 -2px 0 ${theme.coral}` : "none",
+                    opacity: dragUid === d.uid ? 0.5 : 1,
                   }}>
+                  {/* only the handle is draggable so the opacity slider keeps working */}
+                  <span draggable title="Drag to change drawing order" aria-label="Reorder dataset"
+                        onDragStart={(e)=>{
+                          setDragUid(d.uid);
+                          e.dataTransfer.effectAllowed = "move";
+                          try { e.dataTransfer.setData("text/plain", d.uid); } catch {}
+                          const row = e.currentTarget.parentElement;
+                          if (row) e.dataTransfer.setDragImage(row, 10, 10);
+                        }}
+                        onDragEnd={()=>{ setDragUid(null); setDropUid(null); }}
+                        style={{ cursor: "grab", color: "#94a3b8", userSelect: "none", lineHeight: 1 }}>⋮⋮</span>
                   <input type="checkbox" checked={!!visible}
                          onChange={(e)=>onToggleVisible(d, e.target.checked)} />
                   <button onClick={()=>onSelect(d)}
                           style={{textAlign:"left",background:"none",border:"none",cursor:"pointer"}}>
                     <div style={{ fontWeight: 600, color: "#0f172a" }}>{d.label || d.name || "Dataset"}</div>
                     <div style={{ fontSize: 12, color: "#64748b" }}>{d.kind || d.type || (d.geojson ? "GeoJSON" : d.ext || "Unknown")}</div>
+                    {d.geojson?.metadata?.crs?.name && (
+                      <div style={{ fontSize: 11, color: "#94a3b8" }}>
+                        CRS: {d.geojson.metadata.crs.name}{d.geojson.metadata.crs.source === "assumed" ? " (assumed)" : ""}
+                      </div>
+                    )}
+                    {d.geojson?.metadata?.lineage?.length > 0 && (
+                      <div style={{ fontSize: 11, color: "#94a3b8" }}
+                           title={d.geojson.metadata.lineage.map(describeStep).join("\n")}>
+                        {describeStep(d.geojson.metadata.lineage[d.geojson.metadata.lineage.length - 1])}
+                        {d.geojson.metadata.lineage.length > 1 ? ` (+${d.geojson.metadata.lineage.length - 1} earlier)` : ""}
+                      </div>
+                    )}
                   </button>
                   <button onClick={()=>onRemove(d)} aria-label="Remove dataset"
                           style={{width:28,height:28,borderRadius:8,border:"1px solid #e5e7eb",background:"#fff",cursor:"pointer"}}>×</button>
+                  <label style={{ gridColumn: "3 / 5", display: "flex", alignItems: "center", gap: 8, fontSize: 12, color: "#64748b" }}>
+                    <span>Opacity</span>
+                    <input type="range" min={0} max={1} step={0.05} style={{ flex: 1 }}
+                           value={styleMap[d.uid]?.opacity ?? 1}
+                           onChange={(e)=>emitStyle("opacity", Number(e.target.value), d.uid)} />
+                    <span style={{ width: 32, textAlign: "right" }}>{Math.round((styleMap[d.uid]?.opacity ?? 1) * 100)}%</span>
+                  </label>
+                  {validation[d.uid]?.offenders?.length > 0 && (
+                    <button onClick={()=>onOpenValidation(d)} title="Show the geometry check"
+                            style={{ gridColumn: "3 / 5", textAlign: "left", background: "none", border: "none", padding: 0,
+                                     cursor: "pointer", fontSize: 12, color: "#b45309" }}>
+                      ⚠ {validation[d.uid].offenders.length} feature{validation[d.uid].offenders.length !== 1 ? "s" : ""} with geometry issues
+                    </button>
+                  )}
                 </div>
               );
             })}
@@ -128,6 +222,94 @@ export default function UnifiedLegend({
 
       {styleOpen && (
         <div>
+          {/* By attribute */}
+          {activeDataset?.geojson && (
+            <div style={{ borderTop: "1px solid #e5e7eb", paddingTop: 10, marginBottom: 12 }}>
+              <div style={{ fontSize: 12, color: "#64748b", marginBottom: 6 }}>By attribute</div>
+              <AttributeSymbology
+                key={activeDataset.uid}
+                dataset={activeDataset}
+                renderer={activeStyle.renderer || null}
+                onChange={(renderer) => emitStyle("renderer", renderer)}
+              />
+            </div>
+          )}
+
+          {/* Point display: individual / clusters / heatmap (point datasets) */}
+          {pointFields && (
+            <div style={{ borderTop: "1px solid #e5e7eb", paddingTop: 10, marginBottom: 12 }}>
+              <div style={{ fontSize: 12, color: "#64748b", marginBottom: 6 }}>Point display</div>
+              <div style={{ display: "grid", gap: 8 }}>
+                <label style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                  <span>Show as</span>
+                  <select value={pointDisplay} style={{ ...inputBox, width: 170 }}
+                          onChange={(e)=>setPointDisplay(e.target.value)}>
+                    <option value="points">Points</option>
+                    <option value="cluster">Clusters</option>
+                    <option value="heatmap">Heatmap</option>
+                  </select>
+                </label>
+                {pointDisplay === "cluster" && (
+                  <>
+                    <label style={{ display: "flex", justifyContent: "space-between" }}>
+                      <span>Radius (px)</span>
+                      <input type="number" min={20} max={200} step={10} value={activeStyle.cluster?.radius ?? 60} style={{ ...inputBox, ...FIELD_SIZE }}
+                             onChange={(e)=>emitStyle("cluster.radius", Math.max(20, Math.min(200, Number(e.target.value) || 60)))} />
+                    </label>
+                    <label style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                      <span>Color by</span>
+                      <select value={activeStyle.cluster?.field || ""} style={{ ...inputBox, width: 170 }}
+                              onChange={(e)=>emitStyle("cluster.field", e.target.value || null)}>
+                        <option value="">Point color</option>
+                        {pointFields.map((f) => (
+                          <option key={f.name} value={f.name}>{f.name}</option>
+                        ))}
+                      </select>
+                    </label>
+                    {activeStyle.cluster?.field && (
+                      <div style={{ fontSize: 11, color: "#94a3b8" }}>
+                        Badges take the color of the most common value, or of the mean when the field has a graduated style.
+                      </div>
+                    )}
+                  </>
+                )}
+                {pointDisplay === "heatmap" && (
+                  <>
+                    <label style={{ display: "flex", justifyContent: "space-between" }}>
+                      <span>Radius (px)</span>
+                      <input type="number" min={5} max={80} value={activeStyle.heatmap?.radius ?? 25} style={{ ...inputBox, ...FIELD_SIZE }}
+                             onChange={(e)=>emitStyle("heatmap.radius", Math.max(5, Math.min(80, Number(e.target.value) || 25)))} />
+                    </label>
+                    <label style={{ display: "flex", justifyContent: "space-between" }}>
+                      <span>Blur (px)</span>
+                      <input type="number" min={0} max={50} value={activeStyle.heatmap?.blur ?? 15} style={{ ...inputBox, ...FIELD_SIZE }}
+                             onChange={(e)=>emitStyle("heatmap.blur", Math.max(0, Math.min(50, Number(e.target.value) || 0)))} />
+                    </label>
+                    <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                      <span>Intensity</span>
+                      <input type="range" min={0.05} max={1} step={0.05} style={{ flex: 1 }}
+                             value={activeStyle.heatmap?.intensity ?? 0.6}
+                             onChange={(e)=>emitStyle("heatmap.intensity", Number(e.target.value))} />
+                      <span style={{ width: 32, textAlign: "right", fontSize: 12, color: "#64748b" }}>
+                        {Math.round((activeStyle.heatmap?.intensity ?? 0.6) * 100)}%
+                      </span>
+                    </label>
+                    <label style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                      <span>Weight</span>
+                      <select value={activeStyle.heatmap?.field || ""} style={{ ...inputBox, width: 170 }}
+                              onChange={(e)=>emitStyle("heatmap.field", e.target.value || null)}>
+                        <option value="">None (count)</option>
+                        {pointFields.filter((f) => f.numeric).map((f) => (
+                          <option key={f.name} value={f.name}>{f.name}</option>
+                        ))}
+                      </select>
+                    </label>
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+
           {/* Point */}
           <div style={{ borderTop: "1px solid #e5e7eb", paddingTop: 10 }}>
             <div style={{ fontSize: 12, color: "#64748b", marginBottom: 6 }}>Point style</div>
@@ -135,11 +317,12 @@ export default function UnifiedLegend({
               <label style={{ display: "flex", justifyContent: "space-between" }}>
                 <span>Color</span>
                 <input type="color" style={{ ...inputBox, ...FIELD_SIZE, padding: 0 }}
+                       value={activeStyle.point?.color ?? "#2563eb"}
                        onChange={(e)=>emitStyle("point.color", e.target.value)} />
               </label>
               <label style={{ display: "flex", justifyContent: "space-between" }}>
                 <span>Radius</span>
-                <input type="number" min={1} max={50} defaultValue={6} style={{ ...inputBox, ...FIELD_SIZE }}
+                <input type="number" min={1} max={50} value={activeStyle.point?.radius ?? 6} style={{ ...inputBox, ...FIELD_SIZE }}
                        onChange={(e)=>emitStyle("point.radius", Math.max(1, Number(e.target.value) || 6))} />
               </label>
             </div>
@@ -152,11 +335,12 @@ export default function UnifiedLegend({
               <label style={{ display: "flex", justifyContent: "space-between" }}>
                 <span>Color</span>
                 <input type="color" style={{ ...inputBox, ...FIELD_SIZE, padding: 0 }}
+                       value={activeStyle.line?.color ?? "#10b981"}
                        onChange={(e)=>emitStyle("line.color", e.target.value)} />
               </label>
               <label style={{ display: "flex", justifyContent: "space-between" }}>
                 <span>Width</span>
-                <input type="number" min={1} max={20} defaultValue={2} style={{ ...inputBox, ...FIELD_SIZE }}
+                <input type="number" min={1} max={20} value={activeStyle.line?.width ?? 2} style={{ ...inputBox, ...FIELD_SIZE }}
                        onChange={(e)=>emitStyle("line.width", Math.max(1, Number(e.target.value) || 2))} />
               </label>
             </div>
@@ -169,11 +353,13 @@ export default function UnifiedLegend({
               <label style={{ display: "flex", justifyContent: "space-between" }}>
                 <span>Fill</span>
                 <input type="color" style={{ ...inputBox, ...FIELD_SIZE, padding: 0 }}
+                       value={activeStyle.poly?.fill ?? "#a78bfa"}
                        onChange={(e)=>emitStyle("poly.fill", e.target.value)} />
               </label>
               <label style={{ display: "flex", justifyContent: "space-between" }}>
                 <span>Stroke</span>
                 <input type="color" style={{ ...inputBox, ...FIELD_SIZE, padding: 0 }}
+                       value={activeStyle.poly?.stroke ?? "#334155"}
                        onChange={(e)=>emitStyle("poly.stroke", e.target.value)} />
               </label>
             </div>
@@ -181,17 +367,39 @@ export default function UnifiedLegend({
         </div>
       )}
 
+      {/* History */}
+      {history && (history.past.length > 0 || history.future.length > 0) && (
+        <div style={{ borderTop: "1px solid #e5e7eb", marginTop: 12, paddingTop: 10 }}>
+          <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:6}}>
+            <div style={{ fontSize: 12, color: "#64748b" }}>History</div>
+            <div style={{ display: "flex", gap: 6 }}>
+              <button className="btn" onClick={history.onUndo} disabled={!history.past.length} title="Undo (Ctrl+Z)">Undo</button>
+              <button className="btn" onClick={history.onRedo} disabled={!history.future.length} title="Redo (Ctrl+Shift+Z)">Redo</button>
+            </div>
+          </div>
+          {/* latest first: undone actions (greyed) above the ones in effect */}
+          <div style={{ display: "grid", gap: 2, fontSize: 12 }}>
+            {history.future.slice(-HISTORY_ROWS).map((label, i) => (
+              <div key={`f${i}`} style={{ color: "#94a3b8", textDecoration: "line-through" }}>{label}</div>
+            ))}
+            {history.past.slice(-HISTORY_ROWS).reverse().map((label, i) => (
+              <div key={`p${i}`} style={{ color: i === 0 ? "#0f172a" : "#475569" }}>{label}</div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Map base layers */}
       <div style={{ borderTop: "1px solid #e5e7eb", marginTop: 12, paddingTop: 10 }}>
         <div style={{ fontSize: 12, color: "#64748b", marginBottom: 6 }}>Map</div>
         <div style={{ display: "grid", gap: 6 }}>
-          {["OpenStreetMap", "Carto Voyager", "Carto Positron", "Esri WorldImagery"].map((name) => (
+          {BASEMAPS.map((name) => (
             <label key={name} style={{ display: "flex", alignItems: "center", gap: 8 }}>
               <input
                 type="radio"
                 name="basemap"
-                checked={baseSel === name}
-                onChange={() => { setBaseSel(name); emitBasemap(name); }}
+                checked={basemap === name}
+                onChange={() => store.dispatch(selectBasemap(name))}
               />
               <span>{name}</span>
             </label>
@@ -99,7 +99,7 @@ export default function UploadDropzone({ onDatasetsReady }) {
             type="file"
             multiple
             className="hidden-input"
-            accept=".shp,.shx,.dbf,.prj,.sbn,.sbx,.cpg,.json,.geojson,.csv,.xlsx,.xls,.kml,.kmz,.gpx,.tif,.tiff,.dwg,.dxf,.gpkg,.gdb,.mxd,.aprx,.lyr,.lyrx,.pdf,.pdfx,.dgnlib,.las,.laz,.hdf,.img,.osm,.cityjson,.zip"
+            accept=".shp,.shx,.dbf,.prj,.sbn,.sbx,.cpg,.json,.geojson,.topojson,.csv,.xlsx,.xls,.kml,.kmz,.gpx,.tif,.tiff,.dwg,.dxf,.gpkg,.gdb,.mxd,.aprx,.lyr,.lyrx,.pdf,.pdfx,.dgnlib,.las,.laz,.hdf,.img,.osm,.cityjson,.zip"
             onChange={onBrowse}
             style={{ display: 'none' }}
           />
@@ -0,0 +1,147 @@
+// src/components/ValidationReport.jsx
+import React, { useState } from "react";
+import { ISSUE_TYPES } from "../utils/validateGeometry";
+
+const FONT_STACK =
+  "'Montserrat', ui-sans-serif, system-ui, -apple-system, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, 'Noto Sans', sans-serif";
+
+// offenders listed per issue type before "show all"
+const LIST_LIMIT = 50;
+
+const labelOf = (id) => ISSUE_TYPES.find((t) => t.id === id)?.label || id;
+
+/**
+ * ValidationReport
+ * - Geometry problems found in one dataset after import: counts per issue type, the offending features
+ *   (click to select and zoom) and repair actions.
+ * - report: validateFeatureCollection() result; onRepair(types) writes a fixed copy as a new dataset.
+ * - repairFailed: geometries the repair that produced this dataset could not fix (kept unchanged).
+ */
+export default function ValidationReport({
+  dataset,
+  report,
+  repairFailed = 0,
+  onSelectFeature = () => {},
+  onRepair = () => {},
+  onClose = () => {},
+}) {
+  const [openType, setOpenType] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+
+  const features = dataset?.geojson?.features || [];
+  const found = ISSUE_TYPES.filter((t) => report?.counts?.[t.id]);
+  const offendersOf = (id) => (report?.offenders || []).filter((o) => o.issues.includes(id));
+
+  return (
+    <aside
+      style={{
+        position: "absolute",
+        right: 16,
+        top: 64,
+        zIndex: 10015,
+        width: 340,
+        maxHeight: "70vh",
+        overflow: "auto",
+        background: "#fff",
+        border: "1px solid #e5e7eb",
+        borderRadius: 16,
+        boxShadow: "0 10px 30px rgba(2,6,23,0.12)",
+        padding: 12,
+        fontFamily: FONT_STACK,
+        fontSize: 13,
+      }}
+      aria-label="Geometry validation"
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <div>
+          <div style={{ fontWeight: 700, color: "#0f172a" }}>Geometry check</div>
+          <div style={{ fontSize: 12, color: "#64748b" }}>
+            {dataset?.label || "Dataset"} · {report?.offenders?.length || 0} of {report?.total || 0} features with issues
+          </div>
+        </div>
+        <button onClick={onClose} aria-label="Close geometry check"
+          style={{ width: 28, height: 28, borderRadius: 8, border: "1px solid #e5e7eb", background: "#fff", cursor: "pointer" }}>
+          ×
+        </button>
+      </div>
+
+      {repairFailed > 0 && (
+        <div style={{ marginBottom: 8, padding: 8, borderRadius: 10, background: "#fef2f2", color: "#b91c1c", fontSize: 12 }}>
+          {repairFailed} geometr{repairFailed !== 1 ? "ies" : "y"} could not be repaired and {repairFailed !== 1 ? "were" : "was"} kept unchanged.
+        </div>
+      )}
+
+      {found.length === 0 ? (
+        <div style={{ color: "#64748b" }}>No geometry problems found.</div>
+      ) : (
+        <div style={{ display: "grid", gap: 8 }}>
+          {found.map((t) => {
+            const isOpen = openType === t.id;
+            const offenders = offendersOf(t.id);
+            const listed = showAll ? offenders : offenders.slice(0, LIST_LIMIT);
+            return (
+              <div key={t.id} style={{ border: "1px solid #e5e7eb", borderRadius: 10, padding: 8 }}>
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+                  <button
+                    onClick={() => { setOpenType(isOpen ? null : t.id); setShowAll(false); }}
+                    style={{ textAlign: "left", background: "none", border: "none", padding: 0, cursor: "pointer", fontFamily: FONT_STACK }}
+                  >
+                    <div style={{ fontWeight: 600, color: "#0f172a" }}>{t.label}</div>
+                    <div style={{ fontSize: 12, color: "#64748b" }}>
+                      {report.counts[t.id]} feature{report.counts[t.id] !== 1 ? "s" : ""} {isOpen ? "▾" : "▸"}
+                    </div>
+                  </button>
+                  <button
+                    onClick={() => onRepair([t.id])}
+                    style={{ background: "none", border: "none", color: "#008080", cursor: "pointer", padding: 0, whiteSpace: "nowrap" }}
+                  >
+                    {t.repair}
+                  </button>
+                </div>
+
+                {isOpen && (
+                  <div style={{ marginTop: 6, display: "grid", gap: 2 }}>
+                    {listed.map((o) => (
+                      <button
+                        key={o.index}
+                        onClick={() => onSelectFeature(features[o.index])}
+                        title={o.issues.map(labelOf).join(", ")}
+                        style={{
+                          textAlign: "left",
+                          background: "none",
+                          border: "none",
+                          borderTop: "1px solid #f1f5f9",
+                          padding: "3px 0",
+                          cursor: "pointer",
+                          fontFamily: FONT_STACK,
+                          fontSize: 12,
+                          color: "#0f172a",
+                        }}
+                      >
+                        Feature #{o.index + 1}
+                        <span style={{ color: "#64748b" }}> · {features[o.index]?.geometry?.type || "No geometry"}</span>
+                      </button>
+                    ))}
+                    {offenders.length > listed.length && (
+                      <button
+                        onClick={() => setShowAll(true)}
+                        style={{ textAlign: "left", background: "none", border: "none", color: "#008080", cursor: "pointer", padding: "3px 0" }}
+                      >
+                        Show all {offenders.length}
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+            <div style={{ fontSize: 12, color: "#64748b" }}>Repairs create a new layer; the original is kept.</div>
+            <button className="btn" onClick={() => onRepair(found.map((t) => t.id))}>Repair all</button>
+          </div>
+        </div>
+      )}
+    </aside>
+  );
+}
@@ -2,18 +2,45 @@
 import JSZip from 'jszip';
 import * as toGeoJSON from '@tmcw/togeojson';
 import Papa from 'papaparse';
-import shp from 'shpjs';
-
-
+import { DOMParser as XmlDOMParser } from 'xmldom';
+import { parseShp, parseDbf } from 'shpjs';
+import proj4 from 'proj4';
+import { loadSqlJs, queryAll, quoteIdent } from '../../utils/sqlite';
+import {
+  resolveCrs,
+  describeCrs,
+  crsRequiredError,
+  looksGeographic,
+  mapGeometryCoords,
+  reprojectFeatures,
+} from '../../utils/crs';
+
+// Converters accept opts.onProgress(stage, percent) with stage 'read' | 'parse' | 'normalize' | 'reproject'
+// and percent 0-100 (null when unknown); the conversion worker forwards it to the UI.
+const report = (opts, stage, percent = null) => {
+  try { opts?.onProgress?.(stage, percent); } catch {}
+};
+
+// Browsers have DOMParser on the main thread only; workers fall back to xmldom
+function parseXml(text) {
+  const Parser = typeof DOMParser !== 'undefined' ? DOMParser : XmlDOMParser;
+  return new Parser().parseFromString(text, 'application/xml');
+}
 
 // ----------------------
 // Shapefile -> GeoJSON
 // Accepts either:
 //  - a .zip File containing .shp/.shx/.dbf etc.
-//  - a single .shp/.dbf File (will be packaged into a zip client-side if needed)
-// Returns: FeatureCollection { type: 'FeatureCollection', features: [...] , metadata: { name: ... } }
-export async function shapefileToGeoJSON(fileOrFiles) {
+//  - loose .shp/.dbf(/.prj/.cpg) Files
+// Each layer (a zip may hold several) is reprojected to EPSG:4326 from its own CRS, in order of preference:
+//  its .prj WKT > WGS84 when there is no .prj and the coordinates already look like lon/lat > opts.sourceCrs (user choice).
+// Otherwise throws an error with code 'CRS_REQUIRED'.
+// Returns: FeatureCollection { type, features, metadata: { name, crs: { name, code, source, layers? } } }
+//  where crs.layers (stem -> { name, code, source }) is only set when the layers' CRSs differ.
+export async function shapefileToGeoJSON(fileOrFiles, opts = {}) {
   if (!fileOrFiles) throw new Error('No shapefile provided');
+  const { sourceCrs = null } = opts;
+  report(opts, 'read', 0);
 
   // ---- Normalize incoming input into a flat array of File objects ----
   let files = [];
@@ -37,71 +64,148 @@ export async function shapefileToGeoJSON(fileOrFiles) {
   // Keep only File-like things (have .name and .arrayBuffer)
   files = files.filter(f => f && typeof f.name === 'string' && typeof f.arrayBuffer === 'function');
 
-  console.debug('[shapefileToGeoJSON] normalized files count:', files.length);
   console.debug('[shapefileToGeoJSON] normalized file names:', files.map(f => f.name));
 
   const lowerNames = files.map(f => (f && f.name ? f.name.toLowerCase() : ''));
 
-  // ---- If a zip was up ed directly, prefer that ----
+  // ---- Collect shapefile parts per stem: { stem: { shp, dbf, prj, cpg } } ----
+  const parts = {};
+  const addPart = (name, data) => {
+    const m = name.match(/^(.*)\.(shp|dbf|prj|cpg)$/i);
+    if (!m || name.includes('__MACOSX')) return;
+    const stem = m[1];
+    parts[stem] = parts[stem] || {};
+    parts[stem][m[2].toLowerCase()] = data;
+  };
+  const isText = (name) => /\.(prj|cpg)$/i.test(name);
+
+  // ---- If a zip was uploaded directly, prefer that ----
   const zipFile = files.find(f => /\.zip$/i.test(f.name));
+  let baseName;
   if (zipFile) {
+    baseName = zipFile.name.replace(/\.zip$/i, '');
     try {
-      const buffer = await zipFile.arrayBuffer();
-      const geojson = await shp(buffer);
-      const features = (geojson?.features || []).filter(f => f?.geometry?.coordinates);
-      if (!features.length) throw new Error('No features found in shapefile ZIP (no geometries).');
-      return { type: 'FeatureCollection', features, metadata: { name: zipFile.name.replace(/\.zip$/i, '') } };
+      const zip = await JSZip.loadAsync(await zipFile.arrayBuffer());
+      for (const entry of Object.values(zip.files)) {
+        if (entry.dir || !/\.(shp|dbf|prj|cpg)$/i.test(entry.name)) continue;
+        addPart(entry.name, await entry.async(isText(entry.name) ? 'string' : 'arraybuffer'));
+      }
     } catch (err) {
-      throw new Error(`Failed to parse shapefile ZIP. Provided: ${lowerNames.join(', ')}. Parser error: ${err?.message ?? err}`);
+      throw new Error(`Failed to read shapefile ZIP. Provided: ${lowerNames.join(', ')}. Error: ${err?.message ?? err}`);
+    }
+    if (!Object.values(parts).some(p => p.shp)) {
+      throw new Error('No .shp found in shapefile ZIP.');
+    }
+  } else {
+    // ---- Validate presence of required parts ----
+    const hasShp = lowerNames.some(n => n.endsWith('.shp'));
+    const hasDbf = lowerNames.some(n => n.endsWith('.dbf'));
+
+    if (!hasShp || !hasDbf) {
+      const missing = [];
+      if (!hasShp) missing.push('.shp');
+      if (!hasDbf) missing.push('.dbf');
+      // include what we actually received for easier debugging
+      throw new Error(`Shapefile parts missing: please include ${missing.join(' and ')}. Received: ${lowerNames.join(', ')}`);
     }
-  }
-
-  // ---- Validate presence of required parts ----
-  const hasShp = lowerNames.some(n => n.endsWith('.shp'));
-  const hasDbf = lowerNames.some(n => n.endsWith('.dbf'));
 
-  if (!hasShp || !hasDbf) {
-    const missing = [];
-    if (!hasShp) missing.push('.shp');
-    if (!hasDbf) missing.push('.dbf');
-    // include what we actually received for easier debugging
-    throw new Error(`Shapefile parts missing: please include ${missing.join(' and ')}. Received: ${lowerNames.join(', ')}`);
+    baseName = (files[0]?.name || 'shapefile').replace(/\.(shp|dbf|shx|prj|cpg|zip)$/i, '');
+    for (const f of files) {
+      if (!/\.(shp|dbf|prj|cpg)$/i.test(f.name)) continue;
+      addPart(f.name, isText(f.name) ? await f.text() : await f.arrayBuffer());
+    }
   }
 
-  // ---- Build zip containing only the shapefile-related parts ----
-  const zip = new JSZip();
-  for (const f of files) {
-    if (!f || !f.name) continue;
-    // include typical shapefile related extensions only
-    if (!/\.(shp|dbf|shx|prj|cpg|sbn|sbx)$/i.test(f.name)) continue;
-    const data = await f.arrayBuffer();
-    zip.file(f.name, data);
-  }
+  // ---- Parse each layer with raw coordinates, then reproject ourselves ----
+  const manual = sourceCrs ? resolveCrs(sourceCrs) : null;
+  const layerCrs = {}; // stem -> crs
+  let features = [];
+  const stems = Object.entries(parts).filter(([, p]) => p.shp);
 
-  const zipped = await zip.generateAsync({ type: 'arraybuffer', compression: 'DEFLATE' });
+  for (const [n, [stem, p]] of stems.entries()) {
+    report(opts, 'parse', Math.round((n / stems.length) * 100));
+    let layerFeatures;
+    try {
+      const geometries = parseShp(p.shp);
+      const records = p.dbf ? parseDbf(p.dbf, p.cpg) : [];
+      layerFeatures = geometries
+        .map((geometry, i) => ({ type: 'Feature', geometry: geometry || null, properties: records[i] || {} }));
+    } catch (err) {
+      throw new Error(`Failed to parse shapefile "${stem}". Provided parts: ${lowerNames.join(', ')}. Parser error: ${err?.message ?? err}`);
+    }
+    // null shapes are kept (and reported by the geometry validation), but a layer needs some geometry
+    if (!layerFeatures.some(f => f.geometry)) continue;
+
+    // candidates in order of preference; the first that yields lon/lat wins
+    const candidates = [];
+    let prjProblem = null;
+    if (p.prj && p.prj.trim()) {
+      const name = describeCrs(p.prj);
+      try {
+        proj4(p.prj, 'EPSG:4326');
+        candidates.push({ name, code: null, definition: p.prj, source: 'prj' });
+      } catch (err) {
+        prjProblem = `The .prj for "${stem}" (${name}) could not be interpreted.`;
+      }
+    }
+    if (!candidates.length && !prjProblem && looksGeographic(layerFeatures)) {
+      candidates.push({ name: 'WGS 84', code: 'EPSG:4326', definition: 'EPSG:4326', source: 'assumed' });
+    }
+    // the user's choice answers the layers that could not be placed otherwise
+    if (manual) candidates.push({ name: manual.name, code: manual.code, definition: manual.definition, source: 'manual' });
+    if (!candidates.length) {
+      throw crsRequiredError(
+        `${prjProblem || `Shapefile "${stem}" has no .prj and its coordinates are not longitude/latitude.`} Choose the source coordinate system.`
+      );
+    }
 
-  try {
-    const geojson = await shp(zipped);
-    const features = (geojson?.features || []).filter(f => f?.geometry?.coordinates);
-    if (!features.length) throw new Error('No features found in shapefile archive (no geometries).');
-    const baseName = (files[0]?.name || 'shapefile').replace(/\.(shp|dbf|shx|prj|cpg|zip)$/i, '');
-    return { type: 'FeatureCollection', features, metadata: { name: baseName } };
-  } catch (err) {
-    throw new Error(`Failed to parse assembled shapefile archive. Provided parts: ${lowerNames.join(', ')}. Parser error: ${err?.message ?? err}`);
+    let reprojected = null;
+    for (const crs of candidates) {
+      const out = crs.definition === 'EPSG:4326'
+        ? layerFeatures
+        : reprojectFeatures(layerFeatures, crs.definition, (pct) => report(opts, 'reproject', pct));
+      if (looksGeographic(out)) {
+        reprojected = out;
+        layerCrs[stem] = crs;
+        break;
+      }
+    }
+    if (!reprojected) {
+      const tried = candidates.map((c) => c.name).join(' / ');
+      throw crsRequiredError(`Reprojecting "${stem}" from ${tried} did not produce valid longitude/latitude. Choose a different source coordinate system.`);
+    }
+
+    features = features.concat(reprojected);
   }
+
+  report(opts, 'normalize', 100);
+  if (!features.length) throw new Error('No features found in shapefile (no geometries).');
+  const crsList = Object.values(layerCrs);
+  const crsOf = ({ name, code, source }) => ({ name, code, source });
+  const crs = crsList.every((c) => c.name === crsList[0].name && c.source === crsList[0].source)
+    ? crsOf(crsList[0])
+    : {
+        name: [...new Set(crsList.map((c) => c.name))].join(', '),
+        code: null,
+        source: 'layers',
+        layers: Object.fromEntries(Object.entries(layerCrs).map(([stem, c]) => [stem, crsOf(c)])),
+      };
+  return { type: 'FeatureCollection', features, metadata: { name: baseName, crs } };
 }
 
 
-export async function gpxToGeoJSON(file) {
+export async function gpxToGeoJSON(file, opts = {}) {
   if (!file) throw new Error('No GPX file provided');
+  report(opts, 'read', 0);
   const text = await file.text();
-  const dom = new DOMParser().parseFromString(text, 'application/xml');
-  if (dom.documentElement.nodeName === 'parsererror') {
+  report(opts, 'parse', null);
+  const dom = parseXml(text);
+  if (!dom.documentElement || dom.documentElement.nodeName === 'parsererror') {
     throw new Error('Invalid GPX XML');
   }
   const fc = toGeoJSON.gpx(dom);
-  const features = (fc?.features || []).filter(f => f?.geometry?.coordinates);
-  if (!features.length) throw new Error('No features found in GPX');
+  const features = (fc?.features || []).filter(Boolean);
+  if (!features.some(f => f.geometry)) throw new Error('No features found in GPX');
   return {
     type: 'FeatureCollection',
     features,
@@ -112,13 +216,16 @@ export async function gpxToGeoJSON(file) {
  * KMZ -> GeoJSON (FeatureCollection)
  * Accepts a File (KMZ) and returns a FeatureCollection object.
  */
-export async function kmlToGeoJSON(file) {
+export async function kmlToGeoJSON(file, opts = {}) {
   if (!file) throw new Error('No KML file provided');
+  report(opts, 'read', 0);
   const text = await file.text();
-  const dom = new DOMParser().parseFromString(text, 'application/xml');
-  if (dom.documentElement.nodeName === 'parsererror') throw new Error('Invalid KML XML');
+  report(opts, 'parse', null);
+  const dom = parseXml(text);
+  if (!dom.documentElement || dom.documentElement.nodeName === 'parsererror') throw new Error('Invalid KML XML');
 
   const gj = toGeoJSON.kml(dom);
+  report(opts, 'normalize', null);
 
   // flatten GeometryCollection (from <MultiGeometry>) into separate features
   const out = [];
@@ -142,8 +249,9 @@ export async function kmlToGeoJSON(file) {
 }
 
 // Replace your kmzToGeoJSON with this:
-export async function kmzToGeoJSON(file) {
+export async function kmzToGeoJSON(file, opts = {}) {
   if (!file) throw new Error('No KMZ file provided');
+  report(opts, 'read', 0);
   const buffer = await file.arrayBuffer();
   const zip = await JSZip.loadAsync(buffer);
 
@@ -152,11 +260,13 @@ export async function kmzToGeoJSON(file) {
   );
   if (!kmlEntry) throw new Error('No KML file found in KMZ archive');
 
-  const kmlText = await kmlEntry.async('text');
-  const kmlDoc = new DOMParser().parseFromString(kmlText, 'application/xml');
-  if (kmlDoc.documentElement.nodeName === 'parsererror') throw new Error('Invalid KML format in KMZ');
+  const kmlText = await kmlEntry.async('text', (meta) => report(opts, 'read', Math.round(meta.percent)));
+  report(opts, 'parse', null);
+  const kmlDoc = parseXml(kmlText);
+  if (!kmlDoc.documentElement || kmlDoc.documentElement.nodeName === 'parsererror') throw new Error('Invalid KML format in KMZ');
 
   const gj = toGeoJSON.kml(kmlDoc);
+  report(opts, 'normalize', null);
 
   // same flattening as KML
   const out = [];
@@ -183,21 +293,28 @@ export async function kmzToGeoJSON(file) {
  * Heuristic coordinate detection + WKT / combined support.
  * Accepts a File (CSV) and returns a FeatureCollection.
  */
-export async function csvToGeoJSON(file) {
+export async function csvToGeoJSON(file, opts = {}) {
   if (!file) throw new Error('No CSV file provided');
+  report(opts, 'read', 0);
 
-  const results = await new Promise((resolve, reject) => {
+  // parse in chunks so large files can report progress (cursor = bytes consumed)
+  const rows = [];
+  await new Promise((resolve, reject) => {
     Papa.parse(file, {
       header: true,
       dynamicTyping: true,
       skipEmptyLines: true,
       delimitersToGuess: [',', '\t', '|', ';'],
+      chunk: (res) => {
+        for (const row of res.data) rows.push(row);
+        if (file.size) report(opts, 'parse', Math.min(100, Math.round((res.meta.cursor / file.size) * 100)));
+      },
       complete: resolve,
       error: reject
     });
   });
 
-  const rows = results.data || [];
+  report(opts, 'normalize', null);
   if (!rows.length) return { type: 'FeatureCollection', features: [] };
 
   // Detect coordinate columns (simple variant of your detectCoordinateColumns)
@@ -240,7 +357,8 @@ export async function csvToGeoJSON(file) {
   };
 
   const features = [];
-  for (const row of rows) {
+  for (const [i, row] of rows.entries()) {
+    if (i % 50000 === 0) report(opts, 'normalize', Math.round((i / rows.length) * 100));
     try {
       if (combinedCol && row[combinedCol]) {
         const parsed = parseCombinedCoordinates(String(row[combinedCol]));
@@ -263,4 +381,576 @@ export async function csvToGeoJSON(file) {
   }
 
   return { type: 'FeatureCollection', features, metadata: { name: file.name } };
-}
\ No newline at end of file
+}
+// ----------------------
+// DXF -> GeoJSON
+// ASCII DXF only. Reads the BLOCKS and ENTITIES sections and converts
+// LINE / LWPOLYLINE / POLYLINE / CIRCLE / ARC / POINT / TEXT / MTEXT / INSERT.
+// Curves (circles, arcs, polyline bulges) are densified into vertices.
+// DXF carries no CRS: coordinates are used as lon/lat unless `sourceCrs`
+// (EPSG code, proj4 string or WKT) is given, in which case they are reprojected to EPSG:4326.
+// Non-geographic drawings without a sourceCrs throw an error with code 'CRS_REQUIRED'.
+
+const DXF_MAX_BLOCK_DEPTH = 8;
+const DXF_SEGMENTS_PER_CIRCLE = 64;
+
+function readDxfPairs(text) {
+  const lines = text.split(/\r\n|\r|\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = parseInt(lines[i].trim(), 10);
+    if (Number.isNaN(code)) continue;
+    pairs.push([code, lines[i + 1].trim()]);
+  }
+  return pairs;
+}
+
+// Split pairs into { blocks: { name: { base, entities } }, entities: [...] }.
+// Each entity is { type, pairs, children } where children holds VERTEX records of a POLYLINE.
+function readDxfSections(pairs) {
+  const blocks = {};
+  const entities = [];
+
+  let section = null;
+  let block = null;     // block currently being defined
+  let current = null;   // entity currently receiving group codes
+  let owner = null;     // POLYLINE/INSERT awaiting VERTEX/ATTRIB records until SEQEND
+
+  const target = () => (block ? block.entities : entities);
+
+  for (let i = 0; i < pairs.length; i++) {
+    const [code, value] = pairs[i];
+
+    if (code === 0) {
+      current = null;
+      if (value === 'SECTION') {
+        const next = pairs[i + 1];
+        section = next && next[0] === 2 ? next[1] : null;
+        i++;
+        continue;
+      }
+      if (value === 'ENDSEC') { section = null; block = null; owner = null; continue; }
+      if (section !== 'BLOCKS' && section !== 'ENTITIES') continue;
+
+      if (section === 'BLOCKS' && value === 'BLOCK') {
+        block = { name: null, base: [0, 0], entities: [], header: true };
+        current = block;
+        continue;
+      }
+      if (value === 'ENDBLK') {
+        if (block && block.name) blocks[block.name] = block;
+        block = null;
+        owner = null;
+        continue;
+      }
+      if (value === 'SEQEND') { owner = null; continue; }
+
+      const entity = { type: value, pairs: [], children: [] };
+      if ((value === 'VERTEX' || value === 'ATTRIB') && owner) {
+        owner.children.push(entity);
+      } else {
+        target().push(entity);
+        owner = value === 'POLYLINE' || value === 'INSERT' ? entity : null;
+      }
+      current = entity;
+      continue;
+    }
+
+    if (!current) continue;
+    if (current.header) {
+      if (code === 2) current.name = value;
+      else if (code === 10) current.base[0] = parseFloat(value);
+      else if (code === 20) current.base[1] = parseFloat(value);
+      continue;
+    }
+    current.pairs.push([code, value]);
+  }
+
+  return { blocks, entities };
+}
+
+const dxfValue = (entity, code, fallback = null) => {
+  const hit = entity.pairs.find(([c]) => c === code);
+  return hit ? hit[1] : fallback;
+};
+const dxfNumber = (entity, code, fallback = 0) => {
+  const n = parseFloat(dxfValue(entity, code));
+  return Number.isFinite(n) ? n : fallback;
+};
+
+// Points along a circular arc; angles in radians, sweep may be negative (clockwise)
+function arcPoints(cx, cy, r, start, sweep) {
+  const n = Math.max(4, Math.ceil((Math.abs(sweep) / (2 * Math.PI)) * DXF_SEGMENTS_PER_CIRCLE));
+  const out = [];
+  for (let k = 0; k <= n; k++) {
+    const a = start + (sweep * k) / n;
+    out.push([cx + r * Math.cos(a), cy + r * Math.sin(a)]);
+  }
+  return out;
+}
+
+// Expand polyline vertices [{ x, y, bulge }] into a coordinate list, densifying bulged segments
+function bulgedVertices(vertices, closed) {
+  const out = [];
+  const count = closed ? vertices.length : vertices.length - 1;
+  for (let i = 0; i < count; i++) {
+    const a = vertices[i];
+    const b = vertices[(i + 1) % vertices.length];
+    if (!a.bulge) {
+      out.push([a.x, a.y]);
+      continue;
+    }
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const chord = Math.hypot(dx, dy);
+    if (!chord) { out.push([a.x, a.y]); continue; }
+    const theta = 4 * Math.atan(a.bulge);
+    const r = chord / (2 * Math.sin(theta / 2));
+    const h = r * Math.cos(theta / 2);
+    const cx = (a.x + b.x) / 2 - (h * dy) / chord;
+    const cy = (a.y + b.y) / 2 + (h * dx) / chord;
+    const start = Math.atan2(a.y - cy, a.x - cx);
+    out.push(...arcPoints(cx, cy, Math.abs(r), start, theta).slice(0, -1));
+  }
+  const last = closed ? vertices[0] : vertices[vertices.length - 1];
+  if (last) out.push([last.x, last.y]);
+  return out;
+}
+
+function lwpolylineVertices(entity) {
+  const vertices = [];
+  for (const [code, value] of entity.pairs) {
+    if (code === 10) vertices.push({ x: parseFloat(value), y: 0, bulge: 0 });
+    else if (code === 20 && vertices.length) vertices[vertices.length - 1].y = parseFloat(value);
+    else if (code === 42 && vertices.length) vertices[vertices.length - 1].bulge = parseFloat(value) || 0;
+  }
+  return vertices;
+}
+
+function cleanMText(s) {
+  return String(s || '')
+    .replace(/\\P/g, '\n')
+    .replace(/\\[A-Za-z][^;\\{}]*;/g, '')
+    .replace(/[{}]/g, '')
+    .trim();
+}
+
+// Convert one entity into [{ geometry, properties }] using `tf` to map drawing coords
+function dxfEntityToFeatures(entity, tf, blocks, depth, inherited) {
+  const layer = dxfValue(entity, 8, inherited.layer || '0');
+  const props = { ...inherited, layer, entity: entity.type };
+  // OCS extrusion (0,0,-1) mirrors X for 2D entities
+  const mirror = dxfNumber(entity, 230, 1) < 0;
+  const ocs = mirror ? ([x, y]) => tf([-x, y]) : tf;
+  const line = (coords) => ({ type: 'LineString', coordinates: coords.map(ocs) });
+
+  switch (entity.type) {
+    case 'LINE':
+      return [{
+        geometry: line([
+          [dxfNumber(entity, 10), dxfNumber(entity, 20)],
+          [dxfNumber(entity, 11), dxfNumber(entity, 21)],
+        ]),
+        properties: props,
+      }];
+
+    case 'LWPOLYLINE': {
+      const closed = (dxfNumber(entity, 70) & 1) === 1;
+      const vertices = lwpolylineVertices(entity);
+      if (vertices.length < 2) return [];
+      return [{ geometry: line(bulgedVertices(vertices, closed)), properties: { ...props, closed } }];
+    }
+
+    case 'POLYLINE': {
+      const flags = dxfNumber(entity, 70);
+      // polyface meshes (64) and polygon meshes (16) are not 2D outlines
+      if (flags & (16 | 64)) return [];
+      const closed = (flags & 1) === 1;
+      const vertices = entity.children
+        .filter((v) => v.type === 'VERTEX')
+        .map((v) => ({ x: dxfNumber(v, 10), y: dxfNumber(v, 20), bulge: dxfNumber(v, 42) }));
+      if (vertices.length < 2) return [];
+      return [{ geometry: line(bulgedVertices(vertices, closed)), properties: { ...props, closed } }];
+    }
+
+    case 'CIRCLE': {
+      const r = dxfNumber(entity, 40);
+      if (!(r > 0)) return [];
+      const coords = arcPoints(dxfNumber(entity, 10), dxfNumber(entity, 20), r, 0, 2 * Math.PI);
+      return [{ geometry: line(coords), properties: { ...props, radius: r } }];
+    }
+
+    case 'ARC': {
+      const r = dxfNumber(entity, 40);
+      if (!(r > 0)) return [];
+      const start = (dxfNumber(entity, 50) * Math.PI) / 180;
+      let end = (dxfNumber(entity, 51) * Math.PI) / 180;
+      if (end <= start) end += 2 * Math.PI;
+      const coords = arcPoints(dxfNumber(entity, 10), dxfNumber(entity, 20), r, start, end - start);
+      return [{ geometry: line(coords), properties: { ...props, radius: r } }];
+    }
+
+    case 'POINT':
+      return [{
+        geometry: { type: 'Point', coordinates: ocs([dxfNumber(entity, 10), dxfNumber(entity, 20)]) },
+        properties: props,
+      }];
+
+    case 'TEXT':
+    case 'MTEXT': {
+      const chunks = entity.pairs.filter(([c]) => c === 3).map(([, v]) => v);
+      const raw = chunks.join('') + (dxfValue(entity, 1, '') || '');
+      const text = entity.type === 'MTEXT' ? cleanMText(raw) : raw;
+      return [{
+        geometry: { type: 'Point', coordinates: ocs([dxfNumber(entity, 10), dxfNumber(entity, 20)]) },
+        properties: { ...props, text, height: dxfNumber(entity, 40, null) },
+      }];
+    }
+
+    case 'INSERT': {
+      const name = dxfValue(entity, 2);
+      const block = name && blocks[name];
+      if (!block || depth >= DXF_MAX_BLOCK_DEPTH) return [];
+      const ix = dxfNumber(entity, 10), iy = dxfNumber(entity, 20);
+      const sx = dxfNumber(entity, 41, 1), sy = dxfNumber(entity, 42, 1);
+      const rot = (dxfNumber(entity, 50) * Math.PI) / 180;
+      const cos = Math.cos(rot), sin = Math.sin(rot);
+      const [bx, by] = block.base;
+      const local = ([x, y]) => {
+        const px = (x - bx) * sx, py = (y - by) * sy;
+        return ocs([ix + px * cos - py * sin, iy + px * sin + py * cos]);
+      };
+      // entities on layer "0" inside a block take the INSERT's layer
+      return block.entities.flatMap((child) => {
+        const out = dxfEntityToFeatures(child, local, blocks, depth + 1, { ...inherited, layer, block: name });
+        return out.map((f) => (dxfValue(child, 8, '0') === '0' ? { ...f, properties: { ...f.properties, layer } } : f));
+      });
+    }
+
+    default:
+      return [];
+  }
+}
+
+export async function dxfToGeoJSON(file, opts = {}) {
+  if (!file) throw new Error('No DXF file provided');
+  const { sourceCrs = null } = opts;
+
+  report(opts, 'read', 0);
+  const text = await file.text();
+  if (text.startsWith('AutoCAD Binary DXF')) {
+    throw new Error('Binary DXF is not supported. Please save the drawing as ASCII DXF.');
+  }
+
+  report(opts, 'parse', null);
+  const { blocks, entities } = readDxfSections(readDxfPairs(text));
+  if (!entities.length) throw new Error('No entities found in DXF (missing ENTITIES section?)');
+
+  report(opts, 'normalize', null);
+  const identity = (c) => c;
+  let features = entities
+    .flatMap((e) => dxfEntityToFeatures(e, identity, blocks, 0, {}))
+    .filter((f) => f.geometry)
+    .map((f) => ({ type: 'Feature', geometry: f.geometry, properties: f.properties }));
+
+  if (!features.length) throw new Error('No supported entities found in DXF');
+
+  let crs;
+  if (sourceCrs) {
+    const { code, name, definition } = resolveCrs(sourceCrs);
+    features = reprojectFeatures(features, definition, (pct) => report(opts, 'reproject', pct));
+    crs = { name, code, source: 'manual' };
+  } else if (looksGeographic(features)) {
+    crs = { name: 'WGS 84', code: 'EPSG:4326', source: 'assumed' };
+  } else {
+    throw crsRequiredError('DXF coordinates are not longitude/latitude. Choose the coordinate system the drawing was made in.');
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    metadata: {
+      name: file.name.replace(/\.dxf$/i, ''),
+      layers: Array.from(new Set(features.map((f) => f.properties.layer))),
+      crs,
+    },
+  };
+}
+
+// ----------------------
+// GeoPackage -> GeoJSON
+// A GeoPackage is an SQLite database; feature tables are listed in gpkg_contents and
+// store geometries as "GP" blobs (small header + optional envelope + standard WKB).
+
+// Read one WKB geometry starting at `offset`. Handles ISO (1000/2000/3000) and EWKB Z/M flags.
+function readWkb(view, offset) {
+  let o = offset;
+  const le = view.getUint8(o) === 1;
+  const rawType = view.getUint32(o + 1, le);
+  o += 5;
+
+  let hasZ = (rawType & 0x80000000) !== 0;
+  let hasM = (rawType & 0x40000000) !== 0;
+  if (rawType & 0x20000000) o += 4; // EWKB embedded SRID
+  let type = rawType & 0x0fffffff;
+  if (type >= 3000) { hasZ = true; hasM = true; type -= 3000; }
+  else if (type >= 2000) { hasM = true; type -= 2000; }
+  else if (type >= 1000) { hasZ = true; type -= 1000; }
+
+  const dims = 2 + (hasZ ? 1 : 0) + (hasM ? 1 : 0);
+  const readPoint = () => {
+    const x = view.getFloat64(o, le);
+    const y = view.getFloat64(o + 8, le);
+    const pt = hasZ ? [x, y, view.getFloat64(o + 16, le)] : [x, y];
+    o += dims * 8;
+    return pt;
+  };
+  const readPoints = () => {
+    const n = view.getUint32(o, le); o += 4;
+    const pts = new Array(n);
+    for (let i = 0; i < n; i++) pts[i] = readPoint();
+    return pts;
+  };
+  const readRings = () => {
+    const n = view.getUint32(o, le); o += 4;
+    const rings = new Array(n);
+    for (let i = 0; i < n; i++) rings[i] = readPoints();
+    return rings;
+  };
+  const readParts = () => {
+    const n = view.getUint32(o, le); o += 4;
+    const parts = [];
+    for (let i = 0; i < n; i++) {
+      const sub = readWkb(view, o);
+      o = sub.offset;
+      if (sub.geometry) parts.push(sub.geometry);
+    }
+    return parts;
+  };
+
+  let geometry = null;
+  switch (type) {
+    case 1: {
+      const c = readPoint();
+      geometry = Number.isNaN(c[0]) ? null : { type: 'Point', coordinates: c };
+      break;
+    }
+    case 2: geometry = { type: 'LineString', coordinates: readPoints() }; break;
+    case 3: geometry = { type: 'Polygon', coordinates: readRings() }; break;
+    case 4: geometry = { type: 'MultiPoint', coordinates: readParts().map(g => g.coordinates) }; break;
+    case 5: geometry = { type: 'MultiLineString', coordinates: readParts().map(g => g.coordinates) }; break;
+    case 6: geometry = { type: 'MultiPolygon', coordinates: readParts().map(g => g.coordinates) }; break;
+    case 7: geometry = { type: 'GeometryCollection', geometries: readParts() }; break;
+    default:
+      throw new Error(`Unsupported WKB geometry type ${rawType}`);
+  }
+  return { geometry, offset: o };
+}
+
+// Decode a GeoPackage binary geometry blob into a GeoJSON geometry (or null when empty)
+export function decodeGpkgGeometry(bytes) {
+  if (!bytes || bytes.length < 8 || bytes[0] !== 0x47 || bytes[1] !== 0x50) return null;
+  const flags = bytes[3];
+  const envelope = (flags >> 1) & 0x07;
+  if (flags & 0x10) return null; // empty geometry
+  if (flags & 0x20) return null; // extended (non-standard) geometry types
+  const envelopeBytes = [0, 32, 48, 48, 64][envelope] || 0;
+  // bytes 4..7 hold srs_id; the table-level srs_id from gpkg_geometry_columns is used instead
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return readWkb(view, 8 + envelopeBytes).geometry;
+}
+
+/**
+ * Open a GeoPackage File and list its feature tables.
+ * Returns { db, layers } — call db.close() when done.
+ * layers: [{ table, identifier, description, geometryColumn, geometryType, srsId, featureCount }]
+ */
+export async function openGeoPackage(file) {
+  if (!file) throw new Error('No GeoPackage file provided');
+  const SQL = await loadSqlJs();
+  const db = new SQL.Database(new Uint8Array(await file.arrayBuffer()));
+
+  try {
+    const rows = queryAll(db, `
+      SELECT c.table_name AS table_name, c.identifier AS identifier, c.description AS description,
+             g.column_name AS column_name, g.geometry_type_name AS geometry_type_name, g.srs_id AS srs_id
+      FROM gpkg_contents c
+      JOIN gpkg_geometry_columns g ON g.table_name = c.table_name
+      WHERE c.data_type = 'features'
+      ORDER BY c.table_name`);
+
+    const layers = rows.map((r) => {
+      let featureCount = null;
+      try {
+        featureCount = queryAll(db, `SELECT COUNT(*) AS n FROM ${quoteIdent(r.table_name)}`)[0]?.n ?? null;
+      } catch { /* view or broken table: count unknown */ }
+      return {
+        table: r.table_name,
+        identifier: r.identifier || r.table_name,
+        description: r.description || '',
+        geometryColumn: r.column_name,
+        geometryType: r.geometry_type_name,
+        srsId: r.srs_id,
+        featureCount,
+      };
+    });
+
+    if (!layers.length) throw new Error('No feature tables found in GeoPackage');
+    return { db, layers };
+  } catch (err) {
+    db.close();
+    if (/no such table/i.test(err?.message || '')) {
+      throw new Error('Not a valid GeoPackage (missing gpkg_contents / gpkg_geometry_columns)');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Read one feature table of an opened GeoPackage into a FeatureCollection (EPSG:4326).
+ * Geometries in other SRSs are reprojected with proj4 using the table's gpkg_spatial_ref_sys definition.
+ */
+export function geopackageLayerToGeoJSON(db, layer) {
+  const { table, geometryColumn, srsId } = layer;
+
+  let reproject = null;
+  const srs = queryAll(db,
+    'SELECT organization, organization_coordsys_id, definition FROM gpkg_spatial_ref_sys WHERE srs_id = ?',
+    [srsId])[0];
+  const isWgs84 = srs && String(srs.organization).toUpperCase() === 'EPSG' && srs.organization_coordsys_id === 4326;
+  // srs_id 0 / -1 are the spec's "undefined" geographic / cartesian systems
+  if (srs && !isWgs84 && srsId > 0 && srs.definition && srs.definition !== 'undefined') {
+    try {
+      const t = proj4(srs.definition, 'EPSG:4326');
+      reproject = (c) => t.forward(c);
+    } catch (err) {
+      console.warn(`[geopackage] cannot reproject srs_id ${srsId}; using raw coordinates`, err);
+    }
+  }
+
+  const pk = queryAll(db, `PRAGMA table_info(${quoteIdent(table)})`).find(c => c.pk === 1)?.name;
+
+  const features = [];
+  const stmt = db.prepare(`SELECT * FROM ${quoteIdent(table)}`);
+  try {
+    while (stmt.step()) {
+      const row = stmt.getAsObject();
+      // NULL or undecodable geometries stay as features without geometry (geometry validation reports them)
+      let geometry = null;
+      try {
+        geometry = decodeGpkgGeometry(row[geometryColumn]);
+      } catch {}
+      if (geometry && reproject) geometry = mapGeometryCoords(geometry, reproject);
+
+      const properties = {};
+      for (const [k, v] of Object.entries(row)) {
+        if (k === geometryColumn || k === pk || v instanceof Uint8Array) continue;
+        properties[k] = v;
+      }
+      const feature = { type: 'Feature', geometry, properties };
+      if (pk != null && row[pk] != null) feature.id = row[pk];
+      features.push(feature);
+    }
+  } finally {
+    stmt.free();
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    metadata: { name: layer.identifier || table, table, srsId },
+  };
+}
+
+// ----------------------
+// TopoJSON -> GeoJSON
+// Every object of the topology becomes its own FeatureCollection. Arcs are decoded once (delta + transform)
+// and shared, so neighbouring polygons get identical boundary coordinates. metadata.topojson keeps the
+// object name and the quantization transform; geojsonToTopoJSON can snap back to the same grid and
+// rebuild the same shared arcs.
+
+/**
+ * Decode a parsed Topology into [{ name, geojson }], in the order of topology.objects.
+ */
+export function topologyToGeoJSON(topology) {
+  if (topology?.type !== 'Topology' || !topology.objects) throw new Error('Not a TopoJSON Topology');
+  const { transform } = topology;
+  const [kx, ky] = transform?.scale || [1, 1];
+  const [dx, dy] = transform?.translate || [0, 0];
+
+  const arcs = (topology.arcs || []).map((arc) => {
+    if (!transform) return arc;
+    let x = 0;
+    let y = 0;
+    return arc.map((p) => {
+      x += p[0];
+      y += p[1];
+      return [x * kx + dx, y * ky + dy, ...p.slice(2)];
+    });
+  });
+  // Point / MultiPoint positions are quantized but not delta-encoded
+  const position = (p) => (transform ? [p[0] * kx + dx, p[1] * ky + dy, ...p.slice(2)] : p);
+
+  const line = (indexes) => {
+    const out = [];
+    indexes.forEach((i, k) => {
+      const arc = i < 0 ? arcs[~i]?.slice().reverse() : arcs[i];
+      if (!arc) throw new Error(`TopoJSON references missing arc ${i}`);
+      // consecutive arcs share their joining position
+      out.push(...(k ? arc.slice(1) : arc));
+    });
+    return out;
+  };
+  const ring = (indexes) => {
+    const r = line(indexes);
+    while (r.length && r.length < 4) r.push(r[0]);
+    return r;
+  };
+
+  const geometry = (o) => {
+    switch (o?.type) {
+      case 'Point': return { type: 'Point', coordinates: position(o.coordinates) };
+      case 'MultiPoint': return { type: 'MultiPoint', coordinates: o.coordinates.map(position) };
+      case 'LineString': return { type: 'LineString', coordinates: line(o.arcs) };
+      case 'MultiLineString': return { type: 'MultiLineString', coordinates: o.arcs.map(line) };
+      case 'Polygon': return { type: 'Polygon', coordinates: o.arcs.map(ring) };
+      case 'MultiPolygon': return { type: 'MultiPolygon', coordinates: o.arcs.map((p) => p.map(ring)) };
+      case 'GeometryCollection': return { type: 'GeometryCollection', geometries: o.geometries.map(geometry) };
+      default: return null;
+    }
+  };
+  const feature = (o) => {
+    const f = { type: 'Feature', properties: o.properties || {}, geometry: geometry(o) };
+    if (o.id != null) f.id = o.id;
+    return f;
+  };
+
+  return Object.entries(topology.objects).map(([name, o]) => ({
+    name,
+    geojson: {
+      type: 'FeatureCollection',
+      // a top-level GeometryCollection is the object's list of features
+      features: o?.type === 'GeometryCollection' ? o.geometries.map(feature) : [feature(o)],
+      metadata: { name, topojson: { object: name, transform: transform || null } },
+    },
+  }));
+}
+
+/**
+ * Read a .topojson File into [{ name, geojson }], one FeatureCollection per object.
+ */
+export async function topojsonToGeoJSON(file, opts = {}) {
+  if (!file) throw new Error('No TopoJSON file provided');
+  report(opts, 'read', 0);
+  const text = await file.text();
+  report(opts, 'parse', null);
+  let topology;
+  try {
+    topology = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid TopoJSON (${err?.message || err})`);
+  }
+  report(opts, 'normalize', null);
+  const layers = topologyToGeoJSON(topology);
+  if (!layers.length) throw new Error('No objects found in TopoJSON');
+  return layers;
+}
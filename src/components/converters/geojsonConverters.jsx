@@ -3,6 +3,7 @@ import JSZip from 'jszip';
 import html2canvas from 'html2canvas';
 import { jsPDF } from 'jspdf';
 import shpwrite from '@mapbox/shp-write';
+import { loadSqlJs, quoteIdent } from '../../utils/sqlite';
 /**
  * Wait until a Leaflet tileLayer emits 'load' or timeout
  */
@@ -781,4 +782,480 @@ export async function geojsonToKMZ(fc, opts = {}) {
   const content = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE', compressionOptions: { level: 6 } });
   const filename = `${(fc.metadata && fc.metadata.name ? fc.metadata.name.replace(/\s+/g, '_') : 'export')}.kmz`;
   return { blob: content, filename };
-}
\ No newline at end of file
+}
+// ----------------------
+// GeoJSON -> GeoPackage
+// Writes one feature table per FeatureCollection into a single SQLite file (GeoPackage 1.3).
+// Geometries are stored as GP blobs (header + envelope + little-endian ISO WKB), WGS84 only.
+
+const GPKG_GEOMETRY_TYPES = ['Point', 'LineString', 'Polygon', 'MultiPoint', 'MultiLineString', 'MultiPolygon', 'GeometryCollection'];
+const WKB_TYPE_CODES = { Point: 1, LineString: 2, Polygon: 3, MultiPoint: 4, MultiLineString: 5, MultiPolygon: 6, GeometryCollection: 7 };
+
+function geometryHasZ(g) {
+  if (!g) return false;
+  if (g.type === 'GeometryCollection') return (g.geometries || []).some(geometryHasZ);
+  const walk = (c) => (typeof c[0] === 'number' ? c.length > 2 && Number.isFinite(c[2]) : c.some(walk));
+  return Array.isArray(g.coordinates) && g.coordinates.length > 0 && walk(g.coordinates);
+}
+
+// Serialize a GeoJSON geometry to ISO WKB (little endian). Returns Uint8Array.
+function geometryToWkb(geometry, hasZ) {
+  const chunks = [];
+  let size = 0;
+  const push = (bytes, fill) => {
+    const buf = new ArrayBuffer(bytes);
+    fill(new DataView(buf));
+    chunks.push(new Uint8Array(buf));
+    size += bytes;
+  };
+  const header = (type, count) => push(count == null ? 5 : 9, (v) => {
+    v.setUint8(0, 1);
+    v.setUint32(1, WKB_TYPE_CODES[type] + (hasZ ? 1000 : 0), true);
+    if (count != null) v.setUint32(5, count, true);
+  });
+  const dims = hasZ ? 3 : 2;
+  const points = (coords) => push(4 + coords.length * dims * 8, (v) => {
+    v.setUint32(0, coords.length, true);
+    coords.forEach((c, i) => {
+      const o = 4 + i * dims * 8;
+      v.setFloat64(o, c[0], true);
+      v.setFloat64(o + 8, c[1], true);
+      if (hasZ) v.setFloat64(o + 16, Number.isFinite(c[2]) ? c[2] : 0, true);
+    });
+  });
+  const rings = (rs) => {
+    push(4, (v) => v.setUint32(0, rs.length, true));
+    rs.forEach(points);
+  };
+  const write = (g) => {
+    const c = g.coordinates;
+    switch (g.type) {
+      case 'Point':
+        header('Point');
+        push(dims * 8, (v) => {
+          v.setFloat64(0, c[0], true);
+          v.setFloat64(8, c[1], true);
+          if (hasZ) v.setFloat64(16, Number.isFinite(c[2]) ? c[2] : 0, true);
+        });
+        break;
+      case 'LineString': header('LineString'); points(c); break;
+      case 'Polygon': header('Polygon'); rings(c); break;
+      case 'MultiPoint': header('MultiPoint', c.length); c.forEach((p) => write({ type: 'Point', coordinates: p })); break;
+      case 'MultiLineString': header('MultiLineString', c.length); c.forEach((l) => write({ type: 'LineString', coordinates: l })); break;
+      case 'MultiPolygon': header('MultiPolygon', c.length); c.forEach((p) => write({ type: 'Polygon', coordinates: p })); break;
+      case 'GeometryCollection': header('GeometryCollection', g.geometries.length); g.geometries.forEach(write); break;
+      default:
+        throw new Error(`Unsupported geometry type: ${g.type}`);
+    }
+  };
+  write(geometry);
+
+  const out = new Uint8Array(size);
+  let o = 0;
+  chunks.forEach((ch) => { out.set(ch, o); o += ch.length; });
+  return out;
+}
+
+function geometryEnvelope(g) {
+  const env = [Infinity, -Infinity, Infinity, -Infinity]; // minx, maxx, miny, maxy
+  const visit = (geom) => {
+    if (!geom) return;
+    if (geom.type === 'GeometryCollection') return (geom.geometries || []).forEach(visit);
+    const walk = (c) => {
+      if (typeof c[0] === 'number') {
+        env[0] = Math.min(env[0], c[0]); env[1] = Math.max(env[1], c[0]);
+        env[2] = Math.min(env[2], c[1]); env[3] = Math.max(env[3], c[1]);
+      } else c.forEach(walk);
+    };
+    walk(geom.coordinates || []);
+  };
+  visit(g);
+  return env;
+}
+
+// GP blob: magic, version 0, flags (little endian + XY envelope unless point), srs_id, envelope, WKB
+function encodeGpkgGeometry(geometry, srsId) {
+  const wkb = geometryToWkb(geometry, geometryHasZ(geometry));
+  const withEnvelope = geometry.type !== 'Point';
+  const headerBytes = 8 + (withEnvelope ? 32 : 0);
+  const out = new Uint8Array(headerBytes + wkb.length);
+  const v = new DataView(out.buffer);
+  out[0] = 0x47; out[1] = 0x50; out[2] = 0;
+  out[3] = 0x01 | (withEnvelope ? 0x02 : 0);
+  v.setInt32(4, srsId, true);
+  if (withEnvelope) geometryEnvelope(geometry).forEach((n, i) => v.setFloat64(8 + i * 8, n, true));
+  out.set(wkb, headerBytes);
+  return out;
+}
+
+// Pick an SQLite column type per property key from the values actually present
+function inferColumnTypes(features) {
+  const seen = new Map(); // key -> Set of 'boolean' | 'integer' | 'real' | 'text'
+  features.forEach((f) => {
+    Object.entries(f.properties || {}).forEach(([k, v]) => {
+      if (!seen.has(k)) seen.set(k, new Set());
+      if (v === null || v === undefined) return;
+      const kinds = seen.get(k);
+      if (typeof v === 'boolean') kinds.add('boolean');
+      else if (typeof v === 'number' && Number.isFinite(v)) kinds.add(Number.isSafeInteger(v) ? 'integer' : 'real');
+      else kinds.add('text');
+    });
+  });
+  const columns = [];
+  seen.forEach((kinds, key) => {
+    let type = 'TEXT';
+    if (kinds.size === 0) type = 'TEXT';
+    else if (kinds.size === 1 && kinds.has('boolean')) type = 'BOOLEAN';
+    else if (kinds.size === 1 && kinds.has('integer')) type = 'INTEGER';
+    else if ([...kinds].every((t) => t === 'integer' || t === 'real')) type = 'REAL';
+    columns.push({ key, type });
+  });
+  return columns;
+}
+
+function toSqlValue(v, type) {
+  if (v === null || v === undefined) return null;
+  if (type === 'BOOLEAN') return v ? 1 : 0;
+  if (type === 'INTEGER' || type === 'REAL') return v;
+  return typeof v === 'object' ? JSON.stringify(v) : String(v);
+}
+
+// Return `base` or `base_N`, unique (case-insensitive, like SQLite) within `taken`
+function uniqueName(base, taken) {
+  let name = base;
+  for (let i = 1; taken.has(name.toLowerCase()); i++) name = `${base}_${i}`;
+  taken.add(name.toLowerCase());
+  return name;
+}
+
+/**
+ * Convert one or more GeoJSON FeatureCollections -> GeoPackage Blob.
+ * Each FC becomes its own feature table (named from fc.metadata.name); property names and
+ * mixed geometry types are kept as-is, column types are inferred from the values.
+ * Features without a geometry (or with an unsupported one) become rows with a NULL geometry.
+ * options:
+ *  - name: output file name stem (default: first FC's name, or 'export')
+ * returns { blob, filename }
+ */
+export async function geojsonToGeoPackage(fcOrList, opts = {}) {
+  const list = (Array.isArray(fcOrList) ? fcOrList : [fcOrList]).filter(Boolean);
+  if (!list.length) throw new Error('No feature collections to export');
+  list.forEach((fc) => {
+    if (fc.type !== 'FeatureCollection' || !Array.isArray(fc.features)) {
+      throw new Error('Expected a GeoJSON FeatureCollection');
+    }
+  });
+
+  const SQL = await loadSqlJs();
+  const db = new SQL.Database();
+  const now = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const SRS_ID = 4326;
+
+  try {
+    db.run(`PRAGMA application_id = ${0x47504b47}`); // "GPKG"
+    db.run('PRAGMA user_version = 10300');
+    db.run(`
+      CREATE TABLE gpkg_spatial_ref_sys (
+        srs_name TEXT NOT NULL, srs_id INTEGER NOT NULL PRIMARY KEY,
+        organization TEXT NOT NULL, organization_coordsys_id INTEGER NOT NULL,
+        definition TEXT NOT NULL, description TEXT);
+      CREATE TABLE gpkg_contents (
+        table_name TEXT NOT NULL PRIMARY KEY, data_type TEXT NOT NULL, identifier TEXT UNIQUE,
+        description TEXT DEFAULT '', last_change DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+        min_x DOUBLE, min_y DOUBLE, max_x DOUBLE, max_y DOUBLE,
+        srs_id INTEGER, CONSTRAINT fk_gc_r_srs_id FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id));
+      CREATE TABLE gpkg_geometry_columns (
+        table_name TEXT NOT NULL, column_name TEXT NOT NULL, geometry_type_name TEXT NOT NULL,
+        srs_id INTEGER NOT NULL, z TINYINT NOT NULL, m TINYINT NOT NULL,
+        CONSTRAINT pk_geom_cols PRIMARY KEY (table_name, column_name),
+        CONSTRAINT fk_gc_tn FOREIGN KEY (table_name) REFERENCES gpkg_contents(table_name),
+        CONSTRAINT fk_gc_srs FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id));
+    `);
+
+    const srsInsert = 'INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, ?, ?, ?, ?)';
+    db.run(srsInsert, ['Undefined cartesian SRS', -1, 'NONE', -1, 'undefined', 'undefined cartesian coordinate reference system']);
+    db.run(srsInsert, ['Undefined geographic SRS', 0, 'NONE', 0, 'undefined', 'undefined geographic coordinate reference system']);
+    db.run(srsInsert, [
+      'WGS 84 geodetic', SRS_ID, 'EPSG', 4326,
+      'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563,AUTHORITY["EPSG","7030"]],AUTHORITY["EPSG","6326"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4326"]]',
+      'longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid',
+    ]);
+
+    const tableNames = new Set(['gpkg_spatial_ref_sys', 'gpkg_contents', 'gpkg_geometry_columns', 'sqlite_sequence']);
+    const identifiers = new Set();
+
+    list.forEach((fc, idx) => {
+      // features without a (supported) geometry are kept as rows with a NULL geometry
+      const features = fc.features.filter(Boolean);
+      const geometryOf = (f) => (f.geometry && GPKG_GEOMETRY_TYPES.includes(f.geometry.type) ? f.geometry : null);
+      const geometries = features.map(geometryOf).filter(Boolean);
+      const table = uniqueName(
+        sanitizeName(fc.metadata?.name || `layer_${idx + 1}`).replace(/[^A-Za-z0-9_]/g, '_').replace(/^(\d)/, '_$1') || `layer_${idx + 1}`,
+        tableNames
+      );
+
+      // SQLite column names are case-insensitive: 'Name' and 'name' get distinct columns
+      const columnNames = new Set();
+      const columns = inferColumnTypes(features).map((c) => ({ ...c, name: uniqueName(c.key, columnNames) }));
+      const colNames = new Set(columnNames);
+      const pk = uniqueName('fid', new Set(colNames));
+      const geomCol = uniqueName('geom', new Set([...colNames, pk.toLowerCase()]));
+
+      const types = new Set(geometries.map((g) => g.type));
+      const geometryType = types.size === 1 ? [...types][0].toUpperCase() : 'GEOMETRY';
+      // gpkg_geometry_columns.z: 0 = prohibited, 1 = mandatory, 2 = optional
+      const zCount = geometries.filter(geometryHasZ).length;
+      const zFlag = zCount === 0 ? 0 : zCount === geometries.length ? 1 : 2;
+
+      db.run(`CREATE TABLE ${quoteIdent(table)} (
+        ${quoteIdent(pk)} INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL,
+        ${quoteIdent(geomCol)} ${geometryType}${columns.map((c) => `,\n        ${quoteIdent(c.name)} ${c.type}`).join('')})`);
+
+      const env = [Infinity, -Infinity, Infinity, -Infinity];
+      const insert = db.prepare(
+        `INSERT INTO ${quoteIdent(table)} (${[geomCol, ...columns.map((c) => c.name)].map(quoteIdent).join(', ')})
+         VALUES (${['?', ...columns.map(() => '?')].join(', ')})`
+      );
+      db.run('BEGIN');
+      try {
+        features.forEach((f) => {
+          const geometry = geometryOf(f);
+          if (geometry) {
+            const e = geometryEnvelope(geometry);
+            env[0] = Math.min(env[0], e[0]); env[1] = Math.max(env[1], e[1]);
+            env[2] = Math.min(env[2], e[2]); env[3] = Math.max(env[3], e[3]);
+          }
+          const props = f.properties || {};
+          insert.run([
+            geometry ? encodeGpkgGeometry(geometry, SRS_ID) : null,
+            ...columns.map((c) => toSqlValue(props[c.key], c.type)),
+          ]);
+        });
+        db.run('COMMIT');
+      } catch (err) {
+        db.run('ROLLBACK');
+        throw err;
+      } finally {
+        insert.free();
+      }
+
+      const extent = Number.isFinite(env[0]) ? [env[0], env[2], env[1], env[3]] : [null, null, null, null];
+      db.run(
+        'INSERT INTO gpkg_contents (table_name, data_type, identifier, description, last_change, min_x, min_y, max_x, max_y, srs_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [table, 'features', uniqueName(fc.metadata?.name || table, identifiers), '', now, ...extent, SRS_ID]
+      );
+      db.run('INSERT INTO gpkg_geometry_columns VALUES (?, ?, ?, ?, ?, ?)', [table, geomCol, geometryType, SRS_ID, zFlag, 0]);
+    });
+
+    const bytes = db.export();
+    const blob = new Blob([bytes], { type: 'application/geopackage+sqlite3' });
+    const filename = `${sanitizeName(opts.name || list[0].metadata?.name || 'export')}.gpkg`;
+    return { blob, filename };
+  } finally {
+    db.close();
+  }
+}
+
+// ----------------------
+// GeoJSON -> TopoJSON
+
+/**
+ * Convert one or more GeoJSON FeatureCollections -> TopoJSON Blob.
+ * Each FC becomes one object (a GeometryCollection named after fc.metadata.topojson.object or fc.metadata.name).
+ * Lines and polygon rings are cut where they meet; each shared piece of boundary is stored once as an arc,
+ * across all objects, which is what makes TopoJSON boundary files compact.
+ * options:
+ *  - quantization: grid size per axis (e.g. 1e5; default 1e5). 0 keeps full precision (no transform).
+ *  - transform: { scale, translate } to quantize onto instead (e.g. the grid of an imported TopoJSON file)
+ *  - name: output file name stem (default: first FC's name, or 'export')
+ * returns { blob, filename, topology }
+ */
+export function geojsonToTopoJSON(fcOrList, opts = {}) {
+  const list = (Array.isArray(fcOrList) ? fcOrList : [fcOrList]).filter(Boolean);
+  if (!list.length) throw new Error('No feature collections to export');
+  list.forEach((fc) => {
+    if (fc.type !== 'FeatureCollection' || !Array.isArray(fc.features)) {
+      throw new Error('Expected a GeoJSON FeatureCollection');
+    }
+  });
+
+  // bbox over every position
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  const extend = (c) => {
+    if (typeof c[0] === 'number') {
+      if (c[0] < bbox[0]) bbox[0] = c[0];
+      if (c[1] < bbox[1]) bbox[1] = c[1];
+      if (c[0] > bbox[2]) bbox[2] = c[0];
+      if (c[1] > bbox[3]) bbox[3] = c[1];
+    } else c.forEach(extend);
+  };
+  const extendGeometry = (g) => {
+    if (!g) return;
+    if (g.type === 'GeometryCollection') (g.geometries || []).forEach(extendGeometry);
+    else if (g.coordinates) extend(g.coordinates);
+  };
+  list.forEach((fc) => fc.features.forEach((f) => extendGeometry(f?.geometry)));
+  const hasData = Number.isFinite(bbox[0]);
+
+  // quantization: x / y become integers on a grid (Q cells per axis, or the given transform);
+  // further ordinates (z, m) are kept as they are
+  const q = Number(opts.quantization ?? 1e5);
+  let transform = null;
+  if (opts.transform?.scale && opts.transform?.translate) {
+    transform = { scale: [...opts.transform.scale], translate: [...opts.transform.translate] };
+  } else if (q > 1 && hasData) {
+    const [x0, y0, x1, y1] = bbox;
+    transform = {
+      scale: [x1 > x0 ? (x1 - x0) / (q - 1) : 1, y1 > y0 ? (y1 - y0) / (q - 1) : 1],
+      translate: [x0, y0],
+    };
+  }
+  const quantize = transform
+    ? (p) => [
+        Math.round((p[0] - transform.translate[0]) / transform.scale[0]),
+        Math.round((p[1] - transform.translate[1]) / transform.scale[1]),
+        ...p.slice(2),
+      ]
+    : (p) => p.slice();
+  const key = (p) => `${p[0]},${p[1]}`;
+  const hasPositions = (c) => Array.isArray(c) && c.length > 0;
+
+  // quantized positions without consecutive repeats (which the grid can create)
+  const clean = (coords) => {
+    const out = [];
+    for (const c of coords || []) {
+      const p = quantize(c);
+      const last = out[out.length - 1];
+      if (!last || last[0] !== p[0] || last[1] !== p[1]) out.push(p);
+    }
+    return out;
+  };
+
+  // 1) collect lines and rings; geometries keep a reference to the arcs they will be cut into
+  const lines = []; // { points, ring, arcs }
+  const addLine = (coords, ring) => {
+    const points = clean(coords);
+    if (ring) {
+      if (points.length && key(points[0]) !== key(points[points.length - 1])) points.push(points[0]);
+      while (points.length && points.length < 4) points.push(points[0]);
+    } else if (points.length === 1) points.push(points[0]);
+    const entry = { points, ring, arcs: [] };
+    lines.push(entry);
+    return entry;
+  };
+  // empty lines, holes and polygons are left out; a geometry with nothing left is written as { type: null }
+  const polygonLines = (rings) => (hasPositions(rings?.[0]) ? rings.filter(hasPositions).map((r) => addLine(r, true)) : null);
+  const encodeGeometry = (g) => {
+    switch (g?.type) {
+      case 'Point': return hasPositions(g.coordinates) ? { type: 'Point', coordinates: quantize(g.coordinates) } : { type: null };
+      case 'MultiPoint': return { type: 'MultiPoint', coordinates: (g.coordinates || []).filter(hasPositions).map(quantize) };
+      case 'LineString': return hasPositions(g.coordinates) ? { type: 'LineString', lines: addLine(g.coordinates, false) } : { type: null };
+      case 'MultiLineString': {
+        const parts = (g.coordinates || []).filter(hasPositions);
+        return parts.length ? { type: 'MultiLineString', lines: parts.map((l) => addLine(l, false)) } : { type: null };
+      }
+      case 'Polygon': {
+        const rings = polygonLines(g.coordinates);
+        return rings ? { type: 'Polygon', lines: rings } : { type: null };
+      }
+      case 'MultiPolygon': {
+        const parts = (g.coordinates || []).map(polygonLines).filter(Boolean);
+        return parts.length ? { type: 'MultiPolygon', lines: parts } : { type: null };
+      }
+      case 'GeometryCollection': return { type: 'GeometryCollection', geometries: (g.geometries || []).map(encodeGeometry) };
+      default: return { type: null };
+    }
+  };
+  const objectNames = new Set();
+  const objects = list.map((fc, idx) => ({
+    name: uniqueName(String(fc.metadata?.topojson?.object || fc.metadata?.name || `layer_${idx + 1}`), objectNames),
+    geometries: fc.features.filter(Boolean).map((f) => {
+      const o = encodeGeometry(f.geometry);
+      if (f.id != null) o.id = f.id;
+      if (f.properties && Object.keys(f.properties).length) o.properties = f.properties;
+      return o;
+    }),
+  }));
+
+  // 2) junctions: line ends, and positions reached from different neighbours by different lines / rings
+  const neighbours = new Map();
+  const junctions = new Set();
+  const visit = (p, prev, next) => {
+    const k = key(p);
+    const pair = [key(prev), key(next)];
+    const seen = neighbours.get(k);
+    if (!seen) neighbours.set(k, pair);
+    else if (!((seen[0] === pair[0] && seen[1] === pair[1]) || (seen[0] === pair[1] && seen[1] === pair[0]))) junctions.add(k);
+  };
+  lines.forEach(({ points, ring }) => {
+    if (ring) {
+      const n = points.length - 1;
+      for (let i = 0; i < n; i++) visit(points[i], points[(i - 1 + n) % n], points[(i + 1) % n]);
+    } else {
+      junctions.add(key(points[0]));
+      junctions.add(key(points[points.length - 1]));
+      for (let i = 1; i < points.length - 1; i++) visit(points[i], points[i - 1], points[i + 1]);
+    }
+  });
+
+  // 3) cut at junctions and store each distinct piece once; a reused piece may run backwards (~index).
+  //    Pieces only match with the same z / m too, so no ordinate is lost.
+  const arcs = [];
+  const arcIndex = new Map();
+  const fullKey = (p) => p.join(',');
+  const addArc = (points) => {
+    const forward = points.map(fullKey).join(';');
+    if (arcIndex.has(forward)) return arcIndex.get(forward);
+    const backward = points.map(fullKey).reverse().join(';');
+    if (arcIndex.has(backward)) return ~arcIndex.get(backward);
+    arcs.push(points);
+    arcIndex.set(forward, arcs.length - 1);
+    return arcs.length - 1;
+  };
+  lines.forEach((line) => {
+    let { points } = line;
+    if (line.ring) {
+      const n = points.length - 1;
+      let start = points.findIndex((p, i) => i < n && junctions.has(key(p)));
+      // a ring touching nothing: start at its lowest position, so identical rings match whatever their start
+      if (start < 0) {
+        start = 0;
+        for (let i = 1; i < n; i++) {
+          const a = points[i];
+          const b = points[start];
+          if (a[0] < b[0] || (a[0] === b[0] && a[1] < b[1])) start = i;
+        }
+      }
+      points = [...points.slice(start, n), ...points.slice(0, start), points[start]];
+    }
+    let from = 0;
+    for (let i = 1; i < points.length; i++) {
+      if (i === points.length - 1 || junctions.has(key(points[i]))) {
+        line.arcs.push(addArc(points.slice(from, i + 1)));
+        from = i;
+      }
+    }
+  });
+
+  // 4) geometries reference arcs; quantized arcs are delta-encoded (x / y only, as topologyToGeoJSON reads them)
+  const finish = (o) => {
+    const { lines: l, geometries, ...rest } = o;
+    if (o.type === 'GeometryCollection') return { ...rest, geometries: geometries.map(finish) };
+    if (!l) return rest;
+    const refs = o.type === 'MultiPolygon' ? l.map((p) => p.map((r) => r.arcs)) : Array.isArray(l) ? l.map((x) => x.arcs) : l.arcs;
+    return { type: o.type, arcs: refs, ...rest };
+  };
+  const topology = { type: 'Topology' };
+  if (hasData) topology.bbox = bbox;
+  if (transform) topology.transform = transform;
+  topology.objects = Object.fromEntries(
+    objects.map((o) => [o.name, { type: 'GeometryCollection', geometries: o.geometries.map(finish) }])
+  );
+  topology.arcs = transform
+    ? arcs.map((arc) => arc.map((p, i) => (i ? [p[0] - arc[i - 1][0], p[1] - arc[i - 1][1], ...p.slice(2)] : p)))
+    : arcs;
+
+  const blob = new Blob([JSON.stringify(topology)], { type: 'application/json' });
+  const filename = `${sanitizeName(opts.name || list[0].metadata?.name || 'export')}.topojson`;
+  return { blob, filename, topology };
+}
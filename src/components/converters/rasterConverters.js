@@ -8,12 +8,17 @@ import { fromArrayBuffer, fromUrl } from 'geotiff';
  * Read a GeoTIFF (File or URL) and produce a lightweight preview + metadata for the UI.
  * Returns: { kind: 'raster', metadata, previewBlob, rawBlob }
  */
-export async function geotiffToRaster(fileOrUrl) {
+export async function geotiffToRaster(fileOrUrl, opts = {}) {
+  const report = (stage, percent = null) => {
+    try { opts.onProgress?.(stage, percent); } catch {}
+  };
   try {
     // Accept either a URL string (COG) or a File/Blob
+    report('read', 0);
     const tiff = typeof fileOrUrl === 'string'
       ? await fromUrl(fileOrUrl)
       : await fromArrayBuffer(await fileOrUrl.arrayBuffer());
+    report('parse', null);
 
     if (!tiff) throw new Error('Unable to parse TIFF (geotiff returned empty).');
 
@@ -42,11 +47,13 @@ export async function geotiffToRaster(fileOrUrl) {
     // request interleaved output so we can map direct to RGBA canvas
     const readOptions = { interleave: true, width: outW, height: outH };
     const raster = await image.readRasters(readOptions);
+    report('normalize', null);
 
-    // create a PNG preview blob via canvas if DOM exists
+    // create a PNG preview blob via canvas if DOM exists (OffscreenCanvas inside the conversion worker)
     let previewBlob = null;
-    if (typeof document !== 'undefined' && document.createElement) {
-      const canvas = document.createElement('canvas');
+    const hasDom = typeof document !== 'undefined' && document.createElement;
+    if (hasDom || typeof OffscreenCanvas !== 'undefined') {
+      const canvas = hasDom ? document.createElement('canvas') : new OffscreenCanvas(outW, outH);
       canvas.width = outW;
       canvas.height = outH;
       const ctx = canvas.getContext('2d');
@@ -92,7 +99,9 @@ export async function geotiffToRaster(fileOrUrl) {
       }
 
       ctx.putImageData(imgData, 0, 0);
-      previewBlob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+      previewBlob = hasDom
+        ? await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'))
+        : await canvas.convertToBlob({ type: 'image/png' });
     }
 
     let rawBlob = null;
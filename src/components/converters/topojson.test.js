@@ -0,0 +1,108 @@
+import { geojsonToTopoJSON } from './geojsonConverters';
+import { topologyToGeoJSON } from './fromFiles';
+
+// the shapefile, PDF and screenshot libraries aren't used here, and their builds for jest's
+// module conditions are ES modules or need a real browser
+jest.mock('shpjs', () => ({}));
+jest.mock('jspdf', () => ({}));
+jest.mock('html2canvas', () => () => null);
+
+const feature = (geometry, properties = {}) => ({ type: 'Feature', properties, geometry });
+const collection = (features, name = 'layer') => ({ type: 'FeatureCollection', features, metadata: { name } });
+
+// absolute integer positions of a quantized (delta-encoded) arc
+const undelta = (arc) => {
+  let x = 0;
+  let y = 0;
+  return arc.map(([dx, dy, ...rest]) => [(x += dx), (y += dy), ...rest]);
+};
+
+describe('TopoJSON round trip', () => {
+  // two squares sharing the edge x = 1; both rings start at a shared vertex, where the encoder starts them too
+  const left = [[1, 0], [1, 1], [0, 1], [0, 0], [1, 0]];
+  const right = [[1, 0], [2, 0], [2, 1], [1, 1], [1, 0]];
+  const squares = collection([
+    feature({ type: 'Polygon', coordinates: [left] }, { name: 'left' }),
+    feature({ type: 'Polygon', coordinates: [right] }, { name: 'right' }),
+  ]);
+
+  test('adjacent polygons share one arc, used backwards by one of them', () => {
+    const { topology } = geojsonToTopoJSON(squares, { quantization: 0 });
+    const [a, b] = topology.objects.layer.geometries.map((g) => g.arcs[0]);
+    const shared = a.find((i) => b.includes(~i));
+    expect(shared).toBeDefined();
+    expect(topology.arcs[shared < 0 ? ~shared : shared]).toEqual([[1, 0], [1, 1]]);
+    // the shared edge is stored once: two outer arcs + the shared one
+    expect(topology.arcs).toHaveLength(3);
+  });
+
+  test('decoding returns the exported coordinates and properties', () => {
+    const { topology } = geojsonToTopoJSON(squares, { quantization: 0 });
+    const [{ name, geojson }] = topologyToGeoJSON(topology);
+    expect(name).toBe('layer');
+    expect(geojson.features.map((f) => f.geometry)).toEqual(squares.features.map((f) => f.geometry));
+    expect(geojson.features.map((f) => f.properties.name)).toEqual(['left', 'right']);
+  });
+
+  test('z values survive the round trip, quantized or not', () => {
+    const line = [[0, 0, 5], [1, 1, 6], [2, 0, 7.5]];
+    const fc = collection([feature({ type: 'LineString', coordinates: line })]);
+    [0, 1e4].forEach((quantization) => {
+      const { topology } = geojsonToTopoJSON(fc, { quantization });
+      const [{ geojson }] = topologyToGeoJSON(topology);
+      const coords = geojson.features[0].geometry.coordinates;
+      expect(coords.map((p) => p[2])).toEqual([5, 6, 7.5]);
+      // x / y are only as exact as the grid (2 / 9999 wide here)
+      const digits = quantization ? 3 : 10;
+      coords.forEach((p, i) => {
+        expect(p[0]).toBeCloseTo(line[i][0], digits);
+        expect(p[1]).toBeCloseTo(line[i][1], digits);
+      });
+    });
+  });
+
+  test('empty lines and rings are skipped, not fatal', () => {
+    const fc = collection([
+      feature({ type: 'LineString', coordinates: [] }),
+      feature({ type: 'MultiLineString', coordinates: [[], [[0, 0], [1, 1]]] }),
+      feature({ type: 'Polygon', coordinates: [] }),
+    ]);
+    const { topology } = geojsonToTopoJSON(fc, { quantization: 0 });
+    const [{ geojson }] = topologyToGeoJSON(topology);
+    expect(geojson.features.map((f) => f.geometry)).toEqual([
+      null,
+      { type: 'MultiLineString', coordinates: [[[0, 0], [1, 1]]] },
+      null,
+    ]);
+  });
+
+  test('exporting on the source transform reproduces the imported integer grid', () => {
+    const source = {
+      type: 'Topology',
+      transform: { scale: [0.5, 0.25], translate: [10, 20] },
+      objects: {
+        parcels: {
+          type: 'GeometryCollection',
+          geometries: [
+            { type: 'Polygon', arcs: [[0, 1]], properties: { id: 'a' } },
+            { type: 'Polygon', arcs: [[2, ~0]], properties: { id: 'b' } },
+          ],
+        },
+      },
+      arcs: [
+        [[4, 0], [0, 8]],
+        [[4, 8], [-4, 0], [0, -8], [4, 0]],
+        [[4, 0], [6, 0], [0, 8], [-6, 0]],
+      ],
+    };
+    const layers = topologyToGeoJSON(source);
+    const fc = layers[0].geojson;
+    const { topology } = geojsonToTopoJSON(fc, { quantization: 0, transform: fc.metadata.topojson.transform });
+
+    expect(topology.transform).toEqual(source.transform);
+    expect(topology.arcs.map(undelta)).toEqual(source.arcs.map(undelta));
+    expect(topology.objects.parcels.geometries.map((g) => g.arcs)).toEqual(
+      source.objects.parcels.geometries.map((g) => g.arcs)
+    );
+  });
+});
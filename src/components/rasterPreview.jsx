@@ -8,7 +8,7 @@ import 'leaflet-imageoverlay-rotated';
 
 // Props:
 // - dataset: { kind: 'raster', metadata, previewBlob, rawBlob, url?, image? }
-// - map: optional Leaflet map instance. If omitted, component will look for window.map
+// - map: optional Leaflet map instance. If omitted, only a static preview is shown
 // - opacity: optional overlay opacity (default 0.9)
 export default function RasterPreview({ dataset, map: mapProp, opacity = 0.9 }) {
   const [error, setError] = useState(null);
@@ -19,7 +19,7 @@ export default function RasterPreview({ dataset, map: mapProp, opacity = 0.9 })
   const mapRef = useRef(null);
 
   useEffect(() => {
-    mapRef.current = mapProp || (typeof window !== 'undefined' ? window.map : null);
+    mapRef.current = mapProp || null;
   }, [mapProp]);
 
   useEffect(() => {
@@ -234,9 +234,9 @@ async function ensureGeorasterUmd() {
       setError(null);
       setWarning(null);
 
-      const map = mapRef.current || (typeof window !== "undefined" ? window.map : null);
+      const map = mapRef.current;
       if (!map) {
-        setWarning("No map instance found (window.map or map prop). Showing static preview.");
+        setWarning("No map instance found (map prop). Showing static preview.");
         return;
       }
 
@@ -1,7 +1,8 @@
 // src/hooks/useTimeFilter.js
 import { useEffect, useMemo, useRef, useState } from "react";
 
-function toEpoch(v) {
+// epoch ms of a timestamp value (number, Date or parseable string), or null; the map's time filter uses it too
+export function toEpoch(v) {
   if (v == null) return null;
   if (typeof v === "number") return Number.isFinite(v) ? v : null;
   const t = Date.parse(v);
@@ -129,9 +130,10 @@ useEffect(() => {
   return () => cancelAnimationFrame(rafRef.current);
 }, [playing, domain, cursor, windowSizeSec, speedFactor, playMode, rangeEnd]);
 
-  // filtering (cumulative up to cursor) in chosen scope
-  const filtered = useMemo(() => {
-    if (!indexed || !domain) return datasets;
+  // filtering (cumulative up to cursor) in chosen scope, as a { field, start, end } predicate for the map;
+  // the datasets themselves stay untouched so the map can filter its layers in place on every tick
+  const timeFilter = useMemo(() => {
+    if (!indexed || !domain) return null;
 
     const [dmin, dmax] = domain;
 
@@ -156,25 +158,17 @@ useEffect(() => {
     }
 
     const cutoff = cursor ?? hi;
-
-    return (datasets || []).map((d) => {
-      const bin = indexed.find((b) => b.uid === d.uid);
-      if (!bin) return d;
-      const vis = bin.feats
-        .filter(({ ts }) => ts >= lo && ts <= hi)
-        .filter(({ ts }) => ts <= cutoff)
-        .map(({ f }) => f);
-      return { ...d, geojson: { type: "FeatureCollection", features: vis } };
-    });
-  }, [datasets, indexed, domain, rangeStart, rangeEnd, cursor, playMode]);
+    return { field: selectedField, start: lo, end: Math.min(hi, cutoff) };
+  }, [indexed, domain, selectedField, rangeStart, rangeEnd, cursor, playMode]);
 
   return {
-    filteredDatasets: filtered,
+    timeFilter,
     domain,
     rangeStart, rangeEnd, setRangeStart, setRangeEnd,
     cursor, setCursor,
     playing, setPlaying,
-    setSpeed, setWindowSec,
+    speed: speedFactor, setSpeed,
+    windowSec: windowSizeSec, setWindowSec,
     playMode, setPlayMode,            // ← expose new toggle
   };
 }
\ No newline at end of file
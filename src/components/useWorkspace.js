@@ -0,0 +1,32 @@
+// src/components/useWorkspace.js
+import { createContext, createElement, useContext, useSyncExternalStore } from "react";
+
+const WorkspaceContext = createContext(null);
+
+/**
+ * Makes a workspace store (utils/workspaceStore) available to the components below it.
+ * Maps under different providers keep separate styles, basemaps and time filters.
+ */
+export function WorkspaceProvider({ store, children }) {
+  return createElement(WorkspaceContext.Provider, { value: store }, children);
+}
+
+/**
+ * The store of the nearest WorkspaceProvider (for dispatch / getState in event handlers),
+ * or `store` when given (the component that owns the store and renders the provider).
+ */
+export function useWorkspaceStore(store = null) {
+  const provided = useContext(WorkspaceContext);
+  const target = store || provided;
+  if (!target) throw new Error("useWorkspace needs a <WorkspaceProvider store={...}> above the component.");
+  return target;
+}
+
+/**
+ * Subscribe to part of the workspace state; re-renders only when `selector`'s result changes.
+ * The selector should return a value from the state as-is (e.g. s => s.styles), not build a new object.
+ */
+export default function useWorkspace(selector, store = null) {
+  const target = useWorkspaceStore(store);
+  return useSyncExternalStore(target.subscribe, () => selector(target.getState()));
+}
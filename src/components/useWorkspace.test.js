@@ -0,0 +1,37 @@
+import { act, render, screen } from '@testing-library/react';
+import useWorkspace, { WorkspaceProvider } from './useWorkspace';
+import { BASEMAPS, createWorkspaceStore, selectBasemap } from '../utils/workspaceStore';
+
+function Basemap({ testId }) {
+  const basemap = useWorkspace((s) => s.basemap);
+  return <span data-testid={testId}>{basemap}</span>;
+}
+
+test('components under two providers follow their own store', () => {
+  const left = createWorkspaceStore();
+  const right = createWorkspaceStore({ basemap: BASEMAPS[1] });
+  render(
+    <>
+      <WorkspaceProvider store={left}>
+        <Basemap testId="left" />
+      </WorkspaceProvider>
+      <WorkspaceProvider store={right}>
+        <Basemap testId="right" />
+      </WorkspaceProvider>
+    </>
+  );
+  expect(screen.getByTestId('left')).toHaveTextContent(BASEMAPS[0]);
+  expect(screen.getByTestId('right')).toHaveTextContent(BASEMAPS[1]);
+
+  act(() => {
+    left.dispatch(selectBasemap(BASEMAPS[3]));
+  });
+  expect(screen.getByTestId('left')).toHaveTextContent(BASEMAPS[3]);
+  expect(screen.getByTestId('right')).toHaveTextContent(BASEMAPS[1]);
+});
+
+test('useWorkspace without a provider throws', () => {
+  const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  expect(() => render(<Basemap testId="none" />)).toThrow(/WorkspaceProvider/);
+  spy.mockRestore();
+});
@@ -0,0 +1,66 @@
+// src/components/useWorkspaceHistory.js
+import { useCallback, useRef, useState } from "react";
+
+const MAX_ENTRIES = 50;
+// repeated changes with the same key within this time (e.g. dragging a slider) form one entry
+const COALESCE_MS = 1000;
+
+const sameSnapshot = (a, b) =>
+  !!a && !!b && Object.keys(a).every((k) => a[k] === b[k]) && Object.keys(b).every((k) => a[k] === b[k]);
+
+/**
+ * Undo / redo over immutable workspace snapshots (plain objects of state values, e.g. { datasets, fcMap, styleMap }).
+ * - record(label, snapshot, key?): call with the state an action is about to change; clears the redo stack.
+ *   Nothing is recorded when `snapshot` is the one recorded last (several calls for one action) or when `key`
+ *   repeats within COALESCE_MS.
+ * - undo(current) / redo(current): returns the snapshot to apply (or null); `current` goes onto the other stack.
+ * - past / future: entry labels, oldest first.
+ */
+export default function useWorkspaceHistory({ limit = MAX_ENTRIES } = {}) {
+  const stacksRef = useRef({ past: [], future: [] }); // [{ label, snapshot }]
+  const lastRef = useRef(null); // { key, at } of the last recorded change
+  const [, setVersion] = useState(0);
+  const changed = () => setVersion((n) => n + 1);
+
+  const record = useCallback((label, snapshot, key = null) => {
+    const stacks = stacksRef.current;
+    const now = Date.now();
+    const last = lastRef.current;
+    lastRef.current = { key, at: now };
+    if (sameSnapshot(stacks.past[stacks.past.length - 1]?.snapshot, snapshot)) return;
+    if (key && last?.key === key && now - last.at < COALESCE_MS) return;
+    stacksRef.current = { past: [...stacks.past, { label, snapshot }].slice(-limit), future: [] };
+    changed();
+  }, [limit]);
+
+  const step = useCallback((from, to, current) => {
+    const stacks = stacksRef.current;
+    const entry = stacks[from][stacks[from].length - 1];
+    if (!entry) return null;
+    lastRef.current = null;
+    stacksRef.current = {
+      [from]: stacks[from].slice(0, -1),
+      [to]: [...stacks[to], { label: entry.label, snapshot: current }],
+    };
+    changed();
+    return entry.snapshot;
+  }, []);
+
+  const undo = useCallback((current) => step("past", "future", current), [step]);
+  const redo = useCallback((current) => step("future", "past", current), [step]);
+
+  const clear = useCallback(() => {
+    stacksRef.current = { past: [], future: [] };
+    lastRef.current = null;
+    changed();
+  }, []);
+
+  return {
+    past: stacksRef.current.past.map((e) => e.label),
+    future: stacksRef.current.future.map((e) => e.label),
+    record,
+    undo,
+    redo,
+    clear,
+  };
+}
@@ -1,15 +1,66 @@
 // src/pages/UploadAndPreview.jsx
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import MapWorkspace from "../components/MapWorkspace";
 import UploadDropzone from "../components/UploadDropzone";
 import PreviewRouter from "../components/PreviewRouter";
 import ExportPanel from "../components/ExportPanel";
 import UnifiedLegend from "../components/UnifiedLegend";
+import AttributeTable from "../components/AttributeTable";
+import IdentifyPanel from "../components/IdentifyPanel";
+import AggregatePanel from "../components/AggregatePanel";
+import SpatialJoinPanel from "../components/SpatialJoinPanel";
+import GeoprocessingPanel from "../components/GeoprocessingPanel";
+import ValidationReport from "../components/ValidationReport";
+import MeasurePanel from "../components/MeasurePanel";
+import EditPanel from "../components/EditPanel";
 import useTimeFilter from "../components/useTimeFilter";
+import useWorkspaceHistory from "../components/useWorkspaceHistory";
+import useWorkspace, { WorkspaceProvider } from "../components/useWorkspace";
+import {
+  ACTIONS,
+  createWorkspaceStore,
+  forgetDataset,
+  initStyle,
+  replaceCollections,
+  replaceStyles,
+  selectBasemap,
+  setCollection,
+  setTimeFilter,
+} from "../utils/workspaceStore";
+import { repairFeatureCollection, validateFeatureCollection } from "../utils/validateGeometry";
+import { withLineage } from "../utils/geoprocessing";
+import { PROJECT_EXTENSION, readProject, writeProject } from "../utils/project";
+import { clearSession, loadSessionSummary, readSession, saveSession } from "../utils/sessionStore";
+import { MEASURE_TOOLS, describeMeasurement, measurementFeature } from "../utils/measure";
+import {
+  DRAW_TOOLS,
+  addFeature,
+  insertVertex,
+  moveVertex,
+  removeFeature,
+  removeVertex,
+  sketchGeometry,
+  updateFeature,
+} from "../utils/editGeometry";
 
 const makeUid = () =>
   `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
 const keyFor = (d) => (d && d.uid) || null;
+const labelOf = (d) => d?.label || d?.name || "dataset";
+
+// autosave waits for this long without changes before writing the session
+const SESSION_SAVE_DELAY = 1000;
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
 export default function UploadAndPreview() {
   const [datasets, setDatasets] = useState([]);
@@ -17,21 +68,82 @@ export default function UploadAndPreview() {
 
   const [isExportOpen, setIsExportOpen] = useState(false);
   const [isAddOpen, setIsAddOpen] = useState(false);
+  const [isTableOpen, setIsTableOpen] = useState(false);
+  const [isAggregateOpen, setIsAggregateOpen] = useState(false);
+  const [isJoinOpen, setIsJoinOpen] = useState(false);
+  const [isToolsOpen, setIsToolsOpen] = useState(false);
+  const [isMeasureOpen, setIsMeasureOpen] = useState(false);
+
+  // measuring: current tool / units, the positions clicked so far and finished measurement features
+  const [measureTool, setMeasureTool] = useState("distance");
+  const [measureUnits, setMeasureUnits] = useState("metric");
+  const [measurePositions, setMeasurePositions] = useState([]);
+  const [measurements, setMeasurements] = useState([]);
+
+  // editing: uid of the dataset being edited, the sketch tool and the vertices of a feature being drawn
+  const [editUid, setEditUid] = useState(null);
+  const [editTool, setEditTool] = useState("select");
+  const [editPositions, setEditPositions] = useState([]);
+
+  // selected feature: { uid, index, feature, source: "table" | "map" | "identify" | "validation" }
+  const [selection, setSelection] = useState(null);
+  // last identify click: { latlng, results: [{ uid, label, feature }] }
+  const [identify, setIdentify] = useState(null);
 
-  const [styleMap, setStyleMap] = useState({});
-  const [fcMap, setFcMap] = useState({});
+  // styles, converted collections and the basemap live in the workspace store shared with the legend and the map
+  const [store] = useState(() => createWorkspaceStore());
+  const styleMap = useWorkspace((s) => s.styles, store);
+  const fcMap = useWorkspace((s) => s.collections, store);
+  const basemap = useWorkspace((s) => s.basemap, store);
+  // the Leaflet map of MapWorkspace, for previews that draw on it (rasters)
+  const [leafletMap, setLeafletMap] = useState(null);
+  // geometry check per dataset (uid -> validateFeatureCollection report) and the uid whose report is open
+  const [validationMap, setValidationMap] = useState({});
+  const [validationUid, setValidationUid] = useState(null);
+  const [repairFailures, setRepairFailures] = useState({}); // repaired dataset uid -> geometries a repair failed on
 
   const [showUploadOverlay, setShowUploadOverlay] = useState(true);
 
+  // project save / open: current map view (kept for saving), a view to restore,
+  // and the saved time brush waiting for the time domain of the reopened data
+  const viewRef = useRef(null);
+  const [restoredView, setRestoredView] = useState(null);
+  const pendingTimeRef = useRef(null);
+  const projectInputRef = useRef(null);
+  const [projectBusy, setProjectBusy] = useState(false);
+  // message under the project buttons: { message, error }
+  const [notice, setNotice] = useState(null);
+
+  // autosaved session: undefined while looking for one, its summary while the restore prompt is open, then null
+  const [savedSession, setSavedSession] = useState(undefined);
+  const [viewVersion, setViewVersion] = useState(0);
+  const sessionRef = useRef(null);
+  const evictedRef = useRef("");
+
   // time player
   const [selectedField, setSelectedField] = useState(null);
 
   const hasData = datasets.length > 0;
 
+  // undo / redo: actions record the datasets, collections and styles they are about to change
+  const history = useWorkspaceHistory();
+  const { record: recordHistory } = history;
+  const snapshotRef = useRef(null);
+  snapshotRef.current = { datasets, fcMap, styleMap };
+  const remember = (label, key) => recordHistory(label, snapshotRef.current, key);
+
   useEffect(() => {
     if (hasData) setShowUploadOverlay(false);
   }, [hasData]);
 
+  useEffect(() => {
+    let cancelled = false;
+    loadSessionSummary().then((summary) => !cancelled && setSavedSession(summary));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
   useEffect(() => {
     const onKey = (e) => e.key === "Escape" && setShowUploadOverlay(false);
     window.addEventListener("keydown", onKey);
@@ -42,8 +154,25 @@ export default function UploadAndPreview() {
     if (datasets.length && !active) setActive(datasets[0]);
   }, [datasets, active]);
 
+  // legend order is drawing order: index 0 is drawn on top
+  const moveDataset = (fromUid, toUid) => {
+    const moved = datasets.find((d) => keyFor(d) === fromUid);
+    if (!moved || fromUid === toUid) return;
+    remember(`Reorder ${labelOf(moved)}`);
+    setDatasets((prev) => {
+      const from = prev.findIndex((d) => keyFor(d) === fromUid);
+      const to = prev.findIndex((d) => keyFor(d) === toUid);
+      if (from < 0 || to < 0 || from === to) return prev;
+      const next = [...prev];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
+    });
+  };
+
   const toggleDatasetVisible = (target, nextVisible) => {
     const id = keyFor(target);
+    remember(`${nextVisible ? "Show" : "Hide"} ${labelOf(target)}`);
     setDatasets((prev) =>
       prev.map((d) => (keyFor(d) === id ? { ...d, visible: nextVisible } : d))
     );
@@ -51,6 +180,7 @@ export default function UploadAndPreview() {
 
   const appendDatasets = (newOnes) => {
     if (!Array.isArray(newOnes) || !newOnes.length) return;
+    remember(newOnes.length === 1 ? `Add ${labelOf(newOnes[0])}` : `Add ${newOnes.length} datasets`);
 
     const withIds = newOnes.map((d) => ({
       ...d,
@@ -60,12 +190,10 @@ export default function UploadAndPreview() {
 
     setDatasets((prev) => [...withIds, ...prev]);
     setShowUploadOverlay(false);
+    // adding data instead of restoring starts a fresh session
+    if (savedSession) discardSession();
 
-    setStyleMap((prev) => {
-      const copy = { ...prev };
-      for (const d of withIds) if (!copy[d.uid]) copy[d.uid] = {};
-      return copy;
-    });
+    withIds.forEach((d) => store.dispatch(initStyle(d.uid)));
 
     if (!active) {
       queueMicrotask(() => setActive(withIds[0]));
@@ -74,55 +202,61 @@ export default function UploadAndPreview() {
 
   const removeDataset = (toRemove) => {
     const id = keyFor(toRemove);
+    remember(`Remove ${labelOf(toRemove)}`);
 
     setDatasets((prev) => {
       const filtered = prev.filter((d) => keyFor(d) !== id);
       const wasActive = active && keyFor(active) === id;
       const nextActive = wasActive ? filtered[0] || null : active;
-
-      if (wasActive && typeof window !== "undefined") {
-        window.dispatchEvent(new CustomEvent("map:clear"));
-      }
       queueMicrotask(() => setActive(nextActive));
       return filtered;
     });
 
-    setStyleMap((prev) => {
-      const copy = { ...prev };
-      delete copy[id];
-      return copy;
-    });
-    setFcMap((prev) => {
+    store.dispatch(forgetDataset(id));
+    setValidationMap((prev) => {
       const copy = { ...prev };
       delete copy[id];
       return copy;
     });
+    setValidationUid((cur) => (cur === id ? null : cur));
+    setEditUid((cur) => (cur === id ? null : cur));
   };
 
-  useEffect(() => {
-    const onStyle = (e) => {
-      const { path, value } = (e && e.detail) || {};
-      if (!path) return;
-      setStyleMap((prev) => {
-        const id = keyFor(active);
-        if (!id) return prev;
-        const copy = { ...prev };
-        const cur = copy[id] ? { ...copy[id] } : {};
-        const parts = path.split(".");
-        let ref = cur;
-        for (let i = 0; i < parts.length - 1; i++) {
-          const k = parts[i];
-          ref[k] = ref[k] || {};
-          ref = ref[k];
-        }
-        ref[parts[parts.length - 1]] = value;
-        copy[id] = cur;
-        return copy;
-      });
-    };
-    window.addEventListener("geojson:style", onStyle);
-    return () => window.removeEventListener("geojson:style", onStyle);
-  }, [active]);
+  // swap a container dataset (e.g. a GeoPackage) for the layers picked out of it
+  const replaceDataset = (container, newOnes) => {
+    if (!Array.isArray(newOnes) || !newOnes.length) return;
+    remember(`Open layers of ${labelOf(container)}`);
+    appendDatasets(newOnes);
+    removeDataset(container);
+  };
+
+  // add a dataset computed in the app (e.g. a hexbin layer) with its initial style, and focus it; returns its uid
+  const addDerivedDataset = (dataset, style) => {
+    const derived = { ...dataset, uid: makeUid() };
+    appendDatasets([derived]);
+    if (style) store.dispatch(initStyle(derived.uid, style));
+    setActive(derived);
+    return derived.uid;
+  };
+
+  // patch a dataset in place (e.g. a user-chosen source CRS) and keep `active` in sync
+  const updateDataset = (target, patch) => {
+    const id = keyFor(target);
+    setDatasets((prev) => prev.map((d) => (keyFor(d) === id ? { ...d, ...patch } : d)));
+    setActive((cur) => (cur && keyFor(cur) === id ? { ...cur, ...patch } : cur));
+  };
+
+  // the legend sets styles on the store directly; record them for undo (the snapshot is still the last render's)
+  useEffect(
+    () =>
+      store.subscribe((state, action) => {
+        if (action.type !== ACTIONS.STYLE_SET) return;
+        const target = snapshotRef.current.datasets.find((d) => keyFor(d) === action.uid);
+        // a dragged slider or colour picker sets many values; they make one history entry
+        recordHistory(`Style ${labelOf(target)} (${action.path})`, snapshotRef.current, `style:${action.uid}:${action.path}`);
+      }),
+    [store, recordHistory]
+  );
 
   // apply parsed FCs
   const datasetsWithFC = useMemo(() => {
@@ -133,14 +267,16 @@ export default function UploadAndPreview() {
     });
   }, [datasets, fcMap]);
 
-  const visibleDatasets = useMemo(
-    () => datasetsWithFC.filter((d) => d.visible !== false && d.geojson),
+  // the legend keeps hidden layers listed so they can be toggled back on
+  const legendDatasets = useMemo(
+    () => datasetsWithFC.filter((d) => d.geojson),
     [datasetsWithFC]
   );
+  const layerOrder = useMemo(() => datasets.map(keyFor), [datasets]);
 
-  const activeStyle = useMemo(
-    () => styleMap[keyFor(active)] || {},
-    [styleMap, active]
+  const visibleDatasets = useMemo(
+    () => datasetsWithFC.filter((d) => d.visible !== false && d.geojson),
+    [datasetsWithFC]
   );
 
   // define activeForMap BEFORE using it to compute candidateFields
@@ -151,6 +287,224 @@ export default function UploadAndPreview() {
     return fc ? { ...active, geojson: fc } : active;
   }, [active, fcMap]);
 
+  // drop the selection when its dataset goes away or another dataset becomes active
+  useEffect(() => {
+    if (selection && keyFor(active) !== selection.uid) setSelection(null);
+  }, [active, selection]);
+
+  const selectFromTable = (index) => {
+    const feature = activeForMap?.geojson?.features?.[index];
+    if (!feature) return;
+    setSelection({ uid: keyFor(active), index, feature, source: "table" });
+  };
+
+  // the map reports feature objects; resolve their index in the full (unfiltered) collection
+  const selectFeature = (uid, feature, source) => {
+    const target = datasetsWithFC.find((d) => keyFor(d) === uid);
+    const index = target?.geojson?.features?.indexOf(feature) ?? -1;
+    if (!target || index < 0) return;
+    if (keyFor(active) !== uid) setActive(datasets.find((d) => keyFor(d) === uid) || active);
+    setSelection({ uid, index, feature, source });
+  };
+
+  // validate every converted collection; the report opens by itself the first time something is wrong
+  // (the router converts again whenever a dataset becomes active)
+  const checkGeometry = (uid, geojson) => {
+    const report = validateFeatureCollection(geojson);
+    const firstCheck = !validationMap[uid];
+    setValidationMap((prev) => ({ ...prev, [uid]: report }));
+    if (firstCheck && report.offenders.length) {
+      setIdentify(null);
+      setValidationUid(uid);
+    }
+  };
+
+  const openValidation = (d) => {
+    setIdentify(null);
+    setValidationUid(keyFor(d));
+  };
+
+  // write the repaired features as a new dataset next to the original, with the same style
+  const repairDataset = (uid, types) => {
+    const source = datasetsWithFC.find((d) => keyFor(d) === uid);
+    if (!source?.geojson) return;
+    const { geojson, failed } = repairFeatureCollection(source.geojson, types, validationMap[uid]);
+    const label = `${source.label || "Dataset"} · repaired`;
+    const out = withLineage(
+      geojson,
+      { operation: "repair", label: "Repair", params: { issues: types }, inputs: [source.label || "Dataset"] },
+      [source.geojson]
+    );
+    setValidationUid(null);
+    const repairedUid = addDerivedDataset(
+      {
+        kind: "geojson",
+        label,
+        files: [],
+        previewable: true,
+        geojson: { ...out, metadata: { ...out.metadata, name: label } },
+      },
+      styleMap[uid]
+    );
+    // geometries that couldn't be repaired stay as they were; the new layer's report lists them
+    if (failed) {
+      setRepairFailures((prev) => ({ ...prev, [repairedUid]: failed }));
+      setValidationMap((prev) => ({ ...prev, [repairedUid]: validateFeatureCollection(out) }));
+      setValidationUid(repairedUid);
+    }
+  };
+
+  const finishMeasurement = (positions = measurePositions) => {
+    const feature = measurementFeature(measureTool, positions);
+    if (!feature) return;
+    setMeasurements((prev) => [...prev, feature]);
+    setMeasurePositions([]);
+  };
+
+  // map clicks while measuring; a double-click delivers its position twice, so repeats are ignored
+  const addMeasurePosition = (position) => {
+    const last = measurePositions[measurePositions.length - 1];
+    if (last && last[0] === position[0] && last[1] === position[1]) return;
+    const next = [...measurePositions, position];
+    const spec = MEASURE_TOOLS.find((t) => t.id === measureTool);
+    if (spec?.max && next.length >= spec.max) finishMeasurement(next);
+    else setMeasurePositions(next);
+  };
+
+  const changeMeasureTool = (tool) => {
+    setMeasureTool(tool);
+    setMeasurePositions([]);
+  };
+
+  const closeMeasure = () => {
+    setIsMeasureOpen(false);
+    setMeasurePositions([]);
+  };
+
+  // finished measurements become one dataset, each feature labelled in the chosen units
+  const saveMeasurements = () => {
+    if (!measurements.length) return;
+    const label = "Measurements";
+    addDerivedDataset({
+      kind: "geojson",
+      label,
+      files: [],
+      previewable: true,
+      geojson: {
+        type: "FeatureCollection",
+        features: measurements.map((f) => ({
+          ...f,
+          properties: { ...f.properties, label: describeMeasurement(f, measureUnits) },
+        })),
+        metadata: { name: label },
+      },
+    });
+    setMeasurements([]);
+  };
+
+  // ---- editing ----
+  // an edited collection replaces the dataset's FC in fcMap (so the map, table and exporters see it) and is
+  // also kept on the dataset itself, so re-activating it doesn't convert the source files again
+  const commitEdit = (uid, geojson, label = "Edit features") => {
+    remember(`${label} (${labelOf(datasets.find((d) => keyFor(d) === uid))})`);
+    store.dispatch(setCollection(uid, geojson));
+    setDatasets((prev) => prev.map((d) => (keyFor(d) === uid ? { ...d, geojson } : d)));
+    setValidationMap((prev) => ({ ...prev, [uid]: validateFeatureCollection(geojson) }));
+  };
+
+  const editDataset = datasetsWithFC.find((d) => keyFor(d) === editUid) || null;
+  const editSelection = selection && selection.uid === editUid ? selection : null;
+
+  const openEditor = (d) => {
+    if (!d) return;
+    closeMeasure();
+    setEditUid(keyFor(d));
+    setEditTool("select");
+    setEditPositions([]);
+    if (keyFor(active) !== keyFor(d)) setActive(datasets.find((x) => keyFor(x) === keyFor(d)) || d);
+  };
+
+  const closeEditor = () => {
+    setEditUid(null);
+    setEditPositions([]);
+  };
+
+  // an empty point / line / polygon layer, opened in the editor
+  const createEmptyLayer = () => {
+    const label = "New layer";
+    const uid = addDerivedDataset({
+      kind: "geojson",
+      label,
+      files: [],
+      previewable: true,
+      geojson: { type: "FeatureCollection", features: [], metadata: { name: label } },
+    });
+    closeMeasure();
+    setEditUid(uid);
+    setEditTool("point");
+    setEditPositions([]);
+  };
+
+  const finishSketch = (positions = editPositions) => {
+    const geometry = sketchGeometry(editTool, positions);
+    if (!geometry || !editDataset?.geojson) return;
+    const { geojson, index } = addFeature(editDataset.geojson, { type: "Feature", properties: {}, geometry });
+    commitEdit(editUid, geojson, "Add feature");
+    setEditPositions([]);
+    setActive(datasets.find((d) => keyFor(d) === editUid) || active);
+    setSelection({ uid: editUid, index, feature: geojson.features[index], source: "edit" });
+  };
+
+  // map clicks while drawing; as with measuring, the repeated position of a double-click is ignored
+  const addEditPosition = (position) => {
+    const last = editPositions[editPositions.length - 1];
+    if (last && last[0] === position[0] && last[1] === position[1]) return;
+    const next = [...editPositions, position];
+    const spec = DRAW_TOOLS.find((t) => t.id === editTool);
+    if (spec?.max && next.length >= spec.max) finishSketch(next);
+    else setEditPositions(next);
+  };
+
+  // apply a change to the selected feature of the edited dataset and keep it selected
+  const patchSelected = (patch, label) => {
+    if (!editSelection || !editDataset?.geojson) return;
+    const geojson = updateFeature(editDataset.geojson, editSelection.index, patch);
+    commitEdit(editUid, geojson, label);
+    setSelection({ ...editSelection, feature: geojson.features[editSelection.index], source: "edit" });
+  };
+
+  const editVertex = (action, path, position) => {
+    const geometry = editSelection?.feature?.geometry;
+    if (!geometry) return;
+    let next = null;
+    if (action === "move") next = moveVertex(geometry, path, position);
+    else if (action === "insert") next = insertVertex(geometry, path, position);
+    else if (action === "remove") next = removeVertex(geometry, path);
+    if (next) patchSelected({ geometry: next }, `${action[0].toUpperCase()}${action.slice(1)} vertex`);
+  };
+
+  const deleteSelectedFeature = () => {
+    if (!editSelection || !editDataset?.geojson) return;
+    commitEdit(editUid, removeFeature(editDataset.geojson, editSelection.index), "Delete feature");
+    setSelection(null);
+  };
+
+  const edit = useMemo(
+    () =>
+      editUid
+        ? { uid: editUid, tool: editTool, positions: editPositions, feature: editSelection?.feature || null }
+        : null,
+    [editUid, editTool, editPositions, editSelection]
+  );
+
+  const measure = useMemo(
+    () =>
+      isMeasureOpen
+        ? { tool: measureTool, units: measureUnits, positions: measurePositions, measurements }
+        : null,
+    [isMeasureOpen, measureTool, measureUnits, measurePositions, measurements]
+  );
+
   // candidate fields from activeForMap
   const candidateFields = useMemo(() => {
     const props = activeForMap?.geojson?.features?.[0]?.properties || {};
@@ -159,18 +513,25 @@ export default function UploadAndPreview() {
 
   // time filter
   const {
-    filteredDatasets,
+    timeFilter,
     domain,
     rangeStart, rangeEnd, setRangeStart, setRangeEnd,
     cursor,
     setCursor,
     playing,
     setPlaying,
+    speed,
     setSpeed,
+    windowSec,
     setWindowSec,
     playMode, setPlayMode,
   } = useTimeFilter(visibleDatasets, selectedField, { windowSec: 60, speed: 1 });
 
+  // the map applies the time window to its layers in place (see MapWorkspace's filterFn)
+  useEffect(() => {
+    store.dispatch(setTimeFilter(timeFilter));
+  }, [store, timeFilter]);
+
   // auto-pick a likely time field once
   useEffect(() => {
     if (!selectedField && candidateFields?.length) {
@@ -180,174 +541,558 @@ export default function UploadAndPreview() {
     }
   }, [candidateFields, selectedField]);
 
+  // a reopened project's time brush can only be applied once its data has a time domain
+  useEffect(() => {
+    const saved = pendingTimeRef.current;
+    if (!saved || !domain) return;
+    pendingTimeRef.current = null;
+    if (saved.rangeStart != null) setRangeStart(saved.rangeStart);
+    if (saved.rangeEnd != null) setRangeEnd(saved.rangeEnd);
+    if (saved.cursor != null) setCursor(saved.cursor);
+    if (saved.playMode) setPlayMode(saved.playMode);
+    if (saved.speed != null) setSpeed(saved.speed);
+    if (saved.windowSec != null) setWindowSec(saved.windowSec);
+  }, [domain, setRangeStart, setRangeEnd, setCursor, setPlayMode, setSpeed, setWindowSec]);
+
+  // ---- projects ----
+  const workspaceState = () => ({
+    styleMap,
+    activeUid: keyFor(active),
+    view: viewRef.current,
+    basemap,
+    time: { selectedField, rangeStart, rangeEnd, cursor, playMode, speed, windowSec },
+  });
+
+  const saveProject = async () => {
+    setProjectBusy(true);
+    setNotice(null);
+    try {
+      const blob = await writeProject(datasets, fcMap, workspaceState());
+      const name = (datasets[0]?.label || "workspace").replace(/\.[^.]+$/, "").replace(/[^\w.-]+/g, "_");
+      downloadBlob(blob, `${name}${PROJECT_EXTENSION}`);
+    } catch (err) {
+      console.error("[Project] save failed", err);
+      setNotice({ message: err?.message || String(err), error: true });
+    } finally {
+      setProjectBusy(false);
+    }
+  };
+
+  // replace the whole workspace with a read project or session ({ datasets, fcMap, styleMap, activeUid, view, basemap, time })
+  const applyWorkspace = (project) => {
+    const restored = project.datasets.map((d) => ({ ...d, uid: d.uid || makeUid(), visible: d.visible !== false }));
+
+    setSelection(null);
+    setIdentify(null);
+    setValidationUid(null);
+    closeEditor();
+    closeMeasure();
+    setMeasurements([]);
+
+    setDatasets(restored);
+    store.dispatch(replaceCollections(project.fcMap));
+    store.dispatch(replaceStyles(project.styleMap));
+    // saved collections were checked when first imported; don't pop reports open again
+    setValidationMap(
+      Object.fromEntries(Object.entries(project.fcMap).map(([uid, fc]) => [uid, validateFeatureCollection(fc)]))
+    );
+    setActive(restored.find((d) => d.uid === project.activeUid) || restored[0] || null);
+
+    const time = project.time || {};
+    setSelectedField(time.selectedField || null);
+    setPlaying(false);
+    pendingTimeRef.current = time.selectedField ? time : null;
+
+    if (project.basemap) store.dispatch(selectBasemap(project.basemap));
+    if (project.view) setRestoredView({ ...project.view });
+    setShowUploadOverlay(false);
+    history.clear();
+  };
+
+  const openProject = async (file) => {
+    if (!file) return;
+    if (hasData && !window.confirm("Replace the current workspace with this project?")) return;
+    setProjectBusy(true);
+    setNotice(null);
+    try {
+      applyWorkspace(await readProject(file));
+      if (savedSession) discardSession();
+    } catch (err) {
+      console.error("[Project] open failed", err);
+      setNotice({ message: err?.message || String(err), error: true });
+      setShowUploadOverlay(true);
+    } finally {
+      setProjectBusy(false);
+    }
+  };
+
+  // ---- undo / redo ----
+  // put a recorded snapshot back; collections converted since it was taken are kept
+  const applySnapshot = (snapshot) => {
+    const current = snapshotRef.current;
+    const nextFcMap = { ...current.fcMap, ...snapshot.fcMap };
+    const present = new Set(snapshot.datasets.map(keyFor));
+
+    setDatasets(snapshot.datasets);
+    store.dispatch(replaceCollections(nextFcMap));
+    store.dispatch(replaceStyles(snapshot.styleMap));
+    setValidationMap((prev) => {
+      const next = {};
+      present.forEach((uid) => {
+        const fc = nextFcMap[uid];
+        if (fc && fc !== current.fcMap[uid]) next[uid] = validateFeatureCollection(fc);
+        else if (prev[uid]) next[uid] = prev[uid];
+      });
+      return next;
+    });
+
+    setActive((cur) => snapshot.datasets.find((d) => keyFor(d) === keyFor(cur)) || snapshot.datasets[0] || null);
+    // feature indexes may point elsewhere now
+    setSelection(null);
+    setIdentify(null);
+    setEditPositions([]);
+    setValidationUid((cur) => (present.has(cur) ? cur : null));
+    if (editUid && !present.has(editUid)) closeEditor();
+  };
+
+  const undo = () => {
+    const snapshot = history.undo(snapshotRef.current);
+    if (snapshot) applySnapshot(snapshot);
+  };
+
+  const redo = () => {
+    const snapshot = history.redo(snapshotRef.current);
+    if (snapshot) applySnapshot(snapshot);
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y); text fields keep their own undo
+  const undoRedoRef = useRef(null);
+  undoRedoRef.current = { undo, redo };
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (/^(INPUT|SELECT|TEXTAREA)$/.test(e.target?.tagName || "") || e.target?.isContentEditable) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) undoRedoRef.current.undo();
+      else if ((key === "z" && e.shiftKey) || key === "y") undoRedoRef.current.redo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  // ---- autosaved session ----
+  const restoreSession = async () => {
+    setProjectBusy(true);
+    setNotice(null);
+    try {
+      const session = await readSession();
+      applyWorkspace(session);
+      if (session.dropped.length) {
+        setNotice({ message: `Not restored (too large for browser storage): ${session.dropped.join(", ")}.` });
+      }
+    } catch (err) {
+      console.error("[Session] restore failed", err);
+      setNotice({ message: `Could not restore the previous session (${err?.message || err}).`, error: true });
+    } finally {
+      setSavedSession(null);
+      setProjectBusy(false);
+    }
+  };
+
+  const discardSession = () => {
+    setSavedSession(null);
+    clearSession();
+  };
+
+  sessionRef.current = { datasets, fcMap, state: workspaceState() };
+
+  // debounced autosave; held back until the restore prompt is answered so it can't overwrite the saved session
+  useEffect(() => {
+    if (savedSession !== null) return;
+    const timer = setTimeout(() => {
+      const { datasets: current, fcMap: collections, state } = sessionRef.current;
+      if (!current.length) {
+        clearSession();
+        return;
+      }
+      saveSession(current, collections, state)
+        .then((evicted) => {
+          const key = evicted.map((e) => `${e.uid}:${e.evicted}`).join("|");
+          if (key === evictedRef.current) return;
+          evictedRef.current = key;
+          if (!evicted.length) return;
+          const list = (level) => evicted.filter((e) => e.evicted === level).map((e) => e.label).join(", ");
+          const parts = [];
+          if (list("files")) parts.push(`only the source files of ${list("files")} (converted again on restore)`);
+          if (list("drop")) parts.push(`nothing of ${list("drop")}`);
+          setNotice({ message: `Browser storage is limited: autosave keeps ${parts.join(" and ")}. Save a project to keep everything.` });
+        })
+        .catch((err) => console.warn("[Session] autosave failed", err));
+    }, SESSION_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [savedSession, datasets, fcMap, styleMap, active, basemap, viewVersion, selectedField, rangeStart, rangeEnd, playMode, speed, windowSec]);
+
+  const projectInput = (
+    <input
+      ref={projectInputRef}
+      type="file"
+      accept={PROJECT_EXTENSION}
+      style={{ display: "none" }}
+      onChange={(e) => {
+        openProject(e.target.files?.[0]);
+        e.target.value = "";
+      }}
+    />
+  );
+
   return (
-    <div className="page">
-      <div style={{ position: "absolute", left: 12, top: 12, zIndex: 20 }}>
-        <button className="btn" onClick={() => setShowUploadOverlay(true)} title="Open Upload">
-          ⬆ Upload
-        </button>
-      </div>
+    <WorkspaceProvider store={store}>
+      <div className="page">
+        {projectInput}
+        <div style={{ position: "absolute", left: 12, top: 12, zIndex: 20, display: "flex", gap: 6 }}>
+          <button className="btn" onClick={() => setShowUploadOverlay(true)} title="Open Upload">
+            ⬆ Upload
+          </button>
+          <button className="btn" onClick={() => projectInputRef.current?.click()} disabled={projectBusy}
+                  title={`Open a saved project (${PROJECT_EXTENSION})`}>
+            Open project
+          </button>
+          {hasData && (
+            <button className="btn" onClick={saveProject} disabled={projectBusy}
+                    title="Download datasets, styles, view and time settings as one project file">
+              {projectBusy ? "Saving…" : "Save project"}
+            </button>
+          )}
+        </div>
+        {notice && (
+          <div style={{ position: "absolute", left: 12, top: 52, zIndex: 20, maxWidth: 360, fontSize: 12,
+                        color: notice.error ? "#b91c1c" : "#334155", background: "#fff",
+                        border: `1px solid ${notice.error ? "#fecaca" : "#e5e7eb"}`, borderRadius: 8, padding: "6px 8px" }}>
+            {notice.message}
+            <button onClick={() => setNotice(null)} aria-label="Dismiss"
+                    style={{ marginLeft: 8, background: "none", border: "none", cursor: "pointer", color: "inherit" }}>×</button>
+          </div>
+        )}
 
-      {hasData && (
-        <UnifiedLegend
-          datasets={visibleDatasets}
-          active={active}
-          onSelect={setActive}
-          onAdd={() => setIsAddOpen(true)}
-          onRemove={removeDataset}
-          onToggleVisible={toggleDatasetVisible}
-          time={{
-            candidateFields,
-            selectedField,
-            setSelectedField,
-            domain,
-            rangeStart, rangeEnd, setRangeStart, setRangeEnd,
-            cursor,
-            setCursor,
-            playing,
-            setPlaying,
-            setSpeed,
-            setWindowSec,
-            playMode, setPlayMode,
-          }}
-        />
-      )}
-
-      <div className="map-root" style={{ position: "fixed", inset: 0, zIndex: 1 }}>
-        <MapWorkspace
-          datasets={filteredDatasets}
-          active={activeForMap}
-          styleOptions={activeStyle}
-          fitOnFirstData={true}   // ← keep overview; don’t re-zoom during playback
-        />
-      </div>
+        {hasData && (
+          <UnifiedLegend
+            datasets={legendDatasets}
+            active={active}
+            onSelect={setActive}
+            onAdd={() => setIsAddOpen(true)}
+            onExport={() => setIsExportOpen(true)}
+            onOpenTable={() => setIsTableOpen(true)}
+            onOpenAggregate={() => setIsAggregateOpen(true)}
+            onOpenJoin={() => setIsJoinOpen(true)}
+            onOpenTools={() => setIsToolsOpen(true)}
+            onOpenMeasure={() => {
+              closeEditor();
+              setIsMeasureOpen(true);
+            }}
+            onEdit={openEditor}
+            onNewLayer={createEmptyLayer}
+            validation={validationMap}
+            onOpenValidation={openValidation}
+            onRemove={removeDataset}
+            onToggleVisible={toggleDatasetVisible}
+            onReorder={moveDataset}
+            history={{ past: history.past, future: history.future, onUndo: undo, onRedo: redo }}
+            time={{
+              candidateFields,
+              selectedField,
+              setSelectedField,
+              domain,
+              rangeStart, rangeEnd, setRangeStart, setRangeEnd,
+              cursor,
+              setCursor,
+              playing,
+              setPlaying,
+              setSpeed,
+              setWindowSec,
+              playMode, setPlayMode,
+            }}
+          />
+        )}
 
-      {showUploadOverlay && (
-        <div
-          className="upload-overlay"
-          style={{
-            position: "fixed",
-            inset: 0,
-            background: "rgba(15, 23, 42, 0.7)",
-            display: "grid",
-            placeItems: "center",
-            zIndex: 10000,
-          }}
-        >
+        <div className="map-root" style={{ position: "fixed", inset: 0, zIndex: 1 }}>
+          <MapWorkspace
+            datasets={visibleDatasets}
+            active={activeForMap}
+            layerOrder={layerOrder}
+            fitOnFirstData={true}   // ← keep overview; don’t re-zoom during playback
+            selection={selection}
+            onFeatureClick={(uid, feature) => selectFeature(uid, feature, "map")}
+            onIdentify={(result) => {
+              setIdentify(result.results.length ? result : null);
+              if (result.results.length) setValidationUid(null);
+            }}
+            measure={measure}
+            onMeasureClick={addMeasurePosition}
+            onMeasureFinish={() => finishMeasurement()}
+            edit={edit}
+            onEditClick={addEditPosition}
+            onEditFinish={() => finishSketch()}
+            onVertexEdit={editVertex}
+            view={restoredView}
+            onViewChange={(v) => {
+              viewRef.current = v;
+              setViewVersion((n) => n + 1);
+            }}
+            onMapReady={setLeafletMap}
+          />
+        </div>
+
+        {showUploadOverlay && (
           <div
-            className="upload-card"
+            className="upload-overlay"
             style={{
-              position: "relative",
-              background: "#fff",
-              borderRadius: 12,
-              padding: 24,
-              width: "min(500px, 90%)",
-              boxShadow: "0 8px 24px rgba(0,0,0,0.3)",
+              position: "fixed",
+              inset: 0,
+              background: "rgba(15, 23, 42, 0.7)",
+              display: "grid",
+              placeItems: "center",
+              zIndex: 10000,
             }}
           >
-            <button
-              onClick={() => setShowUploadOverlay(false)}
-              aria-label="Close upload dialog"
-              title="Close upload dialog"
-              style={{
-                position: "absolute",
-                top: 8,
-                right: 12,
-                background: "transparent",
-                border: "none",
-                fontSize: 22,
-                cursor: "pointer",
-                color: "#555",
-              }}
-            >
-              ×
-            </button>
-
-            <UploadDropzone onDatasetsReady={appendDatasets} />
             <div
+              className="upload-card"
               style={{
-                marginTop: 8,
-                fontSize: 12,
-                textAlign: "center",
-                color: "#475569",
+                position: "relative",
+                background: "#fff",
+                borderRadius: 12,
+                padding: 24,
+                width: "min(500px, 90%)",
+                boxShadow: "0 8px 24px rgba(0,0,0,0.3)",
               }}
             >
-              Tip: drag & drop shapefiles or CSV/GeoJSON with timestamps.
-            </div>
-          </div>
-        </div>
-      )}
-
-      {hasData &&
-        active &&
-        (() => {
-          const routerDataset = active;
-          const routerId = keyFor(routerDataset);
-          return (
-            <div style={{ position: "absolute", right: 0, top: 0, zIndex: 2 }}>
-              <PreviewRouter
-                key={routerId}
-                dataset={routerDataset}
-                onGeoJSONReady={({ geojson, timeInfo }) => {
-                  if (!routerId) return;
-                  setFcMap((prev) => ({ ...prev, [routerId]: geojson }));
-                  if (timeInfo?.field && !selectedField) {
-                    setSelectedField(timeInfo.field);
-                  }
+              <button
+                onClick={() => setShowUploadOverlay(false)}
+                aria-label="Close upload dialog"
+                title="Close upload dialog"
+                style={{
+                  position: "absolute",
+                  top: 8,
+                  right: 12,
+                  background: "transparent",
+                  border: "none",
+                  fontSize: 22,
+                  cursor: "pointer",
+                  color: "#555",
+                }}
+              >
+                ×
+              </button>
+
+              {savedSession && (
+                <div style={{ border: "1px solid #99f6e4", background: "#f0fdfa", borderRadius: 10, padding: 12, marginBottom: 12 }}>
+                  <div style={{ fontWeight: 600, color: "#0f172a" }}>Restore previous session?</div>
+                  <div style={{ fontSize: 12, color: "#475569", margin: "4px 0 8px" }}>
+                    {savedSession.datasets.length} layer{savedSession.datasets.length === 1 ? "" : "s"}
+                    {savedSession.savedAt ? `, saved ${new Date(savedSession.savedAt).toLocaleString()}` : ""}
+                    {": "}
+                    {savedSession.datasets.map((d) => d.label).join(", ")}
+                  </div>
+                  <div style={{ display: "flex", gap: 8 }}>
+                    <button className="btn" onClick={restoreSession} disabled={projectBusy}>
+                      {projectBusy ? "Restoring…" : "Restore"}
+                    </button>
+                    <button className="btn" onClick={discardSession} disabled={projectBusy}>Start fresh</button>
+                  </div>
+                </div>
+              )}
+
+              <UploadDropzone onDatasetsReady={appendDatasets} />
+              <div
+                style={{
+                  marginTop: 8,
+                  fontSize: 12,
+                  textAlign: "center",
+                  color: "#475569",
                 }}
-              />
+              >
+                Tip: drag & drop shapefiles or CSV/GeoJSON with timestamps.
+              </div>
+              <div style={{ marginTop: 8, textAlign: "center" }}>
+                <button className="btn" onClick={() => projectInputRef.current?.click()} disabled={projectBusy}>
+                  {projectBusy ? "Opening…" : `Open a saved project (${PROJECT_EXTENSION})`}
+                </button>
+              </div>
             </div>
-          );
-        })()}
-
-      {isExportOpen && (
-        <ExportPanel
-          onClose={() => setIsExportOpen(false)}
-          datasets={visibleDatasets}
-        />
-      )}
-
-      {isAddOpen && (
-        <div
-          className="fixed-overlay-top"
-          style={{
-            position: "fixed",
-            inset: 0,
-            background: "rgba(15, 23, 42, 0.4)",
-            display: "grid",
-            placeItems: "center",
-            zIndex: 10030,
-          }}
-        >
+          </div>
+        )}
+
+        {hasData &&
+          active &&
+          (() => {
+            const routerDataset = active;
+            const routerId = keyFor(routerDataset);
+            return (
+              <div style={{ position: "absolute", right: 0, top: 0, zIndex: 2 }}>
+                <PreviewRouter
+                  key={routerId}
+                  dataset={routerDataset}
+                  map={leafletMap}
+                  onGeoJSONReady={({ geojson, timeInfo }) => {
+                    if (!routerId) return;
+                    store.dispatch(setCollection(routerId, geojson));
+                    checkGeometry(routerId, geojson);
+                    if (timeInfo?.field && !selectedField) {
+                      setSelectedField(timeInfo.field);
+                    }
+                  }}
+                  onAddDatasets={(layers) => replaceDataset(routerDataset, layers)}
+                  onDatasetChange={(patch) => updateDataset(routerDataset, patch)}
+                />
+              </div>
+            );
+          })()}
+
+        {identify && (
+          <IdentifyPanel
+            key={`${identify.latlng.lat},${identify.latlng.lng}`}
+            latlng={identify.latlng}
+            results={identify.results}
+            onZoomTo={(r) => selectFeature(r.uid, r.feature, "identify")}
+            onClose={() => setIdentify(null)}
+          />
+        )}
+
+        {isMeasureOpen && (
+          <MeasurePanel
+            tool={measureTool}
+            units={measureUnits}
+            positions={measurePositions}
+            measurements={measurements}
+            onToolChange={changeMeasureTool}
+            onUnitsChange={setMeasureUnits}
+            onUndo={() => setMeasurePositions((prev) => prev.slice(0, -1))}
+            onFinish={() => finishMeasurement()}
+            onDiscard={() => setMeasurePositions([])}
+            onRemove={(i) => setMeasurements((prev) => prev.filter((_, j) => j !== i))}
+            onSave={saveMeasurements}
+            onClose={closeMeasure}
+          />
+        )}
+
+        {editDataset && (
+          <EditPanel
+            dataset={editDataset}
+            tool={editTool}
+            positions={editPositions}
+            feature={editSelection?.feature || null}
+            featureIndex={editSelection?.index ?? null}
+            onToolChange={(tool) => {
+              setEditTool(tool);
+              setEditPositions([]);
+            }}
+            onUndo={() => setEditPositions((prev) => prev.slice(0, -1))}
+            onFinish={() => finishSketch()}
+            onDiscard={() => setEditPositions([])}
+            onDeleteFeature={deleteSelectedFeature}
+            onPropertiesChange={(properties) => patchSelected({ properties }, "Edit attributes")}
+            onClose={closeEditor}
+          />
+        )}
+
+        {validationUid && validationMap[validationUid] && (
+          <ValidationReport
+            key={validationUid}
+            dataset={datasetsWithFC.find((d) => keyFor(d) === validationUid)}
+            report={validationMap[validationUid]}
+            repairFailed={repairFailures[validationUid] || 0}
+            onSelectFeature={(feature) => selectFeature(validationUid, feature, "validation")}
+            onRepair={(types) => repairDataset(validationUid, types)}
+            onClose={() => setValidationUid(null)}
+          />
+        )}
+
+        {isTableOpen && activeForMap?.geojson && (
+          <AttributeTable
+            dataset={activeForMap}
+            selectedIndex={selection?.index ?? null}
+            onSelect={selectFromTable}
+            onClose={() => setIsTableOpen(false)}
+          />
+        )}
+
+        {isAggregateOpen && (
+          <AggregatePanel
+            datasets={legendDatasets}
+            activeUid={keyFor(active)}
+            onCreate={addDerivedDataset}
+            onClose={() => setIsAggregateOpen(false)}
+          />
+        )}
+
+        {isJoinOpen && (
+          <SpatialJoinPanel
+            datasets={legendDatasets}
+            activeUid={keyFor(active)}
+            onCreate={addDerivedDataset}
+            onClose={() => setIsJoinOpen(false)}
+          />
+        )}
+
+        {isToolsOpen && (
+          <GeoprocessingPanel
+            datasets={legendDatasets}
+            activeUid={keyFor(active)}
+            onCreate={addDerivedDataset}
+            onClose={() => setIsToolsOpen(false)}
+          />
+        )}
+
+        {isExportOpen && (
+          <ExportPanel
+            onClose={() => setIsExportOpen(false)}
+            datasets={visibleDatasets}
+          />
+        )}
+
+        {isAddOpen && (
           <div
+            className="fixed-overlay-top"
             style={{
-              width: 560,
-              maxWidth: "90vw",
-              background: "#fff",
-              borderRadius: 16,
-              padding: 16,
+              position: "fixed",
+              inset: 0,
+              background: "rgba(15, 23, 42, 0.4)",
+              display: "grid",
+              placeItems: "center",
+              zIndex: 10030,
             }}
           >
             <div
               style={{
-                display: "flex",
-                justifyContent: "space-between",
-                alignItems: "center",
-                marginBottom: 8,
+                width: 560,
+                maxWidth: "90vw",
+                background: "#fff",
+                borderRadius: 16,
+                padding: 16,
               }}
             >
-              <div className="toolbar-title">Add dataset</div>
-              <button className="btn" onClick={() => setIsAddOpen(false)} aria-label="Close">
-                ×
-              </button>
-            </div>
-            <UploadDropzone onDatasetsReady={appendDatasets} />
-            <div style={{ marginTop: 8, fontSize: 12, color: "#475569" }}>
-              Tip: drop <code>.shp .shx .dbf .prj</code> together for shapefiles.
+              <div
+                style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "center",
+                  marginBottom: 8,
+                }}
+              >
+                <div className="toolbar-title">Add dataset</div>
+                <button className="btn" onClick={() => setIsAddOpen(false)} aria-label="Close">
+                  ×
+                </button>
+              </div>
+              <UploadDropzone onDatasetsReady={appendDatasets} />
+              <div style={{ marginTop: 8, fontSize: 12, color: "#475569" }}>
+                Tip: drop <code>.shp .shx .dbf .prj</code> together for shapefiles.
+              </div>
             </div>
           </div>
-        </div>
-      )}
-    </div>
+        )}
+      </div>
+    </WorkspaceProvider>
   );
 }
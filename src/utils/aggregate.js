@@ -0,0 +1,147 @@
+// src/utils/aggregate.js
+// Point aggregation into regular hexagonal or square cells (hexbin / grid layers).
+// Cells are laid out in Web Mercator so they look regular on the map; the cell size is in
+// ground meters at the center latitude of the input points.
+import { toNumber } from './symbology';
+
+const R = 6378137; // same sphere as Leaflet's EPSG:3857
+const RAD = Math.PI / 180;
+const MAX_LAT = 85.0511287798;
+
+export const AGGREGATE_STATS = [
+  { id: 'count', label: 'Count' },
+  { id: 'sum', label: 'Sum' },
+  { id: 'mean', label: 'Mean' },
+  { id: 'min', label: 'Minimum' },
+  { id: 'max', label: 'Maximum' },
+];
+
+function toMercator([lon, lat]) {
+  const clamped = Math.max(-MAX_LAT, Math.min(MAX_LAT, lat));
+  return [R * lon * RAD, R * Math.log(Math.tan(Math.PI / 4 + (clamped * RAD) / 2))];
+}
+
+function fromMercator([x, y]) {
+  return [x / R / RAD, (2 * Math.atan(Math.exp(y / R)) - Math.PI / 2) / RAD];
+}
+
+function pointPositions(features) {
+  const out = [];
+  for (const f of features || []) {
+    const g = f?.geometry;
+    if (!g) continue;
+    const coords = g.type === 'Point' ? [g.coordinates] : g.type === 'MultiPoint' ? g.coordinates : null;
+    if (!coords) continue;
+    for (const c of coords) {
+      if (Number.isFinite(c?.[0]) && Number.isFinite(c?.[1])) out.push({ feature: f, coord: c });
+    }
+  }
+  return out;
+}
+
+// pointy-top hexagons; `size` is the flat-to-flat width
+function hexGrid(size) {
+  const r = size / Math.sqrt(3); // center-to-corner
+  const w = size;
+  const h = 1.5 * r; // vertical distance between rows
+  return {
+    key([x, y]) {
+      // fractional axial coordinates, rounded through cube coordinates
+      const q = (x * Math.sqrt(3) / 3 - y / 3) / r;
+      const s = (2 / 3) * y / r;
+      let rx = Math.round(q);
+      let rz = Math.round(s);
+      const ry = Math.round(-q - s);
+      const dx = Math.abs(rx - q);
+      const dy = Math.abs(ry - (-q - s));
+      const dz = Math.abs(rz - s);
+      if (dx > dy && dx > dz) rx = -ry - rz;
+      else if (dz >= dy) rz = -rx - ry;
+      return `${rx}:${rz}`;
+    },
+    ring(key) {
+      const [q, s] = key.split(':').map(Number);
+      const cx = w * (q + s / 2);
+      const cy = h * s;
+      const ring = [];
+      for (let i = 0; i < 6; i++) {
+        const a = (Math.PI / 180) * (60 * i - 30);
+        ring.push([cx + r * Math.cos(a), cy + r * Math.sin(a)]);
+      }
+      return ring;
+    },
+  };
+}
+
+function squareGrid(size) {
+  return {
+    key([x, y]) {
+      return `${Math.floor(x / size)}:${Math.floor(y / size)}`;
+    },
+    ring(key) {
+      const [i, j] = key.split(':').map(Number);
+      const x0 = i * size;
+      const y0 = j * size;
+      return [[x0, y0], [x0 + size, y0], [x0 + size, y0 + size], [x0, y0 + size]];
+    },
+  };
+}
+
+/**
+ * Aggregate point features into cells.
+ * - shape: 'hex' | 'square'; cellSize in meters (hex: flat-to-flat width, square: side)
+ * - stat: 'count' | 'sum' | 'mean' | 'min' | 'max'; field: numeric property for every stat but count
+ * Returns a polygon FeatureCollection, one feature per non-empty cell with `count` and (for other
+ * stats) `<stat>_<field>` properties; metadata.aggregate records the settings and that value field.
+ */
+export function aggregatePoints(features, { shape = 'hex', cellSize = 1000, stat = 'count', field = null } = {}) {
+  if (!(cellSize > 0)) throw new Error('Cell size must be a positive number of meters.');
+  if (stat !== 'count' && !field) throw new Error(`Choose a numeric field to compute the ${stat}.`);
+
+  const points = pointPositions(features);
+  if (!points.length) throw new Error('The dataset has no point features to aggregate.');
+
+  // meters on the ground -> mercator units at the points' mean latitude
+  const meanLat = points.reduce((s, p) => s + p.coord[1], 0) / points.length;
+  const size = cellSize / Math.max(0.01, Math.cos(meanLat * RAD));
+  const grid = shape === 'square' ? squareGrid(size) : hexGrid(size);
+
+  const cells = new Map();
+  for (const { feature, coord } of points) {
+    const key = grid.key(toMercator(coord));
+    let cell = cells.get(key);
+    if (!cell) {
+      cell = { count: 0, n: 0, sum: 0, min: Infinity, max: -Infinity };
+      cells.set(key, cell);
+    }
+    cell.count++;
+    if (stat === 'count') continue;
+    const v = toNumber(feature.properties?.[field]);
+    if (v == null) continue;
+    cell.n++;
+    cell.sum += v;
+    if (v < cell.min) cell.min = v;
+    if (v > cell.max) cell.max = v;
+  }
+
+  const valueKey = stat === 'count' ? null : `${stat}_${field}`;
+  const out = [];
+  cells.forEach((cell, key) => {
+    const ring = grid.ring(key).map(fromMercator);
+    ring.push(ring[0]);
+    const properties = { count: cell.count };
+    if (valueKey) {
+      if (!cell.n) properties[valueKey] = null;
+      else if (stat === 'sum') properties[valueKey] = cell.sum;
+      else if (stat === 'mean') properties[valueKey] = cell.sum / cell.n;
+      else properties[valueKey] = cell[stat];
+    }
+    out.push({ type: 'Feature', properties, geometry: { type: 'Polygon', coordinates: [ring] } });
+  });
+
+  return {
+    type: 'FeatureCollection',
+    features: out,
+    metadata: { aggregate: { shape, cellSize, stat, field: valueKey ? field : null, valueField: valueKey || 'count' } },
+  };
+}
@@ -0,0 +1,61 @@
+// src/utils/convertInWorker.js
+// Main-thread side of the conversion worker (src/workers/convert.worker.js).
+import { unpackResult } from './transferableGeoJSON';
+
+export const CONVERSION_STAGES = {
+  read: 'Reading file',
+  parse: 'Parsing',
+  normalize: 'Building features',
+  reproject: 'Reprojecting',
+  transfer: 'Finishing',
+};
+
+/**
+ * Convert files of a given kind ('csv' | 'kml' | 'kmz' | 'gpx' | 'shapefile' | 'dxf' | 'topojson' | 'geotiff')
+ * in a dedicated worker. 'topojson' resolves with [{ name, geojson }], one entry per topology object.
+ * - opts.onProgress(stage, percent) receives the worker's progress (percent may be null).
+ * - opts.signal (AbortSignal) terminates the worker and rejects with an AbortError.
+ * - Remaining opts (e.g. sourceCrs) are passed to the converter.
+ * Errors keep their `code` (e.g. 'CRS_REQUIRED').
+ */
+export function convertInWorker(kind, files, { onProgress, signal, ...opts } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Conversion cancelled', 'AbortError'));
+      return;
+    }
+
+    const worker = new Worker(new URL('../workers/convert.worker.js', import.meta.url));
+    function finish() {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+    }
+    function onAbort() {
+      finish();
+      reject(new DOMException('Conversion cancelled', 'AbortError'));
+    }
+    signal?.addEventListener('abort', onAbort);
+
+    worker.onmessage = (e) => {
+      const msg = e.data || {};
+      if (msg.type === 'progress') {
+        onProgress?.(msg.stage, msg.percent);
+        return;
+      }
+      finish();
+      if (msg.type === 'error') {
+        const err = new Error(msg.message);
+        if (msg.code) err.code = msg.code;
+        reject(err);
+      } else {
+        resolve(unpackResult(msg.result));
+      }
+    };
+    worker.onerror = (e) => {
+      finish();
+      reject(new Error(e?.message || 'Conversion worker failed'));
+    };
+
+    worker.postMessage({ kind, files: Array.from(files || []), opts });
+  });
+}
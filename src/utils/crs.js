@@ -0,0 +1,159 @@
+// src/utils/crs.js
+// Coordinate reference system helpers built on proj4.
+// Everything the map shows is EPSG:4326 lon/lat; sources in other CRSs are reprojected on import.
+import proj4 from 'proj4';
+
+const GRS80 = '+ellps=GRS80 +towgs84=0,0,0,0,0,0,0';
+
+// EPSG codes we can resolve offline (proj4 itself only ships 4326 / 4269 / 3857): the usual geographic
+// systems and widely used national / continental grids. Any other CRS can be entered as a proj4 string or WKT.
+const KNOWN_CRS = {
+  4326: { name: 'WGS 84', def: '+proj=longlat +datum=WGS84 +no_defs' },
+  4269: { name: 'NAD83', def: '+proj=longlat +datum=NAD83 +no_defs' },
+  4258: { name: 'ETRS89', def: `+proj=longlat ${GRS80} +no_defs` },
+  4283: { name: 'GDA94', def: `+proj=longlat ${GRS80} +no_defs` },
+  7844: { name: 'GDA2020', def: '+proj=longlat +ellps=GRS80 +no_defs' },
+  4674: { name: 'SIRGAS 2000', def: `+proj=longlat ${GRS80} +no_defs` },
+  3857: { name: 'WGS 84 / Pseudo-Mercator', def: '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +wktext +no_defs' },
+  3395: { name: 'WGS 84 / World Mercator', def: '+proj=merc +lon_0=0 +k=1 +x_0=0 +y_0=0 +datum=WGS84 +units=m +no_defs' },
+  5070: { name: 'NAD83 / Conus Albers', def: '+proj=aea +lat_0=23 +lon_0=-96 +lat_1=29.5 +lat_2=45.5 +x_0=0 +y_0=0 +datum=NAD83 +units=m +no_defs' },
+  3978: { name: 'NAD83 / Canada Atlas Lambert', def: '+proj=lcc +lat_0=49 +lon_0=-95 +lat_1=49 +lat_2=77 +x_0=0 +y_0=0 +datum=NAD83 +units=m +no_defs' },
+  3035: { name: 'ETRS89-extended / LAEA Europe', def: `+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 ${GRS80} +units=m +no_defs` },
+  27700: { name: 'OSGB36 / British National Grid', def: '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m +no_defs' },
+  2154: { name: 'RGF93 / Lambert-93', def: `+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 ${GRS80} +units=m +no_defs` },
+  28992: { name: 'Amersfoort / RD New', def: '+proj=sterea +lat_0=52.1561605555556 +lon_0=5.38763888888889 +k=0.9999079 +x_0=155000 +y_0=463000 +ellps=bessel +towgs84=565.417,50.3319,465.552,-0.398957,0.343988,-1.8774,4.0725 +units=m +no_defs' },
+  2056: { name: 'CH1903+ / LV95', def: '+proj=somerc +lat_0=46.9524055555556 +lon_0=7.43958333333333 +k_0=1 +x_0=2600000 +y_0=1200000 +ellps=bessel +towgs84=674.374,15.056,405.346,0,0,0,0 +units=m +no_defs' },
+  3577: { name: 'GDA94 / Australian Albers', def: `+proj=aea +lat_0=0 +lon_0=132 +lat_1=-18 +lat_2=-36 +x_0=0 +y_0=0 ${GRS80} +units=m +no_defs` },
+  2193: { name: 'NZGD2000 / New Zealand Transverse Mercator 2000', def: `+proj=tmerc +lat_0=0 +lon_0=173 +k=0.9996 +x_0=1600000 +y_0=10000000 ${GRS80} +units=m +no_defs` },
+};
+
+// UTM zones are generated: WGS 84 north (326xx) / south (327xx), NAD83 north (269xx, zones 1-23),
+// ETRS89 (258xx, zones 28-38) and GDA94 MGA (283xx, zones 48-58)
+function utmDefinition(code) {
+  const zone = code % 100;
+  if (code >= 32601 && code <= 32660) {
+    return { name: `WGS 84 / UTM zone ${zone}N`, def: `+proj=utm +zone=${zone} +datum=WGS84 +units=m +no_defs` };
+  }
+  if (code >= 32701 && code <= 32760) {
+    return { name: `WGS 84 / UTM zone ${zone}S`, def: `+proj=utm +zone=${zone} +south +datum=WGS84 +units=m +no_defs` };
+  }
+  if (code >= 26901 && code <= 26923) {
+    return { name: `NAD83 / UTM zone ${zone}N`, def: `+proj=utm +zone=${zone} +datum=NAD83 +units=m +no_defs` };
+  }
+  if (code >= 25828 && code <= 25838) {
+    return { name: `ETRS89 / UTM zone ${zone}N`, def: `+proj=utm +zone=${zone} ${GRS80} +units=m +no_defs` };
+  }
+  if (code >= 28348 && code <= 28358) {
+    return { name: `GDA94 / MGA zone ${zone}`, def: `+proj=utm +zone=${zone} +south ${GRS80} +units=m +no_defs` };
+  }
+  return null;
+}
+
+/**
+ * Offline EPSG lookup. Returns { name, def } or null.
+ */
+export function lookupEpsg(code) {
+  const n = Number(code);
+  return KNOWN_CRS[n] || utmDefinition(n);
+}
+
+/**
+ * Options for CRS pickers: the bundled codes (UTM zones are entered by code, e.g. EPSG:32633).
+ */
+export const COMMON_CRS = [4326, 4269, 4258, 4283, 7844, 4674, 3857, 3395, 5070, 3978, 3035, 27700, 2154, 28992, 2056, 3577, 2193]
+  .map((code) => ({ code: `EPSG:${code}`, name: lookupEpsg(code).name }));
+
+/**
+ * Human-readable name from a WKT (.prj) or proj4 string.
+ */
+export function describeCrs(definition) {
+  const s = String(definition || '').trim();
+  const m = s.match(/^(PROJCS|GEOGCS|PROJCRS|GEOGCRS|GEODCRS|BOUNDCRS)\s*\[\s*"([^"]+)"/i);
+  if (m) return m[2].replace(/_/g, ' ');
+  const epsg = s.match(/^EPSG:(\d+)$/i);
+  if (epsg) return lookupEpsg(epsg[1])?.name || s.toUpperCase();
+  const zone = s.match(/\+proj=utm\b.*?\+zone=(\d+)/);
+  if (zone) return `UTM zone ${zone[1]}${/\+south\b/.test(s) ? 'S' : 'N'}`;
+  return s.startsWith('+') ? 'Custom (proj4)' : 'Custom';
+}
+
+/**
+ * Resolve user input ("EPSG:32633", "27700", a proj4 string or WKT) to
+ * { code, name, definition } where `definition` is accepted by proj4.
+ * Throws when the CRS cannot be resolved or parsed.
+ */
+export function resolveCrs(input) {
+  const s = String(input ?? '').trim();
+  if (!s) throw new Error('No coordinate system given');
+
+  const m = s.match(/^(?:EPSG:)?(\d{4,5})$/i);
+  if (m) {
+    const code = `EPSG:${m[1]}`;
+    const known = lookupEpsg(m[1]);
+    if (known) {
+      if (!proj4.defs(code)) proj4.defs(code, known.def);
+      return { code, name: known.name, definition: code };
+    }
+    if (proj4.defs(code)) return { code, name: code, definition: code };
+    throw new Error(`EPSG:${m[1]} is not bundled. Paste its proj4 string or WKT (e.g. from epsg.io) instead.`);
+  }
+
+  try {
+    proj4(s, 'EPSG:4326');
+  } catch (err) {
+    throw new Error(`Unrecognized coordinate system definition: ${err?.message || err}`);
+  }
+  return { code: null, name: describeCrs(s), definition: s };
+}
+
+/**
+ * Error thrown by converters when a source has no usable CRS; callers can
+ * catch `err.code === 'CRS_REQUIRED'` and ask the user for one.
+ */
+export function crsRequiredError(message) {
+  const err = new Error(message);
+  err.code = 'CRS_REQUIRED';
+  return err;
+}
+
+/**
+ * Apply fn([x, y, z?]) to every coordinate of a geometry; returns a new geometry.
+ */
+export function mapGeometryCoords(geometry, fn) {
+  if (!geometry) return geometry;
+  if (geometry.type === 'GeometryCollection') {
+    return { ...geometry, geometries: (geometry.geometries || []).map(g => mapGeometryCoords(g, fn)) };
+  }
+  const walk = (c) => (typeof c[0] === 'number' ? fn(c) : c.map(walk));
+  return { ...geometry, coordinates: walk(geometry.coordinates || []) };
+}
+
+/**
+ * True when every coordinate fits the lon/lat range (and there is at least one).
+ */
+export function looksGeographic(features) {
+  let any = false;
+  let ok = true;
+  const check = (c) => {
+    any = true;
+    if (!(Math.abs(c[0]) <= 180 && Math.abs(c[1]) <= 90)) ok = false;
+    return c;
+  };
+  for (const f of features || []) {
+    if (!ok) break;
+    mapGeometryCoords(f?.geometry, check);
+  }
+  return any && ok;
+}
+
+/**
+ * Reproject features from `definition` (anything proj4 accepts) to EPSG:4326.
+ * onProgress(percent) is called every few thousand features.
+ */
+export function reprojectFeatures(features, definition, onProgress) {
+  const t = proj4(definition, 'EPSG:4326');
+  return features.map((f, i) => {
+    if (onProgress && i % 5000 === 0) onProgress(Math.round((i / features.length) * 100));
+    return { ...f, geometry: mapGeometryCoords(f.geometry, (c) => t.forward(c)) };
+  });
+}
@@ -0,0 +1,158 @@
+// src/utils/editGeometry.js
+// Immutable helpers for sketching and editing lon/lat features: vertex handles, move / insert /
+// remove vertex, and add / update / remove features of a FeatureCollection.
+// A vertex is addressed by its index path into geometry.coordinates ([] for a Point,
+// [ring, i] for a Polygon, [polygon, ring, i] for a MultiPolygon, ...).
+
+export const DRAW_TOOLS = [
+  { id: 'point', label: 'Point', min: 1, max: 1 },
+  { id: 'line', label: 'Line', min: 2 },
+  { id: 'polygon', label: 'Polygon', min: 3 },
+];
+
+/**
+ * Geometry for a sketch in progress, or null while there are too few positions.
+ */
+export function sketchGeometry(tool, positions = []) {
+  const spec = DRAW_TOOLS.find((t) => t.id === tool);
+  if (!spec || positions.length < spec.min) return null;
+  if (tool === 'point') return { type: 'Point', coordinates: positions[0] };
+  if (tool === 'line') return { type: 'LineString', coordinates: positions };
+  return { type: 'Polygon', coordinates: [[...positions, positions[0]]] };
+}
+
+// depth of the vertex arrays (lines / rings) inside coordinates, and whether they are closed rings
+const LAYOUT = {
+  Point: { depth: -1, ring: false },
+  MultiPoint: { depth: 0, ring: false },
+  LineString: { depth: 0, ring: false },
+  MultiLineString: { depth: 1, ring: false },
+  Polygon: { depth: 1, ring: true },
+  MultiPolygon: { depth: 2, ring: true },
+};
+
+// every vertex list of the geometry with its path prefix
+function vertexLists(geometry) {
+  const layout = LAYOUT[geometry?.type];
+  if (!layout || layout.depth < 0) return [];
+  const out = [];
+  const walk = (c, prefix, depth) => {
+    if (depth === 0) out.push({ prefix, list: c });
+    else c.forEach((child, i) => walk(child, [...prefix, i], depth - 1));
+  };
+  walk(geometry.coordinates || [], [], layout.depth);
+  return out;
+}
+
+/**
+ * Draggable vertices: [{ path, position }]. The closing position of a ring is left out.
+ */
+export function vertexHandles(geometry) {
+  if (geometry?.type === 'Point') return geometry.coordinates ? [{ path: [], position: geometry.coordinates }] : [];
+  const { ring } = LAYOUT[geometry?.type] || {};
+  const handles = [];
+  vertexLists(geometry).forEach(({ prefix, list }) => {
+    const n = ring ? list.length - 1 : list.length;
+    for (let i = 0; i < n; i++) handles.push({ path: [...prefix, i], position: list[i] });
+  });
+  return handles;
+}
+
+/**
+ * Segment midpoints of lines and rings: [{ path, position }]; `path` is where insertVertex puts a new vertex.
+ */
+export function midpointHandles(geometry) {
+  if (!geometry || geometry.type === 'Point' || geometry.type === 'MultiPoint') return [];
+  const handles = [];
+  vertexLists(geometry).forEach(({ prefix, list }) => {
+    for (let i = 1; i < list.length; i++) {
+      const a = list[i - 1];
+      const b = list[i];
+      handles.push({ path: [...prefix, i], position: [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2] });
+    }
+  });
+  return handles;
+}
+
+// copy of `coords` with the vertex list at `prefix` replaced by update(list)
+function withList(coords, prefix, update) {
+  if (!prefix.length) return update(coords);
+  const [head, ...rest] = prefix;
+  return coords.map((c, i) => (i === head ? withList(c, rest, update) : c));
+}
+
+const splitPath = (path) => ({ prefix: path.slice(0, -1), index: path[path.length - 1] });
+
+/**
+ * Copy of `geometry` with the vertex at `path` moved to `position` (rings stay closed).
+ */
+export function moveVertex(geometry, path, position) {
+  if (geometry.type === 'Point') return { ...geometry, coordinates: position };
+  const { ring } = LAYOUT[geometry.type];
+  const { prefix, index } = splitPath(path);
+  const coordinates = withList(geometry.coordinates, prefix, (list) => {
+    const next = list.slice();
+    next[index] = position;
+    if (ring && index === 0) next[next.length - 1] = position;
+    return next;
+  });
+  return { ...geometry, coordinates };
+}
+
+/**
+ * Copy of `geometry` with a new vertex inserted at `path`.
+ */
+export function insertVertex(geometry, path, position) {
+  const { prefix, index } = splitPath(path);
+  const coordinates = withList(geometry.coordinates, prefix, (list) => [
+    ...list.slice(0, index),
+    position,
+    ...list.slice(index),
+  ]);
+  return { ...geometry, coordinates };
+}
+
+/**
+ * Copy of `geometry` without the vertex at `path`, or null when the line / ring would become
+ * degenerate (fewer than 2 line vertices or 3 ring corners) — delete the feature instead.
+ */
+export function removeVertex(geometry, path) {
+  if (geometry.type === 'Point') return null;
+  const { ring } = LAYOUT[geometry.type];
+  const { prefix, index } = splitPath(path);
+  let degenerate = false;
+  const coordinates = withList(geometry.coordinates, prefix, (list) => {
+    const minLength = geometry.type === 'MultiPoint' ? 1 : ring ? 4 : 2;
+    if (list.length <= minLength) {
+      degenerate = true;
+      return list;
+    }
+    const next = list.filter((_, i) => i !== index);
+    if (ring && index === 0) next[next.length - 1] = next[0];
+    return next;
+  });
+  return degenerate ? null : { ...geometry, coordinates };
+}
+
+/**
+ * Copy of `fc` with `feature` appended; returns { geojson, index }.
+ */
+export function addFeature(fc, feature) {
+  const features = [...(fc?.features || []), feature];
+  return { geojson: { ...fc, features }, index: features.length - 1 };
+}
+
+/**
+ * Copy of `fc` with the feature at `index` patched ({ geometry?, properties? }).
+ */
+export function updateFeature(fc, index, patch) {
+  const features = fc.features.map((f, i) => (i === index ? { ...f, ...patch } : f));
+  return { ...fc, features };
+}
+
+/**
+ * Copy of `fc` without the feature at `index`.
+ */
+export function removeFeature(fc, index) {
+  return { ...fc, features: fc.features.filter((_, i) => i !== index) };
+}
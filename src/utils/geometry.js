@@ -0,0 +1,200 @@
+// src/utils/geometry.js
+// Small geometry helpers for lon/lat GeoJSON: geodesic measurements and hit testing.
+
+const EARTH_RADIUS = 6378137; // meters (WGS84 semi-major axis, as used by Leaflet / turf)
+const RAD = Math.PI / 180;
+
+/**
+ * Great-circle distance in meters between two [lon, lat] positions.
+ */
+export function haversine(a, b) {
+  const dLat = (b[1] - a[1]) * RAD;
+  const dLon = (b[0] - a[0]) * RAD;
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(a[1] * RAD) * Math.cos(b[1] * RAD) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function lineLength(coords) {
+  let total = 0;
+  for (let i = 1; i < coords.length; i++) total += haversine(coords[i - 1], coords[i]);
+  return total;
+}
+
+// spherical excess of a closed ring (same approach as turf / Leaflet.draw), m²
+function ringArea(coords) {
+  const n = coords.length;
+  if (n < 3) return 0;
+  let total = 0;
+  for (let i = 0; i < n; i++) {
+    const p1 = coords[i];
+    const p2 = coords[(i + 1) % n];
+    const p3 = coords[(i + 2) % n];
+    total += (p3[0] * RAD - p1[0] * RAD) * Math.sin(p2[1] * RAD);
+  }
+  return Math.abs((total * EARTH_RADIUS * EARTH_RADIUS) / 2);
+}
+
+function polygonArea(rings) {
+  if (!rings?.length) return 0;
+  return rings.slice(1).reduce((area, hole) => area - ringArea(hole), ringArea(rings[0]));
+}
+
+/**
+ * Geodesic length in meters of (Multi)LineStrings; polygon outlines count as their perimeter.
+ */
+export function geodesicLength(geometry) {
+  if (!geometry) return 0;
+  const c = geometry.coordinates;
+  switch (geometry.type) {
+    case 'LineString': return lineLength(c);
+    case 'MultiLineString': return c.reduce((s, l) => s + lineLength(l), 0);
+    case 'Polygon': return c.reduce((s, r) => s + lineLength(r), 0);
+    case 'MultiPolygon': return c.reduce((s, p) => s + p.reduce((t, r) => t + lineLength(r), 0), 0);
+    case 'GeometryCollection': return (geometry.geometries || []).reduce((s, g) => s + geodesicLength(g), 0);
+    default: return 0;
+  }
+}
+
+/**
+ * Geodesic area in m² of (Multi)Polygons; 0 for other geometry types.
+ */
+export function geodesicArea(geometry) {
+  if (!geometry) return 0;
+  switch (geometry.type) {
+    case 'Polygon': return polygonArea(geometry.coordinates);
+    case 'MultiPolygon': return geometry.coordinates.reduce((s, p) => s + polygonArea(p), 0);
+    case 'GeometryCollection': return (geometry.geometries || []).reduce((s, g) => s + geodesicArea(g), 0);
+    default: return 0;
+  }
+}
+
+export function formatLength(m) {
+  if (!Number.isFinite(m)) return '';
+  return m >= 1000 ? `${(m / 1000).toFixed(2)} km` : `${m.toFixed(1)} m`;
+}
+
+export function formatArea(m2) {
+  if (!Number.isFinite(m2)) return '';
+  if (m2 >= 1e6) return `${(m2 / 1e6).toFixed(3)} km²`;
+  if (m2 >= 1e4) return `${(m2 / 1e4).toFixed(2)} ha`;
+  return `${m2.toFixed(1)} m²`;
+}
+
+/**
+ * Ray-casting point-in-ring test for a [lon, lat] point.
+ */
+export function pointInRing(pt, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > pt[1]) !== (yj > pt[1]) && pt[0] < ((xj - xi) * (pt[1] - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Point-in-polygon for Polygon rings (holes respected).
+ */
+export function pointInPolygon(pt, rings) {
+  if (!rings?.length || !pointInRing(pt, rings[0])) return false;
+  return !rings.slice(1).some((hole) => pointInRing(pt, hole));
+}
+
+function segmentDistance(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Does `geometry` cover the clicked position?
+ * - pt: [lon, lat]; project([lon, lat]) → { x, y } in screen pixels (e.g. map.latLngToContainerPoint)
+ * - points and lines hit within `tolerance` pixels, polygons when the point is inside.
+ */
+export function hitTestGeometry(geometry, pt, project, tolerance = 6) {
+  if (!geometry) return false;
+  const c = geometry.coordinates;
+  const click = project(pt);
+  const nearPoint = (q) => {
+    const p = project(q);
+    return Math.hypot(p.x - click.x, p.y - click.y) <= tolerance;
+  };
+  const nearLine = (line) => {
+    for (let i = 1; i < line.length; i++) {
+      if (segmentDistance(click, project(line[i - 1]), project(line[i])) <= tolerance) return true;
+    }
+    return line.length === 1 && nearPoint(line[0]);
+  };
+
+  switch (geometry.type) {
+    case 'Point': return nearPoint(c);
+    case 'MultiPoint': return c.some(nearPoint);
+    case 'LineString': return nearLine(c);
+    case 'MultiLineString': return c.some(nearLine);
+    case 'Polygon': return pointInPolygon(pt, c);
+    case 'MultiPolygon': return c.some((rings) => pointInPolygon(pt, rings));
+    case 'GeometryCollection':
+      return (geometry.geometries || []).some((g) => hitTestGeometry(g, pt, project, tolerance));
+    default: return false;
+  }
+}
+
+/**
+ * True for Point / MultiPoint features (the ones that can be clustered or drawn as a heatmap).
+ */
+export function isPointFeature(feature) {
+  const type = feature?.geometry?.type;
+  return type === 'Point' || type === 'MultiPoint';
+}
+
+/**
+ * [minX, minY, maxX, maxY] of a geometry, or null when it has no coordinates.
+ */
+export function geometryBBox(geometry) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  const walk = (c) => {
+    if (!c) return;
+    if (typeof c[0] === 'number') {
+      if (c[0] < minX) minX = c[0];
+      if (c[1] < minY) minY = c[1];
+      if (c[0] > maxX) maxX = c[0];
+      if (c[1] > maxY) maxY = c[1];
+    } else c.forEach(walk);
+  };
+  if (geometry?.type === 'GeometryCollection') {
+    (geometry.geometries || []).forEach((g) => walk(g?.coordinates));
+  } else {
+    walk(geometry?.coordinates);
+  }
+  return Number.isFinite(minX) ? [minX, minY, maxX, maxY] : null;
+}
+
+/**
+ * Vertex of `geometry` nearest to the cursor, within `tolerance` pixels (for snapping).
+ * - pt: [lon, lat]; project as in hitTestGeometry. Returns { position, distance } or null.
+ */
+export function nearestVertex(geometry, pt, project, tolerance = 10) {
+  const cursor = project(pt);
+  let best = null;
+  const walk = (c) => {
+    if (!c) return;
+    if (typeof c[0] === 'number') {
+      const p = project(c);
+      const d = Math.hypot(p.x - cursor.x, p.y - cursor.y);
+      if (d <= tolerance && (!best || d < best.distance)) best = { position: [c[0], c[1]], distance: d };
+    } else c.forEach(walk);
+  };
+  if (geometry?.type === 'GeometryCollection') {
+    (geometry.geometries || []).forEach((g) => walk(g?.coordinates));
+  } else {
+    walk(geometry?.coordinates);
+  }
+  return best;
+}
@@ -0,0 +1,237 @@
+// src/utils/geoprocessing.js
+// Geometry operations on lon/lat FeatureCollections (turf.js / polygon-clipping underneath).
+// Every operation returns a new FeatureCollection; GeoprocessingPanel adds the result as a dataset
+// and records the run in metadata.lineage via withLineage().
+import {
+  along,
+  bbox,
+  booleanPointInPolygon,
+  buffer as turfBuffer,
+  centerOfMass,
+  centroid as turfCentroid,
+  convex,
+  difference as turfDifference,
+  featureCollection,
+  flatten,
+  intersect as turfIntersect,
+  length as turfLength,
+  lineSplit,
+  union as turfUnion,
+} from '@turf/turf';
+
+export const DISTANCE_UNITS = [
+  { id: 'meters', label: 'm' },
+  { id: 'kilometers', label: 'km' },
+  { id: 'feet', label: 'ft' },
+  { id: 'miles', label: 'mi' },
+];
+
+export const OPERATIONS = [
+  { id: 'buffer', label: 'Buffer', inputs: 1 },
+  { id: 'dissolve', label: 'Dissolve', inputs: 1 },
+  { id: 'clip', label: 'Clip', inputs: 2 },
+  { id: 'intersect', label: 'Intersect', inputs: 2 },
+  { id: 'union', label: 'Union', inputs: 2 },
+  { id: 'difference', label: 'Difference', inputs: 2 },
+  { id: 'convexHull', label: 'Convex hull', inputs: 1 },
+  { id: 'centroid', label: 'Centroids', inputs: 1 },
+];
+
+const isPolygon = (f) => f?.geometry?.type === 'Polygon' || f?.geometry?.type === 'MultiPolygon';
+const isLine = (f) => f?.geometry?.type === 'LineString' || f?.geometry?.type === 'MultiLineString';
+const isPoint = (f) => f?.geometry?.type === 'Point' || f?.geometry?.type === 'MultiPoint';
+
+function polygonsOf(fc, role = 'input') {
+  const polys = (fc?.features || []).filter(isPolygon);
+  if (!polys.length) throw new Error(`The ${role} layer has no polygons.`);
+  return polys;
+}
+
+// dissolve polygons into one (Multi)Polygon feature, or null when they cancel out
+function unionAll(polys, properties = {}) {
+  if (!polys.length) return null;
+  const merged = polys.length === 1 ? polys[0] : turfUnion(featureCollection(polys));
+  return merged ? { type: 'Feature', properties, geometry: merged.geometry } : null;
+}
+
+function bboxesOverlap(a, b) {
+  return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+}
+
+/**
+ * Buffer every feature by `distance` (negative shrinks polygons); properties are kept.
+ */
+export function buffer(fc, { distance, units = 'meters', steps = 8 } = {}) {
+  if (!Number.isFinite(distance) || distance === 0) throw new Error('Buffer distance must be a non-zero number.');
+  const features = [];
+  for (const f of fc?.features || []) {
+    if (!f?.geometry) continue;
+    const out = turfBuffer(f, distance, { units, steps });
+    if (out?.geometry) features.push({ type: 'Feature', properties: { ...(f.properties || {}) }, geometry: out.geometry });
+  }
+  return featureCollection(features);
+}
+
+/**
+ * Merge polygons into one feature, or one per distinct value of `field` (which is kept as a property).
+ */
+export function dissolve(fc, { field = null } = {}) {
+  const groups = new Map();
+  for (const f of polygonsOf(fc)) {
+    const key = field ? f.properties?.[field] ?? null : null;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(f);
+  }
+  const features = [];
+  groups.forEach((polys, key) => {
+    const merged = unionAll(polys, field ? { [field]: key, count: polys.length } : { count: polys.length });
+    if (merged) features.push(merged);
+  });
+  return featureCollection(features);
+}
+
+/**
+ * Cut `fc` to the area of the polygons in `clipFc`. Polygons are intersected, lines split at the
+ * boundary (pieces inside are kept) and points filtered; properties are kept.
+ */
+export function clip(fc, clipFc) {
+  const mask = unionAll(polygonsOf(clipFc, 'clip'));
+  if (!mask) return featureCollection([]);
+  const maskBox = bbox(mask);
+  const inside = (pt) => booleanPointInPolygon(pt, mask);
+  const features = [];
+
+  for (const f of fc?.features || []) {
+    if (!f?.geometry || !bboxesOverlap(bbox(f), maskBox)) continue;
+    const properties = { ...(f.properties || {}) };
+    if (isPolygon(f)) {
+      const out = turfIntersect(featureCollection([f, mask]));
+      if (out) features.push({ type: 'Feature', properties, geometry: out.geometry });
+    } else if (isLine(f)) {
+      for (const part of flatten(f).features) {
+        const pieces = lineSplit(part, mask).features;
+        for (const piece of pieces.length ? pieces : [part]) {
+          if (inside(along(piece, turfLength(piece) / 2))) {
+            features.push({ type: 'Feature', properties, geometry: piece.geometry });
+          }
+        }
+      }
+    } else if (isPoint(f)) {
+      const kept = flatten(f).features.filter((p) => inside(p)).map((p) => p.geometry.coordinates);
+      if (kept.length === 1) features.push({ type: 'Feature', properties, geometry: { type: 'Point', coordinates: kept[0] } });
+      else if (kept.length) features.push({ type: 'Feature', properties, geometry: { type: 'MultiPoint', coordinates: kept } });
+    }
+  }
+  return featureCollection(features);
+}
+
+/**
+ * Pairwise overlap of the polygons of two layers; each piece carries both feature's properties
+ * (keys of the second layer that collide get a `b_` prefix).
+ */
+export function intersect(fcA, fcB) {
+  const a = polygonsOf(fcA, 'first');
+  const b = polygonsOf(fcB, 'second').map((f) => ({ f, box: bbox(f) }));
+  const features = [];
+  for (const fa of a) {
+    const boxA = bbox(fa);
+    for (const { f: fb, box } of b) {
+      if (!bboxesOverlap(boxA, box)) continue;
+      const out = turfIntersect(featureCollection([fa, fb]));
+      if (!out) continue;
+      const properties = { ...(fa.properties || {}) };
+      Object.entries(fb.properties || {}).forEach(([k, v]) => {
+        properties[k in properties ? `b_${k}` : k] = v;
+      });
+      features.push({ type: 'Feature', properties, geometry: out.geometry });
+    }
+  }
+  return featureCollection(features);
+}
+
+/**
+ * All polygons of both layers merged into a single feature.
+ */
+export function union(fcA, fcB) {
+  const merged = unionAll([...polygonsOf(fcA, 'first'), ...polygonsOf(fcB, 'second')]);
+  return featureCollection(merged ? [merged] : []);
+}
+
+/**
+ * Polygons of the first layer minus the area of the second; properties of the first are kept.
+ */
+export function difference(fcA, fcB) {
+  const mask = unionAll(polygonsOf(fcB, 'second'));
+  const maskBox = mask && bbox(mask);
+  const features = [];
+  for (const f of polygonsOf(fcA, 'first')) {
+    const properties = { ...(f.properties || {}) };
+    if (!mask || !bboxesOverlap(bbox(f), maskBox)) {
+      features.push({ type: 'Feature', properties, geometry: f.geometry });
+      continue;
+    }
+    const out = turfDifference(featureCollection([f, mask]));
+    if (out) features.push({ type: 'Feature', properties, geometry: out.geometry });
+  }
+  return featureCollection(features);
+}
+
+/**
+ * Smallest convex polygon around every vertex of the layer.
+ */
+export function convexHull(fc) {
+  const withGeometry = (fc?.features || []).filter((f) => f?.geometry);
+  const hull = withGeometry.length ? convex(featureCollection(withGeometry)) : null;
+  if (!hull) throw new Error('Not enough distinct positions for a convex hull.');
+  return featureCollection([{ type: 'Feature', properties: { count: withGeometry.length }, geometry: hull.geometry }]);
+}
+
+/**
+ * One point per feature: center of mass for polygons, mean vertex otherwise; properties are kept.
+ */
+export function centroid(fc) {
+  const features = (fc?.features || [])
+    .filter((f) => f?.geometry)
+    .map((f) => {
+      const c = isPolygon(f) ? centerOfMass(f) : turfCentroid(f);
+      return { type: 'Feature', properties: { ...(f.properties || {}) }, geometry: c.geometry };
+    });
+  return featureCollection(features);
+}
+
+const RUNNERS = { buffer, dissolve, clip, intersect, union, difference, convexHull, centroid };
+
+/**
+ * Run an operation by id on one (or, for overlay operations, two) FeatureCollections.
+ */
+export function runOperation(operation, inputs, params = {}) {
+  const run = RUNNERS[operation];
+  if (!run) throw new Error(`Unknown operation "${operation}".`);
+  const op = OPERATIONS.find((o) => o.id === operation);
+  return op.inputs === 2 ? run(inputs[0], inputs[1], params) : run(inputs[0], params);
+}
+
+/**
+ * Copy of `fc` with a processing step appended to metadata.lineage (the inputs' own lineage first).
+ * - step: { operation, label?, params, inputs: [dataset labels] }; sources: the input FeatureCollections
+ */
+export function withLineage(fc, step, sources = []) {
+  const lineage = [];
+  sources.forEach((s) => (s?.metadata?.lineage || []).forEach((entry) => lineage.push(entry)));
+  lineage.push({ ...step, created: new Date().toISOString() });
+  return { ...fc, metadata: { ...(fc.metadata || {}), lineage } };
+}
+
+/**
+ * One-line description of a lineage step, e.g. "Buffer (distance 100, units meters) of Roads".
+ */
+export function describeStep(step) {
+  const op = step?.label || OPERATIONS.find((o) => o.id === step?.operation)?.label || step?.operation || 'Step';
+  const p = step?.params || {};
+  const detail = Object.entries(p)
+    .filter(([, v]) => v != null && v !== '' && !(Array.isArray(v) && !v.length))
+    .map(([k, v]) => `${k} ${Array.isArray(v) ? v.join(', ') : v}`)
+    .join(', ');
+  const inputs = (step?.inputs || []).filter(Boolean).join(' × ');
+  return `${op}${detail ? ` (${detail})` : ''}${inputs ? ` of ${inputs}` : ''}`;
+}
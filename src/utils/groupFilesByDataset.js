@@ -42,7 +42,7 @@ export function groupFilesByDataset(fileList) {
       files: [z],
       size: z.size,
       previewable: true,
-      // optional nudge: the actual contents are validated later in ShapefilePreview
+      // the actual contents are validated when the shapefile is converted
       warnings: undefined
     });
   }
@@ -136,14 +136,13 @@ export function groupFilesByDataset(fileList) {
       warnings = ['CAD preview not yet supported - conversion available'];
     }
     else if (ext === 'dxf') {
-      kind = 'autocad-dxf'; previewable = false;
-      warnings = ['CAD preview not yet supported - conversion available'];
+      kind = 'autocad-dxf'; previewable = true;
+      warnings = ['DXF has no coordinate system; you will be asked for one unless coordinates are longitude/latitude'];
     }
 
     // Database formats
     else if (ext === 'gpkg') {
-      kind = 'geopackage'; previewable = false;
-      warnings = ['Database preview not yet supported - conversion available'];
+      kind = 'geopackage'; previewable = true;
     }
     else if (ext === 'gdb') {
       kind = 'geodatabase'; previewable = false;
@@ -192,8 +191,7 @@ export function groupFilesByDataset(fileList) {
       warnings = ['3D tiles preview not yet supported'];
     }
     else if (ext === 'topojson') {
-      kind = 'topojson'; previewable = false;
-      warnings = ['TopoJSON preview not yet supported - conversion available'];
+      kind = 'topojson'; previewable = true;
     }
     else if (['wkt','wkb'].includes(ext)) {
       kind = 'well-known'; previewable = false;
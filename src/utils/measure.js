@@ -0,0 +1,100 @@
+// src/utils/measure.js
+// Map measurements (distance, area / perimeter, bearing) on lon/lat positions, formatted in
+// metric, imperial or nautical units. The geodesic math lives in utils/geometry.js.
+import { formatArea, formatLength, geodesicArea, geodesicLength } from './geometry';
+
+const RAD = Math.PI / 180;
+
+export const UNIT_SYSTEMS = [
+  { id: 'metric', label: 'Metric' },
+  { id: 'imperial', label: 'Imperial' },
+  { id: 'nautical', label: 'Nautical' },
+];
+
+// min / max: positions a measurement needs (bearing is always exactly two)
+export const MEASURE_TOOLS = [
+  { id: 'distance', label: 'Distance', min: 2 },
+  { id: 'area', label: 'Area', min: 3 },
+  { id: 'bearing', label: 'Bearing', min: 2, max: 2 },
+];
+
+const FOOT = 0.3048;
+const MILE = 1609.344;
+const NAUTICAL_MILE = 1852;
+const ACRE = 4046.8564224;
+
+export function formatDistanceIn(m, units = 'metric') {
+  if (!Number.isFinite(m)) return '';
+  if (units === 'imperial') {
+    return m >= MILE ? `${(m / MILE).toFixed(2)} mi` : `${(m / FOOT).toFixed(0)} ft`;
+  }
+  if (units === 'nautical') return `${(m / NAUTICAL_MILE).toFixed(m >= NAUTICAL_MILE ? 2 : 3)} nmi`;
+  return formatLength(m);
+}
+
+export function formatAreaIn(m2, units = 'metric') {
+  if (!Number.isFinite(m2)) return '';
+  if (units === 'imperial') {
+    if (m2 >= MILE * MILE) return `${(m2 / (MILE * MILE)).toFixed(3)} mi²`;
+    if (m2 >= ACRE) return `${(m2 / ACRE).toFixed(2)} ac`;
+    return `${(m2 / (FOOT * FOOT)).toFixed(0)} ft²`;
+  }
+  if (units === 'nautical') return `${(m2 / (NAUTICAL_MILE * NAUTICAL_MILE)).toFixed(3)} nmi²`;
+  return formatArea(m2);
+}
+
+/**
+ * Initial great-circle bearing from `a` to `b` ([lon, lat]), in degrees clockwise from north (0–360).
+ */
+export function bearing(a, b) {
+  const lat1 = a[1] * RAD;
+  const lat2 = b[1] * RAD;
+  const dLon = (b[0] - a[0]) * RAD;
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return (Math.atan2(y, x) / RAD + 360) % 360;
+}
+
+const COMPASS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+export function formatBearing(deg) {
+  if (!Number.isFinite(deg)) return '';
+  // 359.96 rounds up to a full turn: show it as 000.0
+  const d = Number(deg.toFixed(1)) % 360;
+  return `${d.toFixed(1).padStart(5, '0')}° ${COMPASS[Math.round(d / 22.5) % 16]}`;
+}
+
+/**
+ * GeoJSON Feature for a measurement with its values (meters / m² / degrees) as properties,
+ * or null while there are too few positions.
+ * - distance → LineString { distance_m }; area → Polygon { area_m2, perimeter_m };
+ *   bearing → two-point LineString { bearing_deg, distance_m }
+ */
+export function measurementFeature(tool, positions) {
+  const spec = MEASURE_TOOLS.find((t) => t.id === tool);
+  if (!spec || !positions || positions.length < spec.min) return null;
+
+  if (tool === 'area') {
+    const geometry = { type: 'Polygon', coordinates: [[...positions, positions[0]]] };
+    return {
+      type: 'Feature',
+      properties: { tool, area_m2: geodesicArea(geometry), perimeter_m: geodesicLength(geometry) },
+      geometry,
+    };
+  }
+  const coordinates = tool === 'bearing' ? positions.slice(0, 2) : positions;
+  const geometry = { type: 'LineString', coordinates };
+  const properties = { tool, distance_m: geodesicLength(geometry) };
+  if (tool === 'bearing') properties.bearing_deg = bearing(coordinates[0], coordinates[1]);
+  return { type: 'Feature', properties, geometry };
+}
+
+/**
+ * Readout of a measurement feature, e.g. "1.24 km" or "3.2 ha · perimeter 812.0 m".
+ */
+export function describeMeasurement(feature, units = 'metric') {
+  const p = feature?.properties || {};
+  if (p.tool === 'area') return `${formatAreaIn(p.area_m2, units)} · perimeter ${formatDistanceIn(p.perimeter_m, units)}`;
+  if (p.tool === 'bearing') return `${formatBearing(p.bearing_deg)} · ${formatDistanceIn(p.distance_m, units)}`;
+  return formatDistanceIn(p.distance_m, units);
+}
@@ -0,0 +1,140 @@
+// src/utils/project.js
+// Workspace projects (.ncproj): one zip with project.json (datasets, styles, view, basemap, time brush),
+// every dataset's raw source files and its converted FeatureCollection, so a project reopens
+// without converting anything again.
+import JSZip from 'jszip';
+
+export const PROJECT_VERSION = 1;
+export const PROJECT_EXTENSION = '.ncproj';
+
+// dataset fields that are plain data and go into project.json as-is
+const DATASET_FIELDS = ['uid', 'label', 'kind', 'visible', 'previewable', 'size', 'warnings', 'sourceCrs', 'ext', 'name', 'type', 'layer'];
+
+/**
+ * The plain-data fields of a dataset (no files, no FeatureCollection), as saved in projects and sessions.
+ */
+export function datasetFields(d) {
+  const entry = {};
+  DATASET_FIELDS.forEach((k) => {
+    if (d[k] !== undefined) entry[k] = d[k];
+  });
+  return entry;
+}
+
+const sourcePath = (uid, name) => `sources/${uid}/${name}`;
+const dataPath = (uid) => `data/${uid}.geojson`;
+
+/**
+ * Serialize the workspace into a .ncproj Blob.
+ * - datasets: in legend order (index 0 on top); fcMap: uid -> converted FeatureCollection
+ * - state: { styleMap, activeUid, view: { center: [lat, lng], zoom }, basemap, time }
+ */
+export async function writeProject(datasets, fcMap, state = {}) {
+  const zip = new JSZip();
+  const entries = [];
+
+  for (const d of datasets) {
+    const entry = datasetFields(d);
+
+    const seen = new Set();
+    entry.files = [];
+    for (const f of d.files || []) {
+      if (!f?.name || seen.has(f.name)) continue;
+      seen.add(f.name);
+      const path = sourcePath(d.uid, f.name);
+      // sources are often compressed already (zip, gpkg, tif): store them as they are
+      zip.file(path, f, { compression: 'STORE' });
+      entry.files.push({ name: f.name, path, type: f.type || '', lastModified: f.lastModified || null });
+    }
+
+    const fc = fcMap[d.uid] || d.geojson || null;
+    if (fc?.type === 'FeatureCollection') {
+      entry.geojson = dataPath(d.uid);
+      zip.file(entry.geojson, JSON.stringify(fc));
+    }
+    entries.push(entry);
+  }
+
+  const project = {
+    version: PROJECT_VERSION,
+    created: new Date().toISOString(),
+    datasets: entries,
+    styleMap: state.styleMap || {},
+    activeUid: state.activeUid || null,
+    view: state.view || null,
+    basemap: state.basemap || null,
+    time: state.time || null,
+  };
+  zip.file('project.json', JSON.stringify(project, null, 2));
+  return zip.generateAsync({ type: 'blob', compression: 'DEFLATE', compressionOptions: { level: 6 } });
+}
+
+/**
+ * Read a .ncproj file back into { datasets, fcMap, styleMap, activeUid, view, basemap, time }.
+ * Datasets get their source Files back and, when one was saved, their FeatureCollection as `geojson`.
+ */
+export async function readProject(file) {
+  const invalid = (detail) => new Error(`"${file?.name}" is not a valid project file (${detail}).`);
+  const isObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+  // JSON member of the archive; a broken one means the file isn't a usable project
+  const readJson = async (zipped) => {
+    try {
+      return JSON.parse(await zipped.async('string'));
+    } catch (err) {
+      throw invalid(`${zipped.name}: ${err?.message || err}`);
+    }
+  };
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(await file.arrayBuffer());
+  } catch (err) {
+    throw new Error(`"${file?.name}" is not a project file (${err?.message || err}).`);
+  }
+  const manifest = zip.file('project.json');
+  if (!manifest) throw new Error(`"${file?.name}" has no project.json.`);
+  const project = await readJson(manifest);
+  if (!isObject(project)) throw invalid('project.json is not an object');
+  if (!project.version || project.version > PROJECT_VERSION) {
+    throw new Error(`Unsupported project version ${project.version} (this viewer reads up to ${PROJECT_VERSION}).`);
+  }
+  if (!Array.isArray(project.datasets)) throw invalid('project.json has no dataset list');
+
+  const datasets = [];
+  const fcMap = {};
+  for (const [i, entry] of project.datasets.entries()) {
+    if (!isObject(entry)) throw invalid(`dataset ${i + 1} is not an object`);
+    const { files: fileEntries = [], geojson: geojsonPath, ...fields } = entry;
+    if (!Array.isArray(fileEntries) || !fileEntries.every((f) => isObject(f) && typeof f.path === 'string')) {
+      throw invalid(`dataset ${i + 1} has a malformed file list`);
+    }
+    const files = [];
+    for (const f of fileEntries) {
+      const zipped = zip.file(f.path);
+      if (!zipped) throw new Error(`Project is missing "${f.path}".`);
+      const blob = await zipped.async('blob');
+      files.push(new File([blob], f.name, { type: f.type || '', lastModified: f.lastModified || Date.now() }));
+    }
+    const dataset = { ...fields, files };
+    if (geojsonPath) {
+      const zipped = zip.file(geojsonPath);
+      if (!zipped) throw new Error(`Project is missing "${geojsonPath}".`);
+      dataset.geojson = await readJson(zipped);
+      if (dataset.geojson?.type !== 'FeatureCollection' || !Array.isArray(dataset.geojson.features)) {
+        throw invalid(`${geojsonPath} is not a GeoJSON FeatureCollection`);
+      }
+      fcMap[dataset.uid] = dataset.geojson;
+    }
+    datasets.push(dataset);
+  }
+
+  return {
+    datasets,
+    fcMap,
+    styleMap: project.styleMap || {},
+    activeUid: project.activeUid || null,
+    view: project.view || null,
+    basemap: project.basemap || null,
+    time: project.time || null,
+  };
+}
@@ -0,0 +1,303 @@
+// src/utils/sessionStore.js
+// Autosave of the current workspace in IndexedDB, so a refresh or a crash doesn't lose it.
+// - 'meta' holds one manifest (datasets, styleMap, active uid, view, basemap, time brush),
+//   'files' the raw source Files keyed `${uid}/${name}`, 'collections' converted FeatureCollections by uid.
+// - Writes are incremental: Files and collections already stored (same object) aren't written again.
+// - Large layers are evicted to stay inside the origin's storage quota (see planEviction).
+import { datasetFields } from './project';
+
+const DB_NAME = 'workspace-session';
+const DB_VERSION = 1;
+const MANIFEST_KEY = 'current';
+
+// share of the origin's quota the session may fill, and of that budget a single layer may take
+const QUOTA_SHARE = 0.5;
+const MAX_LAYER_SHARE = 0.25;
+const FALLBACK_QUOTA = 200 * 1024 * 1024; // when navigator.storage.estimate() isn't available
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        ['meta', 'files', 'collections'].forEach((name) => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+        });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+const result = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+// run `fn(stores)` in one transaction; resolves with fn's return value once the transaction commits
+async function transaction(names, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    const stores = Object.fromEntries(names.map((n) => [n, tx.objectStore(n)]));
+    let value;
+    tx.oncomplete = () => resolve(value);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Session write aborted'));
+    value = fn(stores);
+  });
+}
+
+// what the current database holds, so unchanged Files / collections aren't rewritten
+const written = { files: new Map(), collections: new Map() }; // key -> object last stored under it
+// false until a save has compared the stores' keys with the manifest: entries of an earlier page load
+// (or of a failed write) aren't in `written`, so that save deletes every key the manifest doesn't list
+let keysSynced = false;
+
+const sizeCache = new WeakMap();
+function collectionBytes(fc) {
+  if (!fc) return 0;
+  let n = sizeCache.get(fc);
+  if (n === undefined) {
+    n = JSON.stringify(fc).length;
+    sizeCache.set(fc, n);
+  }
+  return n;
+}
+
+// the transaction resolves with the request's promise, which has settled by the time it commits
+const readManifest = () => transaction(['meta'], 'readonly', (stores) => result(stores.meta.get(MANIFEST_KEY)));
+
+const fileKey = (uid, name) => `${uid}/${name}`;
+
+/**
+ * Decide what to keep of each layer within `budget` bytes.
+ * - layers: [{ uid, fileBytes, fcBytes }]; returns Map uid -> 'keep' | 'files' | 'drop', where 'files'
+ *   keeps only the source files (the collection is converted again on restore).
+ * - A layer over the per-layer cap, then the largest remaining layers, are evicted first: the collection goes
+ *   before the sources when sources exist; layers without sources (derived, edited) can only be dropped.
+ */
+export function planEviction(layers, budget) {
+  const maxLayer = budget * MAX_LAYER_SHARE;
+  const plan = new Map();
+  const cost = (l) => {
+    const level = plan.get(l.uid);
+    if (level === 'drop') return 0;
+    return level === 'files' ? l.fileBytes : l.fileBytes + l.fcBytes;
+  };
+  const downgrade = (l) => {
+    const level = plan.get(l.uid);
+    plan.set(l.uid, level === 'keep' && l.fileBytes > 0 && l.fcBytes > 0 ? 'files' : 'drop');
+  };
+
+  layers.forEach((l) => plan.set(l.uid, 'keep'));
+  layers.forEach((l) => {
+    while (plan.get(l.uid) !== 'drop' && cost(l) > maxLayer) downgrade(l);
+  });
+
+  let total = layers.reduce((s, l) => s + cost(l), 0);
+  while (total > budget) {
+    const largest = layers.filter((l) => cost(l) > 0).sort((a, b) => cost(b) - cost(a))[0];
+    if (!largest) break;
+    total -= cost(largest);
+    downgrade(largest);
+    total += cost(largest);
+  }
+  return plan;
+}
+
+async function storageBudget() {
+  try {
+    const { quota } = (await navigator.storage?.estimate?.()) || {};
+    if (Number.isFinite(quota) && quota > 0) return quota * QUOTA_SHARE;
+  } catch {}
+  return FALLBACK_QUOTA * QUOTA_SHARE;
+}
+
+const isQuotaError = (err) => err?.name === 'QuotaExceededError' || /quota/i.test(err?.message || '');
+
+async function writeSession(datasets, fcMap, state, budget) {
+  const layers = datasets.map((d) => {
+    const fc = fcMap[d.uid] || d.geojson || null;
+    return {
+      uid: d.uid,
+      fileBytes: (d.files || []).reduce((s, f) => s + (f?.size || 0), 0),
+      fcBytes: fc?.type === 'FeatureCollection' ? collectionBytes(fc) : 0,
+      fc: fc?.type === 'FeatureCollection' ? fc : null,
+    };
+  });
+  const plan = planEviction(layers, budget);
+
+  const manifest = {
+    savedAt: new Date().toISOString(),
+    datasets: [],
+    styleMap: state.styleMap || {},
+    activeUid: state.activeUid || null,
+    view: state.view || null,
+    basemap: state.basemap || null,
+    time: state.time || null,
+  };
+  const files = new Map();
+  const collections = new Map();
+  datasets.forEach((d, i) => {
+    const level = plan.get(d.uid);
+    const entry = { ...datasetFields(d), evicted: level === 'keep' ? null : level, files: [] };
+    if (level !== 'drop') {
+      for (const f of d.files || []) {
+        if (!f?.name || entry.files.some((e) => e.name === f.name)) continue;
+        const key = fileKey(d.uid, f.name);
+        entry.files.push({ name: f.name, key });
+        files.set(key, f);
+      }
+    }
+    if (level === 'keep' && layers[i].fc) {
+      entry.collection = d.uid;
+      collections.set(d.uid, layers[i].fc);
+    }
+    manifest.datasets.push(entry);
+  });
+
+  await transaction(['meta', 'files', 'collections'], 'readwrite', (stores) => {
+    stores.meta.put(manifest, MANIFEST_KEY);
+    const sync = (store, wanted, cache) => {
+      if (keysSynced) {
+        cache.forEach((_, key) => {
+          if (!wanted.has(key)) store.delete(key);
+        });
+      } else {
+        result(store.getAllKeys()).then((keys) => keys.forEach((key) => !wanted.has(key) && store.delete(key)));
+      }
+      wanted.forEach((value, key) => {
+        if (cache.get(key) !== value) store.put(value, key);
+      });
+    };
+    sync(stores.files, files, written.files);
+    sync(stores.collections, collections, written.collections);
+  });
+  written.files = files;
+  written.collections = collections;
+  keysSynced = true;
+
+  return manifest.datasets.filter((d) => d.evicted).map((d) => ({ uid: d.uid, label: d.label, evicted: d.evicted }));
+}
+
+let queue = Promise.resolve();
+
+/**
+ * Store the workspace (same inputs as writeProject). Saves run one at a time; when the browser still
+ * reports the quota as exceeded, the budget is halved and the save retried.
+ * Resolves with the evicted layers: [{ uid, label, evicted: 'files' | 'drop' }].
+ */
+export function saveSession(datasets, fcMap, state = {}) {
+  const run = async () => {
+    let budget = await storageBudget();
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await writeSession(datasets, fcMap, state, budget);
+      } catch (err) {
+        if (!isQuotaError(err) || attempt >= 3) throw err;
+        // a failed transaction wrote nothing; forget what we thought was stored
+        written.files = new Map();
+        written.collections = new Map();
+        keysSynced = false;
+        budget /= 2;
+      }
+    }
+  };
+  queue = queue.then(run, run);
+  return queue;
+}
+
+/**
+ * Summary of the stored session for the restore prompt ({ savedAt, datasets: [{ label, evicted }] }), or null.
+ */
+export async function loadSessionSummary() {
+  try {
+    const m = await readManifest();
+    if (!m?.datasets?.length) return null;
+    return { savedAt: m.savedAt, datasets: m.datasets.map((d) => ({ label: d.label, evicted: d.evicted || null })) };
+  } catch (err) {
+    console.warn('[Session] unavailable', err);
+    return null;
+  }
+}
+
+/**
+ * The stored session in readProject's shape ({ datasets, fcMap, styleMap, activeUid, view, basemap, time }),
+ * plus `dropped`: labels of layers that were evicted entirely.
+ */
+export async function readSession() {
+  const m = await readManifest();
+  if (!m?.datasets?.length) throw new Error('No saved session.');
+
+  const datasets = [];
+  const fcMap = {};
+  const dropped = [];
+  const files = new Map();
+  const collections = new Map();
+  await transaction(['files', 'collections'], 'readonly', (stores) => {
+    m.datasets.forEach((entry) => {
+      if (entry.evicted === 'drop') return;
+      entry.files.forEach((f) => result(stores.files.get(f.key)).then((v) => v && files.set(f.key, v)));
+      if (entry.collection) {
+        result(stores.collections.get(entry.collection)).then((v) => v && collections.set(entry.collection, v));
+      }
+    });
+  });
+
+  m.datasets.forEach((entry) => {
+    if (entry.evicted === 'drop') {
+      dropped.push(entry.label);
+      return;
+    }
+    const dataset = { ...datasetFields(entry), files: entry.files.map((f) => files.get(f.key)).filter(Boolean) };
+    const fc = entry.collection && collections.get(entry.collection);
+    if (fc) {
+      dataset.geojson = fc;
+      fcMap[dataset.uid] = fc;
+    }
+    datasets.push(dataset);
+  });
+  written.files = files;
+  written.collections = collections;
+
+  return {
+    datasets,
+    fcMap,
+    styleMap: m.styleMap || {},
+    activeUid: m.activeUid || null,
+    view: m.view || null,
+    basemap: m.basemap || null,
+    time: m.time || null,
+    dropped,
+  };
+}
+
+/**
+ * Forget the stored session.
+ */
+export async function clearSession() {
+  written.files = new Map();
+  written.collections = new Map();
+  try {
+    await transaction(['meta', 'files', 'collections'], 'readwrite', (stores) => {
+      Object.values(stores).forEach((store) => store.clear());
+    });
+    keysSynced = true;
+  } catch (err) {
+    console.warn('[Session] could not clear', err);
+  }
+}
@@ -0,0 +1,121 @@
+// src/utils/spatialJoin.js
+// Point-in-polygon spatial join: summarize the features of one dataset per polygon of another.
+// Polygons are bucketed into a uniform grid over their bounding boxes, so each point is only tested
+// against the few polygons whose cells it falls in (100k points × 5k polygons in well under a second).
+import { geometryBBox, pointInPolygon } from './geometry';
+import { toNumber } from './symbology';
+
+const JOIN_STATS = ['sum', 'mean', 'min', 'max'];
+
+// positions that represent a joined feature: its points, or the bbox center of other geometries
+function representativePoints(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'Point') return [geometry.coordinates];
+  if (geometry.type === 'MultiPoint') return geometry.coordinates || [];
+  const bb = geometryBBox(geometry);
+  return bb ? [[(bb[0] + bb[2]) / 2, (bb[1] + bb[3]) / 2]] : [];
+}
+
+function polygonRings(geometry) {
+  if (geometry?.type === 'Polygon') return [geometry.coordinates];
+  if (geometry?.type === 'MultiPolygon') return geometry.coordinates;
+  return null;
+}
+
+// uniform grid over the polygons' extent, sized so each cell holds about one polygon
+function buildIndex(polys) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  polys.forEach(({ bbox: b }) => {
+    if (b[0] < minX) minX = b[0];
+    if (b[1] < minY) minY = b[1];
+    if (b[2] > maxX) maxX = b[2];
+    if (b[3] > maxY) maxY = b[3];
+  });
+  const side = Math.max(1, Math.min(512, Math.ceil(Math.sqrt(polys.length))));
+  const cw = (maxX - minX) / side || 1;
+  const ch = (maxY - minY) / side || 1;
+  const col = (x) => Math.max(0, Math.min(side - 1, Math.floor((x - minX) / cw)));
+  const row = (y) => Math.max(0, Math.min(side - 1, Math.floor((y - minY) / ch)));
+  const cells = new Map();
+  polys.forEach((p, i) => {
+    for (let r = row(p.bbox[1]); r <= row(p.bbox[3]); r++) {
+      for (let c = col(p.bbox[0]); c <= col(p.bbox[2]); c++) {
+        const key = r * side + c;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(i);
+      }
+    }
+  });
+  return {
+    candidates([x, y]) {
+      if (x < minX || x > maxX || y < minY || y > maxY) return null;
+      return cells.get(row(y) * side + col(x)) || null;
+    },
+  };
+}
+
+/**
+ * Join `joinFeatures` onto the (Multi)Polygons of `targetFeatures`.
+ * - fields: numeric properties of the joined features to summarize with `stat` ('sum' | 'mean' | 'min' | 'max')
+ * - prefix: prepended to the new property names (`<prefix>count`, `<prefix><stat>_<field>`)
+ * - keepEmpty: keep polygons that received no features (count 0)
+ * Non-point joined features are placed at the center of their bounding box; a MultiPoint counts once
+ * for every polygon any of its members falls in.
+ * Returns a FeatureCollection of copies of the target polygons with the joined fields appended.
+ */
+export function spatialJoin(targetFeatures, joinFeatures, { fields = [], stat = 'sum', prefix = 'join_', keepEmpty = true } = {}) {
+  if (fields.length && !JOIN_STATS.includes(stat)) throw new Error(`Unknown statistic "${stat}".`);
+
+  const polys = [];
+  for (const f of targetFeatures || []) {
+    const rings = polygonRings(f?.geometry);
+    const bbox = rings && geometryBBox(f.geometry);
+    if (bbox) polys.push({ feature: f, rings, bbox, count: 0, acc: fields.map(() => ({ n: 0, sum: 0, min: Infinity, max: -Infinity })) });
+  }
+  if (!polys.length) throw new Error('The target dataset has no polygons.');
+
+  const index = buildIndex(polys);
+  for (const f of joinFeatures || []) {
+    // a MultiPoint with several members in one polygon still counts (and adds its values) once there
+    const matched = new Set();
+    for (const pt of representativePoints(f?.geometry)) {
+      const ids = index.candidates(pt);
+      if (!ids) continue;
+      for (const i of ids) {
+        if (matched.has(i)) continue;
+        const p = polys[i];
+        const b = p.bbox;
+        if (pt[0] < b[0] || pt[0] > b[2] || pt[1] < b[1] || pt[1] > b[3]) continue;
+        if (p.rings.some((rings) => pointInPolygon(pt, rings))) matched.add(i);
+      }
+    }
+    if (!matched.size) continue;
+    const values = fields.map((k) => toNumber(f?.properties?.[k]));
+    matched.forEach((i) => {
+      const p = polys[i];
+      p.count++;
+      values.forEach((v, j) => {
+        if (v == null) return;
+        const a = p.acc[j];
+        a.n++;
+        a.sum += v;
+        if (v < a.min) a.min = v;
+        if (v > a.max) a.max = v;
+      });
+    });
+  }
+
+  const features = [];
+  for (const p of polys) {
+    if (!keepEmpty && !p.count) continue;
+    const properties = { ...(p.feature.properties || {}), [`${prefix}count`]: p.count };
+    fields.forEach((k, j) => {
+      const a = p.acc[j];
+      let v = null;
+      if (a.n) v = stat === 'sum' ? a.sum : stat === 'mean' ? a.sum / a.n : a[stat];
+      properties[`${prefix}${stat}_${k}`] = v;
+    });
+    features.push({ ...p.feature, properties });
+  }
+  return { type: 'FeatureCollection', features };
+}
@@ -0,0 +1,42 @@
+// src/utils/sqlite.js
+// Lazy loader for sql.js (SQLite compiled to WebAssembly).
+// The .wasm binary is emitted by webpack as a static asset; we hand its URL to sql.js.
+import initSqlJs from 'sql.js';
+import sqlWasmUrl from 'sql.js/dist/sql-wasm-browser.wasm';
+
+let sqlPromise = null;
+
+/**
+ * Resolve the sql.js module once per page. Returns the `SQL` namespace ({ Database, ... }).
+ */
+export function loadSqlJs() {
+  if (!sqlPromise) {
+    sqlPromise = initSqlJs({ locateFile: () => sqlWasmUrl }).catch((err) => {
+      sqlPromise = null; // allow a retry after a failed fetch
+      throw err;
+    });
+  }
+  return sqlPromise;
+}
+
+/**
+ * Run a query and return rows as plain objects.
+ */
+export function queryAll(db, sql, params = []) {
+  const stmt = db.prepare(sql);
+  const rows = [];
+  try {
+    stmt.bind(params);
+    while (stmt.step()) rows.push(stmt.getAsObject());
+  } finally {
+    stmt.free();
+  }
+  return rows;
+}
+
+/**
+ * Quote an SQLite identifier (table / column name).
+ */
+export function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
@@ -0,0 +1,279 @@
+// src/utils/symbology.js
+// Attribute-driven styling: classification, color ramps and the renderer spec stored in styleMap.
+//
+// A renderer is plain data so it can be stored and re-applied as-is:
+//   { type: 'categorical', field, ramp, categories: [value...], colors: [hex...], otherColor }
+//   { type: 'graduated', field, method, ramp, by: 'color' | 'size', breaks: [b0..bk], colors: [hex...], sizes: [n...] }
+// Breaks are computed once over the full dataset, so time filtering never shifts classes.
+
+export const COLOR_RAMPS = {
+  Viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+  Blues: ['#eff6ff', '#93c5fd', '#3b82f6', '#1d4ed8', '#1e3a8a'],
+  Reds: ['#fef2f2', '#fca5a5', '#ef4444', '#b91c1c', '#7f1d1d'],
+  YlOrRd: ['#ffffcc', '#fed976', '#fd8d3c', '#e31a1c', '#800026'],
+  Teal: ['#f0fdfa', '#99f6e4', '#2dd4bf', '#0d9488', '#134e4a'],
+  Spectral: ['#d7191c', '#fdae61', '#ffffbf', '#abdda4', '#2b83ba'],
+};
+
+// qualitative palette for categories (cycled when there are more categories than colors)
+export const CATEGORY_COLORS = [
+  '#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b',
+  '#e377c2', '#7f7f7f', '#bcbd22', '#17becf', '#008080', '#f59e0b',
+];
+
+export const CLASS_METHODS = [
+  { id: 'quantile', label: 'Quantile' },
+  { id: 'equal', label: 'Equal interval' },
+  { id: 'jenks', label: 'Natural breaks (Jenks)' },
+];
+
+export const MAX_CATEGORIES = 12;
+const OTHER_COLOR = '#cbd5e1';
+const JENKS_SAMPLE = 1000; // Jenks is O(k·n²); classify an even sample of large datasets
+
+function hexToRgb(hex) {
+  const h = hex.replace('#', '');
+  return [0, 2, 4].map((i) => parseInt(h.slice(i, i + 2), 16));
+}
+
+function rgbToHex(rgb) {
+  return `#${rgb.map((v) => Math.round(v).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Sample `n` evenly spaced colors from a named ramp.
+ */
+export function rampColors(name, n) {
+  const stops = COLOR_RAMPS[name] || COLOR_RAMPS.Viridis;
+  if (n <= 1) return [stops[stops.length - 1]];
+  return Array.from({ length: n }, (_, i) => {
+    const t = (i / (n - 1)) * (stops.length - 1);
+    const lo = Math.floor(t);
+    const hi = Math.min(stops.length - 1, lo + 1);
+    const a = hexToRgb(stops[lo]);
+    const b = hexToRgb(stops[hi]);
+    return rgbToHex(a.map((v, j) => v + (b[j] - v) * (t - lo)));
+  });
+}
+
+/**
+ * A property value as a finite number (numbers and numeric strings), or null.
+ */
+export function toNumber(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (typeof v === 'string' && v.trim() !== '') {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  }
+  return null;
+}
+
+/**
+ * Fields present on the features, flagged numeric when every non-empty value parses as a number.
+ */
+export function describeFields(features) {
+  const info = new Map();
+  for (const f of features || []) {
+    for (const [k, v] of Object.entries(f?.properties || {})) {
+      if (!info.has(k)) info.set(k, { name: k, numeric: true, seen: false });
+      const entry = info.get(k);
+      if (v == null || v === '') continue;
+      entry.seen = true;
+      if (entry.numeric && toNumber(v) == null) entry.numeric = false;
+    }
+  }
+  return Array.from(info.values()).map(({ name, numeric, seen }) => ({ name, numeric: numeric && seen }));
+}
+
+function quantileBreaks(sorted, k) {
+  const breaks = [sorted[0]];
+  for (let i = 1; i < k; i++) {
+    breaks.push(sorted[Math.min(sorted.length - 1, Math.floor((i * sorted.length) / k))]);
+  }
+  breaks.push(sorted[sorted.length - 1]);
+  return breaks;
+}
+
+function equalBreaks(sorted, k) {
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const step = (max - min) / k;
+  return Array.from({ length: k + 1 }, (_, i) => (i === k ? max : min + step * i));
+}
+
+// Fisher-Jenks natural breaks over a sorted array
+function jenksBreaks(sorted, k) {
+  let data = sorted;
+  if (data.length > JENKS_SAMPLE) {
+    const step = (data.length - 1) / (JENKS_SAMPLE - 1);
+    data = Array.from({ length: JENKS_SAMPLE }, (_, i) => sorted[Math.round(i * step)]);
+  }
+  const n = data.length;
+  const lower = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+  const variance = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity));
+  for (let j = 1; j <= k; j++) {
+    lower[1][j] = 1;
+    variance[1][j] = 0;
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0;
+    let sumSq = 0;
+    let w = 0;
+    let v = 0;
+    for (let m = 1; m <= l; m++) {
+      const i3 = l - m + 1;
+      const val = data[i3 - 1];
+      w++;
+      sum += val;
+      sumSq += val * val;
+      v = sumSq - (sum * sum) / w;
+      if (i3 > 1) {
+        for (let j = 2; j <= k; j++) {
+          if (variance[l][j] >= v + variance[i3 - 1][j - 1]) {
+            lower[l][j] = i3;
+            variance[l][j] = v + variance[i3 - 1][j - 1];
+          }
+        }
+      }
+    }
+    lower[l][1] = 1;
+    variance[l][1] = v;
+  }
+
+  const breaks = new Array(k + 1);
+  breaks[k] = data[n - 1];
+  breaks[0] = data[0];
+  let idx = n;
+  for (let j = k; j >= 2; j--) {
+    idx = lower[idx][j] - 1;
+    breaks[j - 1] = data[idx - 1] ?? data[0];
+  }
+  return breaks;
+}
+
+/**
+ * Class breaks [b0 .. bk] for numeric values. Duplicate breaks (few distinct values) are collapsed,
+ * so the result may have fewer than k classes.
+ */
+export function classify(values, method = 'quantile', k = 5) {
+  const sorted = values.filter((v) => Number.isFinite(v)).sort((a, b) => a - b);
+  if (!sorted.length) return [];
+  const classes = Math.max(1, Math.min(k, sorted.length));
+  const raw =
+    method === 'equal' ? equalBreaks(sorted, classes)
+      : method === 'jenks' ? jenksBreaks(sorted, classes)
+        : quantileBreaks(sorted, classes);
+  const breaks = raw.filter((b, i) => i === 0 || b > raw[i - 1]);
+  return breaks.length === 1 ? [breaks[0], breaks[0]] : breaks;
+}
+
+/**
+ * Build a renderer spec from UI options and the dataset's features.
+ * Returns null for single-symbol styling or when the field has no usable values.
+ */
+export function createRenderer(features, { type, field, method = 'quantile', classes = 5, ramp = 'Viridis', by = 'color', minSize = 3, maxSize = 16 } = {}) {
+  if (!field || (type !== 'categorical' && type !== 'graduated')) return null;
+  const list = features || [];
+
+  if (type === 'categorical') {
+    const counts = new Map();
+    for (const f of list) {
+      const v = f?.properties?.[field];
+      const key = v == null ? '' : String(v);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    const categories = Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_CATEGORIES)
+      .map(([value]) => value);
+    const colors = ramp === 'Category'
+      ? categories.map((_, i) => CATEGORY_COLORS[i % CATEGORY_COLORS.length])
+      : rampColors(ramp, categories.length);
+    return { type, field, ramp, categories, colors, otherColor: OTHER_COLOR };
+  }
+
+  const values = list.map((f) => toNumber(f?.properties?.[field])).filter((v) => v != null);
+  const breaks = classify(values, method, classes);
+  if (!breaks.length) return null;
+  const n = breaks.length - 1;
+  const colors = rampColors(ramp, n);
+  const sizes = Array.from({ length: n }, (_, i) => (n === 1 ? maxSize : minSize + ((maxSize - minSize) * i) / (n - 1)));
+  return { type, field, method, ramp, by, breaks, colors, sizes };
+}
+
+// class index for a value, or -1 when it has no class
+function classIndex(renderer, value) {
+  if (renderer.type === 'categorical') {
+    const idx = renderer.categories.indexOf(value == null ? '' : String(value));
+    return idx;
+  }
+  const n = toNumber(value);
+  const { breaks } = renderer;
+  if (n == null || n < breaks[0] || n > breaks[breaks.length - 1]) return -1;
+  for (let i = 1; i < breaks.length; i++) {
+    if (n <= breaks[i]) return i - 1;
+  }
+  return breaks.length - 2;
+}
+
+/**
+ * Per-feature symbol from a renderer: { color, size } (size only for graduated-by-size), or null
+ * when the feature falls outside every class (unclassed features are drawn in a neutral gray).
+ */
+export function symbolFor(renderer, feature) {
+  if (!renderer) return null;
+  const idx = classIndex(renderer, feature?.properties?.[renderer.field]);
+  if (renderer.type === 'categorical') {
+    return { color: idx >= 0 ? renderer.colors[idx] : renderer.otherColor };
+  }
+  if (idx < 0) return { color: OTHER_COLOR };
+  return renderer.by === 'size'
+    ? { size: renderer.sizes[idx] }
+    : { color: renderer.colors[idx] };
+}
+
+function formatNumber(n) {
+  if (!Number.isFinite(n)) return String(n);
+  const abs = Math.abs(n);
+  if (abs !== 0 && (abs < 0.01 || abs >= 1e6)) return n.toExponential(2);
+  return String(Math.round(n * 100) / 100);
+}
+
+/**
+ * Legend rows for a renderer: [{ label, color, size, count }], counted over `features`.
+ */
+export function legendClasses(renderer, features) {
+  if (!renderer) return [];
+  const counts = new Array(
+    renderer.type === 'categorical' ? renderer.categories.length : renderer.breaks.length - 1
+  ).fill(0);
+  let other = 0;
+  for (const f of features || []) {
+    const idx = classIndex(renderer, f?.properties?.[renderer.field]);
+    if (idx >= 0) counts[idx]++;
+    else other++;
+  }
+
+  const rows =
+    renderer.type === 'categorical'
+      ? renderer.categories.map((value, i) => ({
+        label: value === '' ? '(empty)' : value,
+        color: renderer.colors[i],
+        count: counts[i],
+      }))
+      : counts.map((count, i) => ({
+        label: `${formatNumber(renderer.breaks[i])} – ${formatNumber(renderer.breaks[i + 1])}`,
+        color: renderer.by === 'size' ? null : renderer.colors[i],
+        size: renderer.by === 'size' ? renderer.sizes[i] : null,
+        count,
+      }));
+  if (other) {
+    rows.push({
+      label: renderer.type === 'categorical' ? 'Other' : 'No data',
+      color: renderer.type === 'categorical' ? renderer.otherColor : OTHER_COLOR,
+      count: other,
+    });
+  }
+  return rows;
+}
@@ -0,0 +1,113 @@
+// src/utils/transferableGeoJSON.js
+// FeatureCollections sent from the conversion worker to the page without copying their coordinates:
+// every position goes into one Float64Array and every array length into one Uint32Array, both transferred.
+// Only the rest (properties, ids, metadata) is structured-cloned.
+
+// nesting depth of `coordinates` per geometry type (0 = a single position)
+const DEPTH = { Point: 0, MultiPoint: 1, LineString: 1, MultiLineString: 2, Polygon: 2, MultiPolygon: 3 };
+
+// visit a geometry's coordinate arrays in a fixed order: onLength(n) for each array (positions included),
+// onPosition(p) after the length of each position
+function walk(g, onLength, onPosition) {
+  if (!g) return;
+  if (g.type === 'GeometryCollection') {
+    (g.geometries || []).forEach((child) => walk(child, onLength, onPosition));
+    return;
+  }
+  const depth = DEPTH[g.type];
+  if (depth === undefined) return;
+  const visit = (c, d) => {
+    const arr = Array.isArray(c) ? c : [];
+    onLength(arr.length);
+    if (d === 0) onPosition(arr);
+    else arr.forEach((child) => visit(child, d - 1));
+  };
+  visit(g.coordinates, depth);
+}
+
+// the geometry without its coordinates (rebuilt from the buffers on the other side)
+function shell(g) {
+  if (!g) return g;
+  if (g.type === 'GeometryCollection') return { ...g, geometries: (g.geometries || []).map(shell) };
+  return DEPTH[g.type] === undefined ? g : { ...g, coordinates: null };
+}
+
+function packCollection(fc, transfer) {
+  const features = fc.features;
+  let lengthCount = 0;
+  let valueCount = 0;
+  features.forEach((f) =>
+    walk(f?.geometry, () => lengthCount++, (p) => {
+      valueCount += p.length;
+    })
+  );
+
+  const lengths = new Uint32Array(lengthCount);
+  const values = new Float64Array(valueCount);
+  let li = 0;
+  let vi = 0;
+  features.forEach((f) =>
+    walk(
+      f?.geometry,
+      (n) => {
+        lengths[li++] = n;
+      },
+      (p) => {
+        for (let i = 0; i < p.length; i++) values[vi++] = p[i];
+      }
+    )
+  );
+
+  transfer.push(lengths.buffer, values.buffer);
+  return { ...fc, features: features.map((f) => f && { ...f, geometry: shell(f.geometry) }), packed: { lengths, values } };
+}
+
+function unpackCollection({ packed, ...fc }) {
+  const { lengths, values } = packed;
+  let li = 0;
+  let vi = 0;
+  const read = (d) => {
+    const n = lengths[li++];
+    if (d === 0) {
+      const p = Array.from(values.subarray(vi, vi + n));
+      vi += n;
+      return p;
+    }
+    const out = new Array(n);
+    for (let i = 0; i < n; i++) out[i] = read(d - 1);
+    return out;
+  };
+  const fill = (g) => {
+    if (!g) return g;
+    if (g.type === 'GeometryCollection') return { ...g, geometries: g.geometries.map(fill) };
+    return DEPTH[g.type] === undefined ? g : { ...g, coordinates: read(DEPTH[g.type]) };
+  };
+  return { ...fc, features: fc.features.map((f) => f && { ...f, geometry: fill(f.geometry) }) };
+}
+
+const isCollection = (v) => v?.type === 'FeatureCollection' && Array.isArray(v.features);
+
+/**
+ * Worker side: a converter result (a FeatureCollection, or TopoJSON's [{ name, geojson }]) with its
+ * coordinates moved into typed arrays. Returns { result, transfer } for postMessage(message, transfer);
+ * anything else (e.g. a raster preview) is returned as it is.
+ */
+export function packResult(result) {
+  const transfer = [];
+  if (isCollection(result)) return { result: packCollection(result, transfer), transfer };
+  if (Array.isArray(result) && result.every((l) => isCollection(l?.geojson))) {
+    return { result: result.map((l) => ({ ...l, geojson: packCollection(l.geojson, transfer) })), transfer };
+  }
+  return { result, transfer };
+}
+
+/**
+ * Page side: the converter result packResult() started from.
+ */
+export function unpackResult(result) {
+  if (result?.packed) return unpackCollection(result);
+  if (Array.isArray(result) && result.some((l) => l?.geojson?.packed)) {
+    return result.map((l) => (l?.geojson?.packed ? { ...l, geojson: unpackCollection(l.geojson) } : l));
+  }
+  return result;
+}
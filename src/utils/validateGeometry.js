@@ -0,0 +1,246 @@
+// src/utils/validateGeometry.js
+// Geometry validation after import and one-click repairs.
+// The converters pass features through as parsed; this pass reports what is wrong with them
+// (instead of silently dropping it) and writes fixed copies on request.
+import { unkinkPolygon } from '@turf/turf';
+
+export const ISSUE_TYPES = [
+  { id: 'empty', label: 'Empty geometry', repair: 'Remove features' },
+  { id: 'outOfRange', label: 'Coordinates out of range', repair: 'Remove features' },
+  { id: 'swapped', label: 'Latitude / longitude swapped', repair: 'Swap back' },
+  { id: 'unclosed', label: 'Unclosed ring', repair: 'Close rings' },
+  { id: 'duplicate', label: 'Duplicate vertices', repair: 'Remove duplicates' },
+  { id: 'selfIntersection', label: 'Self-intersection', repair: 'Split at crossings' },
+];
+
+const samePos = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+function isEmpty(geometry) {
+  if (!geometry) return true;
+  if (geometry.type === 'GeometryCollection') return !(geometry.geometries || []).some((g) => !isEmpty(g));
+  const c = geometry.coordinates;
+  if (!Array.isArray(c) || !c.length) return true;
+  if (geometry.type === 'Point') return !Number.isFinite(c[0]) || !Number.isFinite(c[1]);
+  const hasPosition = (x) => (typeof x[0] === 'number' ? true : x.some((y) => Array.isArray(y) && hasPosition(y)));
+  return !hasPosition(c);
+}
+
+function positions(geometry, out = []) {
+  if (!geometry) return out;
+  if (geometry.type === 'GeometryCollection') {
+    (geometry.geometries || []).forEach((g) => positions(g, out));
+    return out;
+  }
+  const walk = (c) => {
+    if (!Array.isArray(c)) return;
+    if (typeof c[0] === 'number' || c[0] == null) out.push(c);
+    else c.forEach(walk);
+  };
+  walk(geometry.coordinates);
+  return out;
+}
+
+// every ring of a (Multi)Polygon
+function ringsOf(geometry) {
+  if (geometry?.type === 'Polygon') return geometry.coordinates || [];
+  if (geometry?.type === 'MultiPolygon') return (geometry.coordinates || []).flat();
+  return [];
+}
+
+// every vertex sequence where consecutive duplicates matter
+function pathsOf(geometry) {
+  switch (geometry?.type) {
+    case 'LineString': return [geometry.coordinates || []];
+    case 'MultiLineString': return geometry.coordinates || [];
+    case 'Polygon':
+    case 'MultiPolygon': return ringsOf(geometry);
+    default: return [];
+  }
+}
+
+function orient(a, b, c) {
+  const v = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  return v > 0 ? 1 : v < 0 ? -1 : 0;
+}
+
+function onSegment(a, b, p) {
+  return Math.min(a[0], b[0]) <= p[0] && p[0] <= Math.max(a[0], b[0]) &&
+    Math.min(a[1], b[1]) <= p[1] && p[1] <= Math.max(a[1], b[1]);
+}
+
+function segmentsCross(a, b, c, d) {
+  const o1 = orient(a, b, c);
+  const o2 = orient(a, b, d);
+  const o3 = orient(c, d, a);
+  const o4 = orient(c, d, b);
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (o1 === 0 && onSegment(a, b, c)) || (o2 === 0 && onSegment(a, b, d)) ||
+    (o3 === 0 && onSegment(c, d, a)) || (o4 === 0 && onSegment(c, d, b));
+}
+
+// does a closed ring cross itself? sweep over segments sorted by min x
+function ringSelfIntersects(ring) {
+  // repeated vertices are reported on their own: leave them out so neighbours stay adjacent
+  const pts = ring.filter((c, i) => i === 0 || !samePos(c, ring[i - 1]));
+  if (pts.length > 1 && samePos(pts[0], pts[pts.length - 1])) pts.pop();
+  const n = pts.length;
+  if (n < 4) return false;
+  const segs = [];
+  for (let i = 0; i < n; i++) {
+    const a = pts[i];
+    const b = pts[(i + 1) % n];
+    segs.push({ i, a, b, minX: Math.min(a[0], b[0]), maxX: Math.max(a[0], b[0]) });
+  }
+  segs.sort((s, t) => s.minX - t.minX);
+  const active = [];
+  for (const s of segs) {
+    for (let k = active.length - 1; k >= 0; k--) {
+      if (active[k].maxX < s.minX) active.splice(k, 1);
+    }
+    for (const t of active) {
+      const gap = Math.abs(s.i - t.i);
+      if (gap === 1 || gap === n - 1) continue; // neighbours share a vertex
+      if (segmentsCross(s.a, s.b, t.a, t.b)) return true;
+    }
+    active.push(s);
+  }
+  return false;
+}
+
+/**
+ * Issue types (ids from ISSUE_TYPES) found on one geometry.
+ */
+export function geometryIssues(geometry) {
+  if (isEmpty(geometry)) return ['empty'];
+  const issues = [];
+
+  const pos = positions(geometry);
+  const bad = pos.filter((c) => !(Number.isFinite(c[0]) && Number.isFinite(c[1]) && Math.abs(c[0]) <= 180 && Math.abs(c[1]) <= 90));
+  if (bad.length) {
+    // all offending positions would be valid with x/y exchanged
+    const swapped = pos.every((c) => Math.abs(c[1]) <= 180 && Math.abs(c[0]) <= 90);
+    issues.push(swapped ? 'swapped' : 'outOfRange');
+  }
+
+  const rings = ringsOf(geometry);
+  if (rings.some((r) => r.length && !samePos(r[0], r[r.length - 1]))) issues.push('unclosed');
+  if (pathsOf(geometry).some((p) => p.some((c, i) => i > 0 && samePos(c, p[i - 1])))) issues.push('duplicate');
+  if (rings.some(ringSelfIntersects)) issues.push('selfIntersection');
+  return issues;
+}
+
+/**
+ * Validate every feature of a FeatureCollection.
+ * Returns { total, counts: { [issue]: n }, offenders: [{ index, issues }] } (feature indexes into fc.features).
+ */
+export function validateFeatureCollection(fc) {
+  const features = fc?.features || [];
+  const counts = {};
+  const offenders = [];
+  features.forEach((f, index) => {
+    const issues = geometryIssues(f?.geometry);
+    if (!issues.length) return;
+    issues.forEach((id) => { counts[id] = (counts[id] || 0) + 1; });
+    offenders.push({ index, issues });
+  });
+  return { total: features.length, counts, offenders };
+}
+
+function mapPositions(geometry, fn) {
+  if (geometry.type === 'GeometryCollection') {
+    return { ...geometry, geometries: geometry.geometries.map((g) => mapPositions(g, fn)) };
+  }
+  const walk = (c) => (typeof c[0] === 'number' ? fn(c) : c.map(walk));
+  return { ...geometry, coordinates: walk(geometry.coordinates) };
+}
+
+function mapPaths(geometry, fn) {
+  switch (geometry.type) {
+    case 'LineString': return { ...geometry, coordinates: fn(geometry.coordinates, false) };
+    case 'MultiLineString': return { ...geometry, coordinates: geometry.coordinates.map((l) => fn(l, false)) };
+    case 'Polygon': return { ...geometry, coordinates: geometry.coordinates.map((r) => fn(r, true)) };
+    case 'MultiPolygon': return { ...geometry, coordinates: geometry.coordinates.map((p) => p.map((r) => fn(r, true))) };
+    default: return geometry;
+  }
+}
+
+const dedupePath = (path) => path.filter((c, i) => i === 0 || !samePos(c, path[i - 1]));
+
+// rings of one polygon without repeated vertices; a hole left with fewer than 4 positions is dropped,
+// an outer ring like that collapses the polygon (null)
+function dedupePolygon(rings) {
+  const out = rings.map(dedupePath);
+  if (!out.length || out[0].length < 4) return null;
+  return [out[0], ...out.slice(1).filter((r) => r.length >= 4)];
+}
+
+const REPAIRS = {
+  swapped: (g) => mapPositions(g, (c) => [c[1], c[0], ...c.slice(2)]),
+  unclosed: (g) => mapPaths(g, (path, ring) => (ring && path.length && !samePos(path[0], path[path.length - 1]) ? [...path, path[0]] : path)),
+  duplicate: (g) => {
+    let out;
+    if (g.type === 'Polygon') {
+      const rings = dedupePolygon(g.coordinates);
+      out = rings && { ...g, coordinates: rings };
+    } else if (g.type === 'MultiPolygon') {
+      const parts = g.coordinates.map(dedupePolygon).filter(Boolean);
+      out = parts.length ? { ...g, coordinates: parts } : null;
+    } else {
+      out = mapPaths(g, dedupePath);
+      const lines = g.type === 'LineString' ? [out.coordinates] : g.type === 'MultiLineString' ? out.coordinates : [];
+      if (lines.some((l) => l.length < 2)) out = null;
+    }
+    if (!out) throw new Error('Too few distinct vertices left');
+    return out;
+  },
+  selfIntersection: (g) => {
+    const parts = unkinkPolygon({ type: 'Feature', properties: {}, geometry: g }).features;
+    if (!parts.length) return g;
+    return parts.length === 1
+      ? parts[0].geometry
+      : { type: 'MultiPolygon', coordinates: parts.map((p) => p.geometry.coordinates) };
+  },
+};
+
+// fixes that rewrite geometry run in this order; the rest drop the feature
+const REPAIR_ORDER = ['swapped', 'unclosed', 'duplicate', 'selfIntersection'];
+
+/**
+ * Copy of `fc` with the given issue types repaired on the offending features.
+ * - 'empty' / 'outOfRange' remove the feature; other types rewrite its geometry.
+ * Returns { geojson, fixed: { [issue]: n }, failed: n } where failed counts geometries a repair threw on.
+ */
+export function repairFeatureCollection(fc, types, report = validateFeatureCollection(fc)) {
+  const wanted = new Set(types);
+  const byIndex = new Map(report.offenders.map((o) => [o.index, o.issues]));
+  const fixed = {};
+  let failed = 0;
+  const features = [];
+
+  (fc?.features || []).forEach((f, index) => {
+    const issues = (byIndex.get(index) || []).filter((id) => wanted.has(id));
+    if (!issues.length) {
+      features.push(f);
+      return;
+    }
+    if (issues.includes('empty') || issues.includes('outOfRange')) {
+      issues.forEach((id) => { fixed[id] = (fixed[id] || 0) + 1; });
+      return;
+    }
+    let geometry = f.geometry;
+    let broke = false;
+    for (const id of REPAIR_ORDER) {
+      if (!issues.includes(id)) continue;
+      try {
+        geometry = REPAIRS[id](geometry);
+        fixed[id] = (fixed[id] || 0) + 1;
+      } catch (err) {
+        broke = true;
+      }
+    }
+    if (broke) failed++;
+    features.push({ ...f, geometry });
+  });
+
+  return { geojson: { ...fc, features }, fixed, failed };
+}
@@ -0,0 +1,142 @@
+// src/utils/workspaceStore.js
+// The workspace state shared by the page, the legend and the map(s): dataset styles, converted
+// FeatureCollections, the basemap and the map's time filter. Plain JS (no React, no DOM):
+// workspaceReducer is a pure function and createWorkspaceStore a small subscribe / dispatch container,
+// so several stores (and several maps on one page) can live side by side.
+// React components reach a store through WorkspaceProvider / useWorkspace (components/useWorkspace.js).
+
+export const BASEMAPS = ['OpenStreetMap', 'Carto Voyager', 'Carto Positron', 'Esri WorldImagery'];
+
+/**
+ * @typedef {Object} TimeFilter
+ * @property {string|null} field  property holding the timestamp
+ * @property {number|string|null} start  epoch ms or a parseable date
+ * @property {number|string|null} end
+ */
+
+/**
+ * @typedef {Object} WorkspaceState
+ * @property {Object<string, Object>} styles  dataset uid -> style ({ opacity, point, line, poly, cluster, heatmap, renderer })
+ * @property {Object<string, Object>} collections  dataset uid -> converted (or edited) FeatureCollection
+ * @property {string} basemap  one of BASEMAPS
+ * @property {TimeFilter|null} timeFilter  extra time predicate applied by the map
+ */
+
+/**
+ * @typedef {(
+ *   { type: 'style/set', uid: string, path: string, value: * } |
+ *   { type: 'style/init', uid: string, style: Object|undefined } |
+ *   { type: 'styles/replace', styles: Object<string, Object> } |
+ *   { type: 'collection/set', uid: string, geojson: Object } |
+ *   { type: 'collections/replace', collections: Object<string, Object> } |
+ *   { type: 'dataset/forget', uid: string } |
+ *   { type: 'basemap/select', name: string } |
+ *   { type: 'time/filter', filter: TimeFilter|null }
+ * )} WorkspaceAction
+ */
+
+export const ACTIONS = {
+  STYLE_SET: 'style/set',
+  STYLE_INIT: 'style/init',
+  STYLES_REPLACE: 'styles/replace',
+  COLLECTION_SET: 'collection/set',
+  COLLECTIONS_REPLACE: 'collections/replace',
+  DATASET_FORGET: 'dataset/forget',
+  BASEMAP_SELECT: 'basemap/select',
+  TIME_FILTER: 'time/filter',
+};
+
+// ---- action creators ----
+
+/** Set one style value by dotted path, e.g. setStyle(uid, 'point.color', '#ff0'). */
+export const setStyle = (uid, path, value) => ({ type: ACTIONS.STYLE_SET, uid, path, value });
+/** Give a new dataset its initial style (`style`, or an empty one); an existing style is kept. */
+export const initStyle = (uid, style) => ({ type: ACTIONS.STYLE_INIT, uid, style });
+export const replaceStyles = (styles) => ({ type: ACTIONS.STYLES_REPLACE, styles });
+export const setCollection = (uid, geojson) => ({ type: ACTIONS.COLLECTION_SET, uid, geojson });
+export const replaceCollections = (collections) => ({ type: ACTIONS.COLLECTIONS_REPLACE, collections });
+/** Forget a removed dataset's style and collection. */
+export const forgetDataset = (uid) => ({ type: ACTIONS.DATASET_FORGET, uid });
+export const selectBasemap = (name) => ({ type: ACTIONS.BASEMAP_SELECT, name });
+export const setTimeFilter = (filter) => ({ type: ACTIONS.TIME_FILTER, filter });
+
+export const initialWorkspaceState = () => ({
+  styles: {},
+  collections: {},
+  basemap: BASEMAPS[0],
+  timeFilter: null,
+});
+
+// immutable nested set by path, e.g. setByPath(style, 'point.color', '#ff0')
+export function setByPath(obj, path, value) {
+  const [head, ...rest] = path.split('.');
+  const base = obj && typeof obj === 'object' ? obj : {};
+  return { ...base, [head]: rest.length ? setByPath(base[head], rest.join('.'), value) : value };
+}
+
+const without = (obj, key) => {
+  if (!(key in obj)) return obj;
+  const copy = { ...obj };
+  delete copy[key];
+  return copy;
+};
+
+/**
+ * Pure reducer: (WorkspaceState, WorkspaceAction) -> WorkspaceState. Unknown actions return `state` unchanged.
+ * @param {WorkspaceState} state
+ * @param {WorkspaceAction} action
+ * @returns {WorkspaceState}
+ */
+export function workspaceReducer(state, action) {
+  switch (action?.type) {
+    case ACTIONS.STYLE_SET:
+      if (!action.uid || !action.path) return state;
+      return { ...state, styles: { ...state.styles, [action.uid]: setByPath(state.styles[action.uid], action.path, action.value) } };
+    case ACTIONS.STYLE_INIT:
+      if (!action.uid || (state.styles[action.uid] && !action.style)) return state;
+      return { ...state, styles: { ...state.styles, [action.uid]: action.style || {} } };
+    case ACTIONS.STYLES_REPLACE:
+      return { ...state, styles: action.styles || {} };
+    case ACTIONS.COLLECTION_SET:
+      if (!action.uid || state.collections[action.uid] === action.geojson) return state;
+      return { ...state, collections: { ...state.collections, [action.uid]: action.geojson } };
+    case ACTIONS.COLLECTIONS_REPLACE:
+      return { ...state, collections: action.collections || {} };
+    case ACTIONS.DATASET_FORGET:
+      return { ...state, styles: without(state.styles, action.uid), collections: without(state.collections, action.uid) };
+    case ACTIONS.BASEMAP_SELECT:
+      if (!BASEMAPS.includes(action.name) || action.name === state.basemap) return state;
+      return { ...state, basemap: action.name };
+    case ACTIONS.TIME_FILTER:
+      return { ...state, timeFilter: action.filter || null };
+    default:
+      return state;
+  }
+}
+
+/**
+ * A store holding one WorkspaceState.
+ * - getState(); dispatch(action) returns the new state; subscribe(listener) returns an unsubscribe function.
+ * - Listeners run after every action that changed the state, with (state, action, previousState).
+ * @param {Partial<WorkspaceState>} [initial]
+ */
+export function createWorkspaceStore(initial = {}) {
+  let state = { ...initialWorkspaceState(), ...initial };
+  const listeners = new Set();
+
+  return {
+    getState: () => state,
+    dispatch(action) {
+      const previous = state;
+      state = workspaceReducer(state, action);
+      if (state !== previous) listeners.forEach((listener) => listener(state, action, previous));
+      return state;
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+  };
+}
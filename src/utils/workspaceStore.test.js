@@ -0,0 +1,134 @@
+import {
+  ACTIONS,
+  BASEMAPS,
+  createWorkspaceStore,
+  forgetDataset,
+  initialWorkspaceState,
+  initStyle,
+  replaceCollections,
+  replaceStyles,
+  selectBasemap,
+  setByPath,
+  setCollection,
+  setStyle,
+  setTimeFilter,
+  workspaceReducer,
+} from './workspaceStore';
+
+const fc = (name) => ({ type: 'FeatureCollection', name, features: [] });
+
+describe('workspaceReducer', () => {
+  test('style/set writes one value by dotted path and keeps the rest of the style', () => {
+    const state = { ...initialWorkspaceState(), styles: { a: { opacity: 0.5, point: { radius: 4 } } } };
+    const next = workspaceReducer(state, setStyle('a', 'point.color', '#ff0'));
+    expect(next.styles.a).toEqual({ opacity: 0.5, point: { radius: 4, color: '#ff0' } });
+    expect(state.styles.a.point).toEqual({ radius: 4 });
+    expect(workspaceReducer(state, setStyle('', 'opacity', 1))).toBe(state);
+  });
+
+  test('style/init adds a style once and replaces it only when one is given', () => {
+    const state = workspaceReducer(initialWorkspaceState(), initStyle('a'));
+    expect(state.styles.a).toEqual({});
+    expect(workspaceReducer(state, initStyle('a'))).toBe(state);
+    expect(workspaceReducer(state, initStyle('a', { opacity: 1 })).styles.a).toEqual({ opacity: 1 });
+  });
+
+  test('styles/replace and collections/replace swap the whole map', () => {
+    const state = { ...initialWorkspaceState(), styles: { a: {} }, collections: { a: fc('a') } };
+    expect(workspaceReducer(state, replaceStyles({ b: { opacity: 1 } })).styles).toEqual({ b: { opacity: 1 } });
+    expect(workspaceReducer(state, replaceStyles()).styles).toEqual({});
+    const b = fc('b');
+    expect(workspaceReducer(state, replaceCollections({ b })).collections).toEqual({ b });
+    expect(workspaceReducer(state, replaceCollections(null)).collections).toEqual({});
+  });
+
+  test('collection/set stores a collection and ignores the same object again', () => {
+    const a = fc('a');
+    const state = workspaceReducer(initialWorkspaceState(), setCollection('a', a));
+    expect(state.collections.a).toBe(a);
+    expect(workspaceReducer(state, setCollection('a', a))).toBe(state);
+    expect(workspaceReducer(state, setCollection(null, fc('x')))).toBe(state);
+  });
+
+  test('dataset/forget drops the style and the collection of one dataset', () => {
+    const state = { ...initialWorkspaceState(), styles: { a: {}, b: {} }, collections: { a: fc('a') } };
+    const next = workspaceReducer(state, forgetDataset('a'));
+    expect(next.styles).toEqual({ b: {} });
+    expect(next.collections).toEqual({});
+    expect(next.styles).not.toBe(state.styles);
+    expect(workspaceReducer(next, forgetDataset('a')).styles).toBe(next.styles);
+  });
+
+  test('basemap/select accepts known basemaps only', () => {
+    const state = initialWorkspaceState();
+    expect(workspaceReducer(state, selectBasemap(BASEMAPS[2])).basemap).toBe(BASEMAPS[2]);
+    expect(workspaceReducer(state, selectBasemap('Nowhere'))).toBe(state);
+    expect(workspaceReducer(state, selectBasemap(state.basemap))).toBe(state);
+  });
+
+  test('time/filter sets or clears the time filter', () => {
+    const filter = { field: 'time', start: 0, end: 1000 };
+    const state = workspaceReducer(initialWorkspaceState(), setTimeFilter(filter));
+    expect(state.timeFilter).toBe(filter);
+    expect(workspaceReducer(state, setTimeFilter(null)).timeFilter).toBeNull();
+  });
+
+  test('unknown actions return the state unchanged', () => {
+    const state = initialWorkspaceState();
+    expect(workspaceReducer(state, { type: 'nothing' })).toBe(state);
+    expect(workspaceReducer(state, undefined)).toBe(state);
+  });
+
+  test('setByPath creates missing levels', () => {
+    expect(setByPath(undefined, 'line.dash.pattern', '4 2')).toEqual({ line: { dash: { pattern: '4 2' } } });
+  });
+});
+
+describe('createWorkspaceStore', () => {
+  test('dispatch returns the new state and notifies listeners with (state, action, previous)', () => {
+    const store = createWorkspaceStore();
+    const listener = jest.fn();
+    const unsubscribe = store.subscribe(listener);
+
+    const previous = store.getState();
+    const action = setStyle('a', 'opacity', 0.4);
+    const next = store.dispatch(action);
+    expect(next).toBe(store.getState());
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(next, action, previous);
+
+    // no change, no notification
+    store.dispatch(selectBasemap(next.basemap));
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    unsubscribe();
+    store.dispatch(setStyle('a', 'opacity', 1));
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test('starts from the given partial state', () => {
+    const store = createWorkspaceStore({ basemap: BASEMAPS[1] });
+    expect(store.getState()).toEqual({ ...initialWorkspaceState(), basemap: BASEMAPS[1] });
+  });
+
+  test('two stores keep separate state and listeners', () => {
+    const left = createWorkspaceStore();
+    const right = createWorkspaceStore();
+    const onLeft = jest.fn();
+    const onRight = jest.fn();
+    left.subscribe(onLeft);
+    right.subscribe(onRight);
+
+    left.dispatch(selectBasemap(BASEMAPS[3]));
+    left.dispatch(setTimeFilter({ field: 'time', start: 0, end: 1 }));
+    right.dispatch(setStyle('a', 'point.color', '#000'));
+
+    expect(left.getState().basemap).toBe(BASEMAPS[3]);
+    expect(right.getState().basemap).toBe(BASEMAPS[0]);
+    expect(right.getState().timeFilter).toBeNull();
+    expect(left.getState().styles).toEqual({});
+    expect(onLeft).toHaveBeenCalledTimes(2);
+    expect(onRight).toHaveBeenCalledTimes(1);
+    expect(onRight.mock.calls[0][1].type).toBe(ACTIONS.STYLE_SET);
+  });
+});
@@ -0,0 +1,56 @@
+// src/workers/convert.worker.js
+// Runs the file converters off the main thread.
+// in:  { kind, files, opts }
+// out: { type: 'progress', stage, percent }
+//      { type: 'result', result }   FeatureCollection (TopoJSON: [{ name, geojson }]) with its coordinates in
+//                                   transferred typed arrays (utils/transferableGeoJSON), or a raster preview
+//      { type: 'error', message, code }
+/* eslint-disable no-restricted-globals */
+import {
+  csvToGeoJSON,
+  kmlToGeoJSON,
+  kmzToGeoJSON,
+  gpxToGeoJSON,
+  shapefileToGeoJSON,
+  dxfToGeoJSON,
+  topojsonToGeoJSON,
+} from '../components/converters/fromFiles';
+import { geotiffToRaster } from '../components/converters/rasterConverters';
+import { packResult } from '../utils/transferableGeoJSON';
+
+const CONVERTERS = {
+  csv: (files, opts) => csvToGeoJSON(files[0], opts),
+  kml: (files, opts) => kmlToGeoJSON(files[0], opts),
+  kmz: (files, opts) => kmzToGeoJSON(files[0], opts),
+  gpx: (files, opts) => gpxToGeoJSON(files[0], opts),
+  shapefile: (files, opts) => shapefileToGeoJSON(files, opts),
+  dxf: (files, opts) => dxfToGeoJSON(files[0], opts),
+  topojson: (files, opts) => topojsonToGeoJSON(files[0], opts),
+  geotiff: (files, opts) => geotiffToRaster(files[0], opts),
+};
+
+self.onmessage = async (e) => {
+  const { kind, files, opts = {} } = e.data || {};
+  let lastStage = null;
+  let lastPercent = null;
+  const onProgress = (stage, value) => {
+    // throttle: only post when something visible changes (whole percents)
+    const percent = value == null ? null : Math.round(value);
+    if (stage === lastStage && percent === lastPercent) return;
+    lastStage = stage;
+    lastPercent = percent;
+    self.postMessage({ type: 'progress', stage, percent });
+  };
+
+  try {
+    const convert = CONVERTERS[kind];
+    if (!convert) throw new Error(`No converter for "${kind}"`);
+    const result = await convert(files || [], { ...opts, onProgress });
+
+    onProgress('transfer', null);
+    const { result: packed, transfer } = packResult(result);
+    self.postMessage({ type: 'result', result: packed }, transfer);
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err?.message || String(err), code: err?.code || null });
+  }
+};